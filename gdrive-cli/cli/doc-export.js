@@ -0,0 +1,558 @@
+/**
+ * Document tree to HTML, AsciiDoc and reStructuredText
+ *
+ * Renders the tree of doc-tree.js — the one markdown export is built on —
+ * in other formats, for publishing a Doc without Drive's own export:
+ *   html      standalone page (or a body fragment) keeping tables, cell
+ *             shading, text colours, images, links and heading anchors;
+ *             math is left as \( \) / \[ \] for MathJax or KaTeX
+ *   adoc      AsciiDoc (Asciidoctor), with admonitions and latexmath
+ *   rst       reStructuredText (docutils / Sphinx), with admonitions and :math:
+ *   json-ast  the tree itself
+ * Text colours, highlights and cell shading only survive in HTML.
+ */
+
+import { ADMONITIONS } from './markdown-parser.js';
+import { docToTree, inlineText } from './doc-tree.js';
+import { treeToMarkdown } from './doc-to-markdown.js';
+
+const escapeHtml = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const hex = (rgb) => '#' + ['red', 'green', 'blue'].map(c => Math.round((rgb[c] || 0) * 255).toString(16).padStart(2, '0')).join('');
+const px = (points) => Math.round(points * 4 / 3);
+
+// Whitespace goes outside markup: "<b>foo</b> bar", not "<b>foo </b>bar"
+const splitSpace = (text) => /^(\s*)([\s\S]*?)(\s*)$/.exec(text).slice(1);
+
+// A paragraph holding nothing but display math, or nothing but an image, becomes a block of its own
+const only = (children, type) => {
+  const nodes = children.filter(n => n.type !== 'text' || n.text.trim());
+  return nodes.length === 1 && nodes[0].type === type ? nodes[0] : null;
+};
+
+// Headings of the doc for a table of contents: [{ level, slug, text }]
+const tocEntries = (tree) => tree.children
+  .filter(b => b.type === 'heading' && b.slug)
+  .map(b => ({ level: b.level, slug: b.slug, text: inlineText(b.children).trim() }));
+
+// ─── HTML ──────────────────────────────────────────────────────
+
+function inlineHtml(nodes, { suggestions = false, skipBold = false } = {}) {
+  const node = (n) => {
+    switch (n.type) {
+      case 'math': return n.display
+        ? `<span class="math display">\\[${escapeHtml(n.tex)}\\]</span>`
+        : `<span class="math inline">\\(${escapeHtml(n.tex)}\\)</span>`;
+      case 'footnoteRef': return `<sup class="footnote-ref"><a href="#fn-${n.number}" id="fnref-${n.number}">${escapeHtml(n.number)}</a></sup>`;
+      case 'image': {
+        const size = [n.width && `width="${px(n.width)}"`, n.height && `height="${px(n.height)}"`].filter(Boolean).join(' ');
+        return `<img src="${escapeHtml(n.url)}" alt="${escapeHtml(n.alt)}"${size ? ' ' + size : ''}>`;
+      }
+      case 'object': return `<span class="object">[${n.kind}${n.label ? `: ${escapeHtml(n.label)}` : ''}]</span>`;
+      case 'person': return `<a class="chip" href="mailto:${escapeHtml(n.email)}">${escapeHtml(n.name || n.email)}</a>`;
+      case 'date': return `<time class="chip" datetime="${escapeHtml(n.value)}">${escapeHtml(n.value)}</time>`;
+      case 'richLink': return `<a class="chip" href="${escapeHtml(n.url)}">${escapeHtml(n.title)}</a>`;
+      case 'equation': return '<span class="object">[equation]</span>';
+      case 'autoText': return `<span class="page-${n.kind === 'pages' ? 'count' : 'number'}"></span>`;
+      case 'text': break;
+      default: return '';
+    }
+    const { marks } = n;
+    const [lead, core, trail] = splitSpace(n.text);
+    const breaks = (s) => escapeHtml(s).replace(/\u000b/g, '<br>');
+    if (!core) return breaks(n.text);
+    let html = breaks(core);
+    if (marks.code) html = `<code>${html}</code>`;
+    if (marks.bold && !skipBold) html = `<strong>${html}</strong>`;
+    if (marks.italic) html = `<em>${html}</em>`;
+    if (marks.strikethrough) html = `<s>${html}</s>`;
+    if (marks.underline && !marks.link) html = `<u>${html}</u>`;
+    if (marks.baseline === 'superscript') html = `<sup>${html}</sup>`;
+    else if (marks.baseline === 'subscript') html = `<sub>${html}</sub>`;
+    if (marks.color) html = `<span style="color:${marks.color}">${html}</span>`;
+    if (marks.highlight) html = `<mark style="background-color:${marks.highlight}">${html}</mark>`;
+    const href = marks.link?.url || (marks.link?.anchor && `#${marks.link.anchor}`);
+    if (href) html = `<a href="${escapeHtml(href)}">${html}</a>`;
+    return breaks(lead) + html + breaks(trail);
+  };
+  return nodes.map(n => {
+    const html = node(n);
+    if (!suggestions || !n.suggestion) return html;
+    return n.suggestion === 'insertion' ? `<ins>${html}</ins>` : `<del>${html}</del>`;
+  }).join('');
+}
+
+const HTML_STYLE = `body { font-family: Arial, sans-serif; font-size: 11pt; line-height: 1.5; max-width: 48em; margin: 2em auto; padding: 0 1em; }
+.title { font-size: 26pt; margin-bottom: 0; } .subtitle { font-size: 15pt; color: #666; margin-top: 0; }
+table { border-collapse: collapse; margin: 1em 0; } th, td { border: 1px solid #999; padding: 4pt 6pt; vertical-align: top; }
+pre { background: #f6f8fa; padding: 8pt 10pt; overflow-x: auto; } code { font-family: "Roboto Mono", Consolas, monospace; }
+blockquote { border-left: 3px solid #ccc; margin: 1em 0; padding: 0 1em; color: #555; }
+.callout { color: inherit; padding: 4pt 10pt; } .callout-title { font-weight: bold; }
+.task-list { list-style: none; padding-left: 1.5em; }
+.chip { background: #f1f3f4; border-radius: 1em; padding: 0 0.5em; color: inherit; text-decoration: none; }
+.toc ul { list-style: none; padding-left: 0; }${[2, 3, 4, 5, 6].map(l => ` .toc-level-${l} { margin-left: ${l - 1}em; }`).join('')}
+hr.page-break { border: 0; border-top: 2px dashed #bbb; margin: 2em 0; }
+.footnotes { border-top: 1px solid #ccc; margin-top: 2em; font-size: 10pt; }`;
+
+/**
+ * Render a document tree as HTML
+ * @param {object} tree - From docToTree
+ * @param {object} [options]
+ *   fragment    - just the body content, to paste into a page or wiki template
+ *   suggestions - suggested changes as <ins> / <del>
+ *   headers     - header and footer text as HTML comments at the top and bottom
+ * @returns {string}
+ */
+export function treeToHtml(tree, { fragment = false, suggestions = false, headers = false } = {}) {
+  const inline = (nodes, options = {}) => inlineHtml(nodes, { suggestions, ...options });
+  const cellStyle = (align, background) => {
+    const css = [align && `text-align:${align}`, background && `background-color:${background}`].filter(Boolean).join(';');
+    return css ? ` style="${css}"` : '';
+  };
+
+  const list = (block) => {
+    const tag = block.ordered ? 'ol' : 'ul';
+    const start = block.ordered && block.items[0].number !== 1 ? ` start="${block.items[0].number}"` : '';
+    const items = block.items.map(item => {
+      let html = inline(item.children);
+      if (block.task) html = `<input type="checkbox" disabled${item.checked ? ' checked' : ''}> ${html}`;
+      return `<li>${html}${item.lists.map(sub => '\n' + list(sub)).join('')}</li>`;
+    });
+    return `<${tag}${start}${block.task ? ' class="task-list"' : ''}>\n${items.join('\n')}\n</${tag}>`;
+  };
+
+  const render = (block) => {
+    switch (block.type) {
+      case 'title': return inlineText(block.children).trim() ? `<h1 class="title">${inline(block.children)}</h1>` : '';
+      case 'subtitle': return inlineText(block.children).trim() ? `<p class="subtitle">${inline(block.children)}</p>` : '';
+      case 'heading': {
+        const id = block.slug || block.id;
+        return `<h${block.level}${id ? ` id="${escapeHtml(id)}"` : ''}>${inline(block.children)}</h${block.level}>`;
+      }
+      case 'paragraph': return block.children.length ? `<p>${inline(block.children)}</p>` : '';
+      case 'list': return list(block);
+      case 'quote': {
+        const body = block.children.map(render).filter(Boolean).join('\n');
+        if (block.kind === 'QUOTE') return `<blockquote>\n${body}\n</blockquote>`;
+        const { label, color, background } = ADMONITIONS[block.kind];
+        return `<blockquote class="callout callout-${block.kind.toLowerCase()}" style="border-left-color:${hex(color)};background-color:${hex(background)}">\n` +
+          `<p class="callout-title">${label}</p>\n${body}\n</blockquote>`;
+      }
+      case 'code': {
+        const lines = block.lines.map(segments => segments.map(({ text, suggestion }) => {
+          const html = escapeHtml(text);
+          if (!suggestions || !suggestion) return html;
+          return suggestion === 'insertion' ? `<ins>${html}</ins>` : `<del>${html}</del>`;
+        }).join(''));
+        return `<pre><code${block.lang ? ` class="language-${escapeHtml(block.lang)}"` : ''}>${lines.join('\n')}</code></pre>`;
+      }
+      case 'table': {
+        const row = (r, tag) => '<tr>' + r.cells.map((cell, c) =>
+          `<${tag}${cellStyle(block.align[c], cell.background)}>${cell.paragraphs.map(p => inline(p, { skipBold: tag === 'th' })).filter(Boolean).join('<br>')}</${tag}>`).join('') + '</tr>';
+        const [head, ...body] = block.rows;
+        return `<table>\n<thead>\n${row(head, 'th')}\n</thead>\n<tbody>\n${body.map(r => row(r, 'td')).join('\n')}\n</tbody>\n</table>`;
+      }
+      case 'toc': {
+        const entries = tocEntries(tree).map(h => `<li class="toc-level-${h.level}"><a href="#${escapeHtml(h.slug)}">${escapeHtml(h.text)}</a></li>`);
+        return `<nav class="toc">\n<ul>\n${entries.join('\n')}\n</ul>\n</nav>`;
+      }
+      case 'pageBreak': return '<hr class="page-break">';
+      case 'sectionBreak': return '<hr class="section-break">';
+      default: return '';
+    }
+  };
+
+  let body = tree.children.map(render).filter(Boolean).join('\n');
+  if (tree.footnotes.length > 0) {
+    const notes = tree.footnotes.map(({ number, paragraphs }) =>
+      `<li id="fn-${number}">${paragraphs.map(p => inline(p).trim()).filter(Boolean).join('<br>')} <a href="#fnref-${number}" class="footnote-back">↩</a></li>`);
+    body += `\n<section class="footnotes">\n<ol>\n${notes.join('\n')}\n</ol>\n</section>`;
+  }
+  if (headers) {
+    const { top, bottom } = headerComments(tree, (label, lines) => `<!-- ${label}\n${lines.join('\n').replace(/--/g, '- -')}\n-->`);
+    body = [...top, body, ...bottom].join('\n');
+  }
+  if (fragment) return body + '\n';
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(tree.title || 'Untitled')}</title>
+<style>
+${HTML_STYLE}
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// Header and footer text as comments in the target format: { top: [], bottom: [] }
+function headerComments(tree, comment) {
+  const result = { top: [], bottom: [] };
+  for (const { kind, label, paragraphs } of tree.headers) {
+    const lines = paragraphs.map(p => inlineText(p).trim()).filter(Boolean);
+    if (lines.length > 0) result[kind === 'header' ? 'top' : 'bottom'].push(comment(label, lines));
+  }
+  return result;
+}
+
+// ─── AsciiDoc ──────────────────────────────────────────────────
+
+// Characters that would start AsciiDoc markup, as attribute or character references
+const ADOC_ESCAPES = { '*': '{asterisk}', '`': '{backtick}', '^': '{caret}', '~': '{tilde}', '+': '{plus}', '_': '&#95;', '#': '&#35;' };
+const escapeAdoc = (s) => s.replace(/\{(?=[\w-]+\})/g, '\\{').replace(/[*`^~+_#]/g, ch => ADOC_ESCAPES[ch]);
+// Text inside a macro's [...]
+const escapeAttr = (s) => s.replace(/\]/g, '\\]');
+
+function inlineAdoc(nodes, { footnotes, suggestions = false, skipBold = false } = {}) {
+  const node = (n) => {
+    switch (n.type) {
+      case 'math': return `latexmath:[${escapeAttr(n.tex)}]`;
+      case 'footnoteRef': {
+        const note = footnotes.get(n.id);
+        return `footnote:[${note ? escapeAttr(note.paragraphs.map(p => inlineAdoc(p, { footnotes }).trim()).filter(Boolean).join(' ')) : ''}]`;
+      }
+      case 'image': return `image:${n.url}[${escapeAttr(n.alt)}${n.width ? `,${px(n.width)}` : ''}]`;
+      case 'object': return `[${n.kind}${n.label ? `: ${escapeAdoc(n.label)}` : ''}]`;
+      case 'person': return `mailto:${n.email}[${escapeAttr(n.name || '')}]`;
+      case 'date': return escapeAdoc(n.value);
+      case 'richLink': return `link:${n.url}[${escapeAttr(n.title)}]`;
+      case 'equation': return '[equation]';
+      case 'autoText': return `\\{${n.kind}}`;
+      case 'text': break;
+      default: return '';
+    }
+    const { marks } = n;
+    const [lead, core, trail] = splitSpace(n.text);
+    const breaks = (s) => escapeAdoc(s).replace(/\u000b/g, ' +\n');
+    if (!core) return breaks(n.text);
+    // Unconstrained markup (doubled marks), so it holds mid-word too
+    let text = marks.code ? `\`\`++${core.replace(/\u000b/g, ' ')}++\`\`` : breaks(core);
+    if (!marks.code) {
+      if (marks.bold && !skipBold) text = `**${text}**`;
+      if (marks.italic) text = `__${text}__`;
+      if (marks.baseline === 'superscript') text = `^${text.replace(/ /g, '{nbsp}')}^`;
+      else if (marks.baseline === 'subscript') text = `~${text.replace(/ /g, '{nbsp}')}~`;
+    }
+    const roles = [
+      marks.strikethrough && 'line-through',
+      marks.underline && !marks.link && 'underline'
+    ].filter(Boolean);
+    if (roles.length) text = `[.${roles.join('.')}]##${text}##`;
+    else if (marks.highlight) text = `##${text}##`;
+    if (marks.link?.url) text = `link:${marks.link.url}[${escapeAttr(text)}]`;
+    else if (marks.link?.anchor) text = `<<${marks.link.anchor},${text}>>`;
+    return breaks(lead) + text + breaks(trail);
+  };
+  return nodes.map(n => {
+    const text = node(n);
+    if (!suggestions || !n.suggestion) return text;
+    return `[.${n.suggestion}]##${text}##`;
+  }).join('');
+}
+
+const ADOC_ALIGN = { left: '<', center: '^', right: '>' };
+
+/**
+ * Render a document tree as AsciiDoc
+ * @param {object} tree - From docToTree
+ * @param {object} [options] - { suggestions, headers } as for treeToHtml; suggested
+ *   text gets an insertion or deletion role
+ * @returns {string}
+ */
+export function treeToAsciiDoc(tree, { suggestions = false, headers = false } = {}) {
+  const footnotes = new Map(tree.footnotes.map(f => [f.id, f]));
+  const inline = (nodes, options = {}) => inlineAdoc(nodes, { footnotes, suggestions, ...options });
+  // A paragraph starting like a block (". ", "= ", "- ", "[", "//", ":") reads as text with {empty} in front
+  const paragraph = (nodes) => {
+    const text = inline(nodes);
+    return /^(?:[=.\-'<:|>]|\/\/|\[)/.test(text) ? '{empty}' + text : text;
+  };
+
+  const listLines = (block, depth) => {
+    const lines = [];
+    if (block.ordered && block.items[0].number !== 1 && depth === 0) lines.push(`[start=${block.items[0].number}]`);
+    const marker = (block.ordered ? '.' : '*').repeat(depth + 1);
+    for (const item of block.items) {
+      const task = block.task ? (item.checked ? '[x] ' : '[ ] ') : '';
+      lines.push(`${marker} ${task}${inline(item.children)}`);
+      for (const sub of item.lists) lines.push(...listLines(sub, depth + 1));
+    }
+    return lines;
+  };
+
+  const blocks = (children) => {
+    const out = [];
+    children.forEach((block, i) => {
+      // Back-to-back lists would merge; an empty comment keeps them apart
+      if (block.type === 'list' && children[i - 1]?.type === 'list') out.push('//-');
+      const text = render(block);
+      if (text) out.push(text);
+    });
+    return out.join('\n\n');
+  };
+
+  const render = (block) => {
+    switch (block.type) {
+      case 'title': return ''; // In the document header
+      case 'subtitle': return inlineText(block.children).trim() ? `[.lead]\n${inline(block.children)}` : '';
+      case 'heading': {
+        const title = `${'='.repeat(Math.min(block.level + 1, 6))} ${inline(block.children)}`;
+        return block.slug ? `[[${block.slug}]]\n${title}` : title;
+      }
+      case 'paragraph': {
+        if (!block.children.length) return '';
+        const math = only(block.children, 'math');
+        if (math?.display) return `[latexmath]\n++++\n${math.tex}\n++++`;
+        const image = only(block.children, 'image');
+        if (image) return `image::${image.url}[${escapeAttr(image.alt)}${image.width ? `,${px(image.width)}` : ''}]`;
+        return paragraph(block.children);
+      }
+      case 'list': return listLines(block, 0).join('\n');
+      case 'quote': {
+        const body = blocks(block.children);
+        if (block.kind === 'QUOTE') return `____\n${body}\n____`;
+        return `[${block.kind}]\n====\n${body}\n====`;
+      }
+      case 'code': {
+        const lines = block.lines.map(segments => segments.map(s => s.text).join(''));
+        return `${block.lang ? `[source,${block.lang}]\n` : ''}----\n${lines.join('\n')}\n----`;
+      }
+      case 'table': {
+        const cols = block.align.some(Boolean) ? `,cols="${block.align.map(a => ADOC_ALIGN[a] || '<').join(',')}"` : '';
+        const rows = block.rows.map((row, r) => row.cells.map(cell =>
+          '| ' + cell.paragraphs.map(p => inline(p, { skipBold: r === 0 })).filter(Boolean).join(' ').replace(/\|/g, '\\|')).join(' '));
+        const [head, ...body] = rows;
+        return `[%header${cols}]\n|===\n${head}\n` + (body.length ? `\n${body.join('\n')}\n` : '') + '|===';
+      }
+      case 'toc': return 'toc::[]';
+      case 'pageBreak': return '<<<';
+      case 'sectionBreak': return '\'\'\'';
+      default: return '';
+    }
+  };
+
+  const title = tree.children.find(b => b.type === 'title' && inlineText(b.children).trim());
+  const hasMath = JSON.stringify(tree).includes('"type":"math"');
+  const header = [
+    title && `= ${inline(title.children).trim()}`,
+    tree.children.some(b => b.type === 'toc') && ':toc: macro',
+    hasMath && ':stem: latexmath'
+  ].filter(Boolean).join('\n');
+  const parts = [header, blocks(tree.children)];
+  if (headers) {
+    const { top, bottom } = headerComments(tree, (label, lines) => `////\n${label}\n${lines.join('\n')}\n////`);
+    parts.splice(1, 0, ...top);
+    parts.push(...bottom);
+  }
+  return parts.filter(Boolean).join('\n\n') + '\n';
+}
+
+// ─── reStructuredText ──────────────────────────────────────────
+
+const escapeRst = (s) => s.replace(/[\\*`_|]/g, '\\$&');
+// Inline markup only starts after whitespace or one of these, and only ends before whitespace or one of the next
+const RST_BEFORE = /[\s\-:/'"<([{]/;
+const RST_AFTER = /[\s\-.,:;!?\\/'")\]}>]/;
+const RST_UNDERLINES = ['=', '-', '~', '^', '"', '\''];
+
+// Join plain and markup chunks, with an escaped space ("\ ", which renders
+// as nothing) where markup would touch a word
+function joinRst(chunks) {
+  let out = '';
+  chunks.forEach(({ text, markup }, i) => {
+    const prev = chunks[i - 1];
+    if (prev && out && text) {
+      if ((markup && !RST_BEFORE.test(out.slice(-1))) || (prev.markup && !RST_AFTER.test(text[0]))) out += '\\ ';
+    }
+    out += text;
+  });
+  return out;
+}
+
+function inlineRst(nodes, { images, suggestions = false, skipBold = false } = {}) {
+  const chunks = [];
+  const push = (text, markup = false) => chunks.push({ text, markup });
+  const link = (text, target) => push(`\`${text.replace(/[<`]/g, '\\$&')} <${target}>\`__`, true);
+  for (const n of nodes) {
+    switch (n.type) {
+      case 'math': push(`:math:\`${n.tex}\``, true); continue;
+      case 'footnoteRef': push(`[${n.number}]_`, true); continue;
+      case 'image': {
+        const name = `image-${images.length + 1}`;
+        images.push({ name, ...n });
+        push(`|${name}|`, true);
+        continue;
+      }
+      case 'object': push(escapeRst(`[${n.kind}${n.label ? `: ${n.label}` : ''}]`)); continue;
+      case 'person': link(n.name || n.email, `mailto:${n.email}`); continue;
+      case 'date': push(escapeRst(n.value)); continue;
+      case 'richLink': link(n.title, n.url); continue;
+      case 'equation': push('[equation]'); continue;
+      case 'autoText': push(`{${n.kind}}`); continue;
+      case 'text': break;
+      default: continue;
+    }
+    const { marks } = n;
+    // Line breaks within a paragraph don't survive; reST joins the lines
+    const [lead, core, trail] = splitSpace(n.text.replace(/\u000b/g, ' '));
+    if (lead) push(lead);
+    if (core) {
+      // reST markup doesn't nest: code, then links, then the rest
+      const href = marks.link?.url || (marks.link?.anchor && `${marks.link.anchor}_`);
+      if (marks.code && !href) push(`\`\`${core}\`\``, true);
+      else if (href) link(core, href);
+      else if (suggestions && n.suggestion) push(`:${n.suggestion === 'insertion' ? 'ins' : 'del'}:\`${core.replace(/[`\\]/g, '\\$&')}\``, true);
+      else if (marks.baseline) push(`:${marks.baseline === 'superscript' ? 'sup' : 'sub'}:\`${core.replace(/[`\\]/g, '\\$&')}\``, true);
+      else if (marks.bold && !skipBold) push(`**${escapeRst(core)}**`, true);
+      else if (marks.italic) push(`*${escapeRst(core)}*`, true);
+      else push(escapeRst(core));
+    }
+    if (trail) push(trail);
+  }
+  return joinRst(chunks);
+}
+
+const indentLines = (text, prefix) => text.split('\n').map(line => line ? prefix + line : line).join('\n');
+const textWidth = (s) => [...s].length;
+
+/**
+ * Render a document tree as reStructuredText
+ * @param {object} tree - From docToTree
+ * @param {object} [options] - { suggestions, headers } as for treeToHtml; suggested
+ *   text gets an :ins: or :del: role
+ * @returns {string}
+ */
+export function treeToRst(tree, { suggestions = false, headers = false } = {}) {
+  const images = [];
+  const inline = (nodes, options = {}) => inlineRst(nodes, { images, suggestions, ...options });
+  // Image substitutions used since the last call, defined after the block that uses them
+  let defined = 0;
+  const substitutions = () => {
+    const lines = images.slice(defined).map(({ name, url, alt, width }) =>
+      `.. |${name}| image:: ${url}` + (alt ? `\n   :alt: ${alt}` : '') + (width ? `\n   :width: ${px(width)}px` : ''));
+    defined = images.length;
+    return lines.join('\n');
+  };
+  // A paragraph starting like a list item or directive gets its first character escaped
+  const paragraph = (nodes) => {
+    const text = inline(nodes);
+    return /^(?:[-*+•] |\d+[.)] |[a-zA-Z#][.)] |\.\.|\||:\w|>>>)/.test(text) ? '\\' + text : text;
+  };
+
+  const listText = (block) => block.items.map(item => {
+    const marker = block.ordered ? `${item.number}. ` : '- ';
+    const task = block.task ? (item.checked ? '[x] ' : '[ ] ') : '';
+    let text = marker + task + inline(item.children);
+    // Sub-lists line up with the item's text, with blank lines around them
+    for (const sub of item.lists) text += '\n\n' + indentLines(listText(sub), ' '.repeat(marker.length)) + '\n';
+    return text;
+  }).join('\n').replace(/\n+$/, '');
+
+  const blocks = (children) => {
+    const out = [];
+    children.forEach((block, i) => {
+      const prev = children[i - 1];
+      // An empty comment ends a list, so the next list or an indented quote doesn't join it
+      if (prev?.type === 'list' && (block.type === 'list' || block.type === 'quote')) out.push('..');
+      const text = render(block);
+      if (!text) return;
+      out.push(text);
+      const subs = substitutions();
+      if (subs) out.push(subs);
+    });
+    return out.join('\n\n');
+  };
+
+  const heading = (text, char, overline = false) => {
+    const line = char.repeat(Math.max(textWidth(text), 1));
+    return (overline ? line + '\n' : '') + text + '\n' + line;
+  };
+
+  const render = (block) => {
+    switch (block.type) {
+      case 'title':
+      case 'subtitle': {
+        const text = inline(block.children).trim();
+        return text ? heading(text, block.type === 'title' ? '=' : '-', true) : '';
+      }
+      case 'heading': {
+        const title = heading(inline(block.children).trim(), RST_UNDERLINES[block.level - 1]);
+        return block.slug ? `.. _${block.slug}:\n\n${title}` : title;
+      }
+      case 'paragraph': {
+        if (!block.children.length) return '';
+        const math = only(block.children, 'math');
+        if (math?.display) return `.. math::\n\n   ${math.tex}`;
+        const image = only(block.children, 'image');
+        if (image) return `.. image:: ${image.url}` + (image.alt ? `\n   :alt: ${image.alt}` : '') + (image.width ? `\n   :width: ${px(image.width)}px` : '');
+        return paragraph(block.children);
+      }
+      case 'list': return listText(block);
+      case 'quote': {
+        const body = indentLines(blocks(block.children), '   ');
+        return block.kind === 'QUOTE' ? body : `.. ${block.kind.toLowerCase()}::\n\n${body}`;
+      }
+      case 'code': {
+        const lines = block.lines.map(segments => segments.map(s => s.text).join(''));
+        return `.. code::${block.lang ? ' ' + block.lang : ''}\n\n${indentLines(lines.join('\n'), '   ')}`;
+      }
+      case 'table': {
+        const rows = block.rows.map((row, r) => row.cells.map((cell, c) => {
+          const text = cell.paragraphs.map(p => inline(p, { skipBold: r === 0 })).filter(Boolean).join(' ');
+          return `${c === 0 ? '*' : ' '} -${text ? ' ' + text : ''}`;
+        }).join('\n'));
+        return `.. list-table::\n   :header-rows: 1\n\n${indentLines(rows.join('\n'), '   ')}`;
+      }
+      case 'toc': return '.. contents::\n   :local:';
+      // No reST construct for these; comments keep where they were
+      case 'pageBreak': return '.. page break';
+      case 'sectionBreak': return '.. section break';
+      default: return '';
+    }
+  };
+
+  const parts = [];
+  if (suggestions && JSON.stringify(tree).includes('"suggestion":')) parts.push('.. role:: ins\n.. role:: del');
+  parts.push(blocks(tree.children));
+  const notes = tree.footnotes.map(({ number, paragraphs }) => {
+    const body = paragraphs.map(p => inline(p).trim()).filter(Boolean).join('\n\n');
+    return `.. [${number}] ${indentLines(body, '   ').trimStart()}`;
+  });
+  if (notes.length) parts.push(notes.join('\n'));
+  const subs = substitutions();
+  if (subs) parts.push(subs);
+  if (headers) {
+    const { top, bottom } = headerComments(tree, (label, lines) => `.. ${label}\n${indentLines(lines.join('\n'), '   ')}`);
+    parts.unshift(...top);
+    parts.push(...bottom);
+  }
+  return parts.filter(Boolean).join('\n\n') + '\n';
+}
+
+// ─── Formats ───────────────────────────────────────────────────
+
+// Renderers by --format name: (tree, options) → string
+export const EXPORT_FORMATS = {
+  markdown: treeToMarkdown,
+  html: treeToHtml,
+  adoc: treeToAsciiDoc,
+  rst: treeToRst,
+  'json-ast': (tree) => JSON.stringify(tree, null, 2) + '\n'
+};
+
+/**
+ * Export a document in one of EXPORT_FORMATS
+ * @param {object} doc - documents.get response (or a tab's content in the same shape)
+ * @param {string} format - 'markdown', 'html', 'adoc', 'rst' or 'json-ast'
+ * @param {object} [options] - section, codeFonts (as for docToTree) and the renderer's options
+ * @returns {string}
+ */
+export function exportDoc(doc, format, { section, codeFonts, ...options } = {}) {
+  const render = EXPORT_FORMATS[format];
+  if (!render) throw new Error(`Unknown format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  return render(docToTree(doc, section, { codeFonts }), options);
+}
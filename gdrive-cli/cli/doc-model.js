@@ -0,0 +1,661 @@
+/**
+ * In-memory Google Doc
+ *
+ * A local stand-in for the Docs API: holds a document as a flat list of
+ * index-sized units per segment (body and footnotes), applies batchUpdate
+ * requests to it and serves documents.get in the API's JSON shape. It covers
+ * the requests this CLI sends — text, styles, bullets, tables and column widths, images,
+ * footnotes, person and date chips, breaks and named ranges — closely enough to run markdown round
+ * trips offline. Requests it can't honour fail like a 400 from the API, and a
+ * failed batch leaves the document as it was.
+ */
+
+const BODY = 'body';
+
+const BULLET_GLYPHS = ['●', '○', '■'];
+const NUMBER_GLYPHS = {
+  NUMBERED_DECIMAL_ALPHA_ROMAN: ['DECIMAL', 'ALPHA', 'ROMAN'],
+  NUMBERED_DECIMAL_NESTED: ['DECIMAL'],
+  NUMBERED_UPPERALPHA_ALPHA_ROMAN: ['UPPER_ALPHA', 'ALPHA', 'ROMAN'],
+  NUMBERED_UPPERROMAN_UPPERALPHA_DECIMAL: ['UPPER_ROMAN', 'UPPER_ALPHA', 'DECIMAL'],
+  NUMBERED_ZERODECIMAL_ALPHA_ROMAN: ['ZERO_DECIMAL', 'ALPHA', 'ROMAN']
+};
+
+const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+const invalid = (message) => Object.assign(new Error(message), { code: 400 });
+
+// Units that sit inside a paragraph (everything but table structure and section breaks)
+const isInline = (unit) => unit.type === 'char' || unit.type === 'inlineObject' ||
+  unit.type === 'footnoteReference' || unit.type === 'pageBreak' || unit.type === 'person' || unit.type === 'date';
+const isNewline = (unit) => unit?.type === 'char' && unit.ch === '\n';
+// The end of a table takes no index of its own
+const width = (unit) => unit.type === 'tableEnd' ? 0 : 1;
+
+const paragraphUnit = (paragraph, style = {}) => ({ type: 'char', ch: '\n', style, paragraph });
+const normalParagraph = () => ({ paragraphStyle: { namedStyleType: 'NORMAL_TEXT' } });
+
+/**
+ * Create an empty document: one section break and one empty paragraph
+ * @param {object} [options] - { documentId, title }
+ */
+export function createDocModel({ documentId = 'local-doc', title = 'Untitled document' } = {}) {
+  return {
+    documentId,
+    title,
+    segments: {
+      [BODY]: [
+        { type: 'sectionBreak', sectionStyle: { sectionType: 'CONTINUOUS' } },
+        paragraphUnit(normalParagraph())
+      ]
+    },
+    lists: {},
+    namedRanges: [],
+    inlineObjects: {},
+    documentStyle: {
+      pageSize: { width: { magnitude: 612, unit: 'PT' }, height: { magnitude: 792, unit: 'PT' } },
+      marginTop: { magnitude: 72, unit: 'PT' },
+      marginBottom: { magnitude: 72, unit: 'PT' },
+      marginLeft: { magnitude: 72, unit: 'PT' },
+      marginRight: { magnitude: 72, unit: 'PT' }
+    },
+    nextId: 1
+  };
+}
+
+// ─── Index helpers ─────────────────────────────────────────────
+
+function segmentUnits(model, target = {}) {
+  if (target.tabId && target.tabId !== 't.0') throw invalid(`Tab not found: ${target.tabId}`);
+  const units = model.segments[target.segmentId || BODY];
+  if (!units) throw invalid(`Segment not found: ${target.segmentId}`);
+  return units;
+}
+
+function segmentEnd(units) {
+  return units.reduce((n, u) => n + width(u), 0);
+}
+
+// Position in `units` of the unit that starts at `index` (units.length at the very end)
+function positionOf(units, index) {
+  let at = 0;
+  for (let p = 0; p < units.length; p++) {
+    if (width(units[p]) === 0) continue;
+    if (at === index) return p;
+    at++;
+  }
+  if (at === index) return units.length;
+  throw invalid(`Index ${index} must be less than the end index of the referenced segment, ${at}.`);
+}
+
+function indexOf(units, position) {
+  let at = 0;
+  for (let p = 0; p < position; p++) at += width(units[p]);
+  return at;
+}
+
+// The newline unit that ends the paragraph containing `position`
+function paragraphEndAt(units, position) {
+  for (let p = position; p < units.length; p++) {
+    if (isNewline(units[p])) return p;
+    if (!isInline(units[p])) break;
+  }
+  throw invalid('The insertion index must be inside the bounds of an existing paragraph.');
+}
+
+// Where new inline content goes: must be inside a paragraph
+function insertionPoint(units, index) {
+  const p = positionOf(units, index);
+  if (p >= units.length || !isInline(units[p])) {
+    throw invalid('The insertion index must be inside the bounds of an existing paragraph. You can still create new paragraphs by inserting newlines.');
+  }
+  return p;
+}
+
+// Resolve a location or endOfSegmentLocation to { units, segmentId, index }
+function resolveLocation(model, action) {
+  if (action.endOfSegmentLocation) {
+    const units = segmentUnits(model, action.endOfSegmentLocation);
+    return { units, segmentId: action.endOfSegmentLocation.segmentId, index: segmentEnd(units) - 1 };
+  }
+  if (!action.location) throw invalid('A location or endOfSegmentLocation is required.');
+  const units = segmentUnits(model, action.location);
+  const { index } = action.location;
+  if (!Number.isInteger(index) || index < 0) throw invalid(`Invalid index: ${index}`);
+  if (!action.location.segmentId && index < 1) throw invalid('Index 0 is the section break at the start of the body; insert at index 1 or later.');
+  return { units, segmentId: action.location.segmentId, index };
+}
+
+function resolveRange(model, range, { allowEmpty = false } = {}) {
+  if (!range) throw invalid('A range is required.');
+  const units = segmentUnits(model, range);
+  const { startIndex, endIndex } = range;
+  if (!Number.isInteger(startIndex) || !Number.isInteger(endIndex) || startIndex < 0) {
+    throw invalid(`Invalid range: ${startIndex}-${endIndex}`);
+  }
+  if (endIndex < startIndex || (!allowEmpty && endIndex === startIndex)) {
+    throw invalid(`The range should not be empty (${startIndex}-${endIndex}).`);
+  }
+  const end = segmentEnd(units);
+  if (endIndex > end) throw invalid(`Index ${endIndex} must be less than the end index of the referenced segment, ${end}.`);
+  return { units, segmentId: range.segmentId, startIndex, endIndex };
+}
+
+// Replace units and move named ranges in the segment to match
+function splice(model, segmentId, position, deleteCount, inserted = []) {
+  const units = model.segments[segmentId || BODY];
+  const at = indexOf(units, position);
+  const removed = units.slice(position, position + deleteCount).reduce((n, u) => n + width(u), 0);
+  const added = inserted.reduce((n, u) => n + width(u), 0);
+  const moveStart = (x) => x < at ? x : x < at + removed ? at + added : x - removed + added;
+  const moveEnd = (x) => x <= at ? x : x < at + removed ? at : x - removed + added;
+
+  for (const named of model.namedRanges) {
+    named.ranges = named.ranges.filter(r => {
+      if ((r.segmentId || BODY) !== (segmentId || BODY)) return true;
+      r.startIndex = moveStart(r.startIndex);
+      r.endIndex = moveEnd(r.endIndex);
+      return r.endIndex > r.startIndex;
+    });
+  }
+  model.namedRanges = model.namedRanges.filter(n => n.ranges.length > 0);
+  return units.splice(position, deleteCount, ...inserted);
+}
+
+// Paragraph end positions for every paragraph overlapping [startIndex, endIndex)
+function paragraphsIn(units, startIndex, endIndex) {
+  const ends = [];
+  let at = 0;
+  let paragraphStart = null;
+  for (let p = 0; p < units.length; p++) {
+    const u = units[p];
+    if (isInline(u)) {
+      paragraphStart ??= at;
+      if (isNewline(u)) {
+        const paragraphEnd = at + 1;
+        const overlaps = startIndex === endIndex
+          ? startIndex >= paragraphStart && startIndex < paragraphEnd
+          : paragraphStart < endIndex && paragraphEnd > startIndex;
+        if (overlaps) ends.push(p);
+        paragraphStart = null;
+      }
+    } else {
+      paragraphStart = null;
+    }
+    at += width(u);
+  }
+  return ends;
+}
+
+function paragraphStartOf(units, endPosition) {
+  let p = endPosition;
+  while (p > 0 && isInline(units[p - 1]) && !isNewline(units[p - 1])) p--;
+  return p;
+}
+
+// Set (or clear, when absent from `source`) each field named in the mask
+function applyFields(target, source = {}, fields) {
+  if (!fields) throw invalid('fields is required.');
+  const names = fields.split(',').map(f => f.trim()).filter(Boolean);
+  if (names.includes('*')) {
+    for (const key of Object.keys(target)) delete target[key];
+    for (const [key, value] of Object.entries(source)) setField(target, [key], value);
+    return;
+  }
+  for (const name of names) {
+    const path = name.split('.');
+    let value = source;
+    for (const key of path) value = value?.[key];
+    setField(target, path, value);
+  }
+}
+
+function setField(target, path, value) {
+  let parent = target;
+  for (const key of path.slice(0, -1)) parent = parent[key] ??= {};
+  const key = path[path.length - 1];
+  // The API leaves out false and unset values
+  if (value === undefined || value === null || value === false) delete parent[key];
+  else parent[key] = clone(value);
+}
+
+const newId = (model, prefix) => `${prefix}${(model.nextId++).toString(36).padStart(6, '0')}`;
+
+// ─── Requests ──────────────────────────────────────────────────
+
+const handlers = {
+  insertText(model, action) {
+    const { units, segmentId, index } = resolveLocation(model, action);
+    const p = insertionPoint(units, index);
+    const paragraph = units[paragraphEndAt(units, p)].paragraph;
+    const before = units[p - 1];
+    const style = before && isInline(before) && !isNewline(before) ? before.style : units[p].style;
+    const inserted = [];
+    for (const ch of String(action.text ?? '').replace(/\r\n?/g, '\n').split('')) {
+      if (ch === '\n') {
+        const copy = clone(paragraph);
+        delete copy.paragraphStyle?.headingId;
+        inserted.push(paragraphUnit(copy, clone(style)));
+      } else {
+        inserted.push({ type: 'char', ch, style: clone(style) });
+      }
+    }
+    splice(model, segmentId, p, 0, inserted);
+  },
+
+  deleteContentRange(model, { range }) {
+    const { units, segmentId, startIndex, endIndex } = resolveRange(model, range);
+    if (endIndex >= segmentEnd(units)) throw invalid('The range cannot include the newline character at the end of the segment.');
+    const from = positionOf(units, startIndex);
+    const to = positionOf(units, endIndex);
+    const removed = units.slice(from, to);
+
+    let depth = 0;
+    let firstNewline = null;
+    for (const u of removed) {
+      if (u.type === 'tableStart') depth++;
+      else if (u.type === 'tableEnd') depth--;
+      else if ((u.type === 'rowStart' || u.type === 'cellStart') && depth === 0) depth = -1;
+      if (depth < 0) throw invalid('Invalid deletion range. Cannot delete part of a table.');
+      if (depth === 0 && isNewline(u)) firstNewline ??= u;
+    }
+    if (depth !== 0) throw invalid('Invalid deletion range. Cannot delete part of a table.');
+    if (isNewline(removed[removed.length - 1]) && units[to] && !isInline(units[to]) && units[to].type !== 'sectionBreak') {
+      throw invalid('Invalid deletion range. Cannot delete the newline before a table or at the end of a table cell.');
+    }
+
+    // Joining two paragraphs keeps the style of the first
+    const startsParagraph = from === paragraphStartOf(units, from);
+    if (firstNewline && !startsParagraph && isInline(units[to] || {})) {
+      units[paragraphEndAt(units, to)].paragraph = firstNewline.paragraph;
+    }
+
+    splice(model, segmentId, from, removed.length);
+    for (const u of removed) {
+      if (u.type === 'inlineObject') delete model.inlineObjects[u.id];
+      if (u.type === 'footnoteReference') {
+        delete model.segments[u.id];
+        model.namedRanges = model.namedRanges
+          .map(n => ({ ...n, ranges: n.ranges.filter(r => r.segmentId !== u.id) }))
+          .filter(n => n.ranges.length > 0);
+      }
+    }
+  },
+
+  insertInlineImage(model, action) {
+    const { units, segmentId, index } = resolveLocation(model, action);
+    if (!action.uri) throw invalid('uri is required.');
+    if (segmentId) throw invalid('Inline images cannot be inserted into footnotes.');
+    const p = insertionPoint(units, index);
+    const id = newId(model, 'kix.img');
+    const embeddedObject = { imageProperties: { contentUri: action.uri, sourceUri: action.uri } };
+    if (action.objectSize) embeddedObject.size = clone(action.objectSize);
+    model.inlineObjects[id] = { objectId: id, inlineObjectProperties: { embeddedObject } };
+    splice(model, segmentId, p, 0, [{ type: 'inlineObject', id, style: clone(units[p - 1]?.style || {}) }]);
+    return { objectId: id };
+  },
+
+  insertPerson(model, action) {
+    const { units, segmentId, index } = resolveLocation(model, action);
+    const email = action.personProperties?.email;
+    if (!email) throw invalid('personProperties.email is required.');
+    const p = insertionPoint(units, index);
+    splice(model, segmentId, p, 0, [{ type: 'person', id: newId(model, 'kix.person'), properties: { email }, style: clone(units[p - 1]?.style || {}) }]);
+  },
+
+  insertDate(model, action) {
+    const { units, segmentId, index } = resolveLocation(model, action);
+    const properties = clone(action.dateElementProperties || {});
+    if (!properties.timestamp || isNaN(new Date(properties.timestamp))) throw invalid('dateElementProperties.timestamp is required.');
+    // No locale formats here: the chip reads as an ISO date, with the UTC time if shown
+    const iso = new Date(properties.timestamp).toISOString();
+    const showTime = properties.timeFormat && properties.timeFormat !== 'TIME_FORMAT_DISABLED';
+    properties.displayText = showTime ? `${iso.slice(0, 10)} ${iso.slice(11, 16)}` : iso.slice(0, 10);
+    const p = insertionPoint(units, index);
+    splice(model, segmentId, p, 0, [{ type: 'date', id: newId(model, 'kix.date'), properties, style: clone(units[p - 1]?.style || {}) }]);
+  },
+
+  createFootnote(model, action) {
+    const { units, segmentId, index } = resolveLocation(model, action);
+    if (segmentId) throw invalid('Footnotes can only be created in the body.');
+    const p = insertionPoint(units, index);
+    const id = newId(model, 'kix.fn');
+    model.segments[id] = [{ type: 'char', ch: ' ', style: {} }, paragraphUnit(normalParagraph())];
+    splice(model, segmentId, p, 0, [{ type: 'footnoteReference', id, style: { baselineOffset: 'SUPERSCRIPT' } }]);
+    return { footnoteId: id };
+  },
+
+  insertPageBreak(model, action) {
+    const { units, segmentId, index } = resolveLocation(model, action);
+    if (segmentId) throw invalid('Page breaks can only be inserted in the body.');
+    const p = insertionPoint(units, index);
+    const paragraph = clone(units[paragraphEndAt(units, p)].paragraph);
+    splice(model, segmentId, p, 0, [{ type: 'pageBreak', style: {} }, paragraphUnit(paragraph)]);
+  },
+
+  insertSectionBreak(model, action) {
+    const { units, segmentId, index } = resolveLocation(model, action);
+    if (segmentId) throw invalid('Section breaks can only be inserted in the body.');
+    const p = insertionPoint(units, index);
+    const paragraph = clone(units[paragraphEndAt(units, p)].paragraph);
+    const sectionStyle = { sectionType: action.sectionType || 'NEXT_PAGE' };
+    splice(model, segmentId, p, 0, [paragraphUnit(paragraph), { type: 'sectionBreak', sectionStyle }]);
+  },
+
+  updateTextStyle(model, { range, textStyle, fields }) {
+    const { units, startIndex, endIndex } = resolveRange(model, range);
+    const to = positionOf(units, endIndex);
+    for (let p = positionOf(units, startIndex); p < to; p++) {
+      if (isInline(units[p])) applyFields(units[p].style, textStyle, fields);
+    }
+  },
+
+  updateParagraphStyle(model, { range, paragraphStyle, fields }) {
+    const { units, startIndex, endIndex } = resolveRange(model, range, { allowEmpty: true });
+    for (const p of paragraphsIn(units, startIndex, endIndex)) {
+      const style = units[p].paragraph.paragraphStyle ??= {};
+      applyFields(style, paragraphStyle, fields);
+      // Headings get an ID for links; it goes when the paragraph stops being one
+      if (/^HEADING_\d$/.test(style.namedStyleType || '')) style.headingId ??= newId(model, 'h.');
+      else delete style.headingId;
+    }
+  },
+
+  createParagraphBullets(model, { range, bulletPreset }) {
+    const { units, segmentId, startIndex, endIndex } = resolveRange(model, range, { allowEmpty: true });
+    const preset = bulletPreset || 'BULLET_DISC_CIRCLE_SQUARE';
+    const listId = newId(model, 'kix.list');
+    model.lists[listId] = { listProperties: { nestingLevels: nestingLevels(preset) } };
+    // Last paragraph first, so removing tabs doesn't move the ones still to do
+    for (const end of paragraphsIn(units, startIndex, endIndex).reverse()) {
+      const start = paragraphStartOf(units, end);
+      let tabs = 0;
+      while (units[start + tabs]?.ch === '\t') tabs++;
+      units[end].paragraph.bullet = { listId, nestingLevel: Math.min(tabs, 8), textStyle: {} };
+      if (tabs > 0) splice(model, segmentId, start, tabs);
+    }
+  },
+
+  deleteParagraphBullets(model, { range }) {
+    const { units, startIndex, endIndex } = resolveRange(model, range, { allowEmpty: true });
+    for (const p of paragraphsIn(units, startIndex, endIndex)) delete units[p].paragraph.bullet;
+  },
+
+  insertTable(model, action) {
+    const { units, segmentId, index } = resolveLocation(model, action);
+    const { rows, columns } = action;
+    if (!(rows > 0 && columns > 0)) throw invalid('A table needs at least one row and one column.');
+    const p = insertionPoint(units, index);
+    const paragraph = clone(units[paragraphEndAt(units, p)].paragraph);
+    const columnProperties = Array.from({ length: columns }, () => ({ widthType: 'EVENLY_DISTRIBUTED' }));
+    const inserted = [paragraphUnit(paragraph), { type: 'tableStart', rows, columns, columnProperties }];
+    for (let r = 0; r < rows; r++) {
+      inserted.push({ type: 'rowStart' });
+      for (let c = 0; c < columns; c++) {
+        inserted.push({ type: 'cellStart', cellStyle: {} }, paragraphUnit(normalParagraph()));
+      }
+    }
+    inserted.push({ type: 'tableEnd' });
+    splice(model, segmentId, p, 0, inserted);
+  },
+
+  updateTableCellStyle(model, { tableRange, tableStartLocation, tableCellStyle, fields }) {
+    const location = tableRange?.tableCellLocation;
+    const start = location?.tableStartLocation || tableStartLocation;
+    if (!start) throw invalid('tableRange or tableStartLocation is required.');
+    const units = segmentUnits(model, start);
+    const p = positionOf(units, start.index);
+    if (units[p]?.type !== 'tableStart') throw invalid(`Invalid table start location ${start.index}: no table starts there.`);
+
+    const cells = tableCells(units, p);
+    const row = location?.rowIndex ?? 0;
+    const column = location?.columnIndex ?? 0;
+    const rowSpan = tableRange?.rowSpan ?? cells.length;
+    const columnSpan = tableRange?.columnSpan ?? cells[0].length;
+    if (row + rowSpan > cells.length || column + columnSpan > cells[0].length) {
+      throw invalid('The table range is outside the table.');
+    }
+    for (let r = row; r < row + rowSpan; r++) {
+      for (let c = column; c < column + columnSpan; c++) applyFields(units[cells[r][c]].cellStyle, tableCellStyle, fields);
+    }
+  },
+
+  updateTableColumnProperties(model, { tableStartLocation, columnIndices, tableColumnProperties, fields }) {
+    if (!tableStartLocation) throw invalid('tableStartLocation is required.');
+    const units = segmentUnits(model, tableStartLocation);
+    const table = units[positionOf(units, tableStartLocation.index)];
+    if (table?.type !== 'tableStart') throw invalid(`Invalid table start location ${tableStartLocation.index}: no table starts there.`);
+    const columns = columnIndices?.length ? columnIndices : table.columnProperties.map((_, i) => i);
+    if (columns.some(c => !(c >= 0 && c < table.columns))) throw invalid('The column index is outside the table.');
+    for (const c of columns) applyFields(table.columnProperties[c], tableColumnProperties, fields);
+  },
+
+  createNamedRange(model, { name, range }) {
+    if (!name || name.length > 256) throw invalid('Named range names must be 1 to 256 characters long.');
+    const { segmentId, startIndex, endIndex } = resolveRange(model, range);
+    const namedRangeId = newId(model, 'kix.nr');
+    const r = { startIndex, endIndex };
+    if (segmentId) r.segmentId = segmentId;
+    model.namedRanges.push({ namedRangeId, name, ranges: [r] });
+    return { namedRangeId };
+  },
+
+  deleteNamedRange(model, { namedRangeId, name }) {
+    if (!namedRangeId && !name) throw invalid('namedRangeId or name is required.');
+    model.namedRanges = model.namedRanges.filter(n => namedRangeId ? n.namedRangeId !== namedRangeId : n.name !== name);
+  },
+
+  updateDocumentStyle(model, { documentStyle, fields }) {
+    applyFields(model.documentStyle, documentStyle, fields);
+  }
+};
+
+function nestingLevels(preset) {
+  return Array.from({ length: 9 }, (_, level) => {
+    if (preset === 'BULLET_CHECKBOX') return { glyphType: 'GLYPH_TYPE_UNSPECIFIED', startNumber: 1 };
+    if (preset.startsWith('BULLET_')) return { glyphSymbol: BULLET_GLYPHS[level % 3], startNumber: 1 };
+    const types = NUMBER_GLYPHS[preset] || ['DECIMAL'];
+    // Nested numbering repeats the parents' numbers: 1. / 1.1. / 1.1.1.
+    const glyphFormat = preset === 'NUMBERED_DECIMAL_NESTED'
+      ? Array.from({ length: level + 1 }, (_, l) => `%${l}.`).join('')
+      : `%${level}.`;
+    return { glyphType: types[level % types.length], glyphFormat, startNumber: 1 };
+  });
+}
+
+// Positions of each table cell's start unit, by row and column
+function tableCells(units, tableStart) {
+  const rows = [];
+  let depth = 0;
+  for (let p = tableStart + 1; p < units.length; p++) {
+    const u = units[p];
+    if (u.type === 'tableEnd' && depth-- === 0) break;
+    if (u.type === 'tableStart') depth++;
+    if (depth > 0) continue;
+    if (u.type === 'rowStart') rows.push([]);
+    if (u.type === 'cellStart') rows[rows.length - 1].push(p);
+  }
+  return rows;
+}
+
+/**
+ * Apply a batchUpdate. All or nothing: if any request fails, the document is
+ * left as it was and the error names the failing request.
+ * @param {object} model - From createDocModel
+ * @param {Array} requests - Docs API requests
+ * @returns {Array} Replies, one per request
+ */
+export function applyRequests(model, requests) {
+  const saved = clone(model);
+  const replies = [];
+  try {
+    requests.forEach((request, i) => {
+      const [type, action] = Object.entries(request)[0] || [];
+      if (!handlers[type]) throw invalid(`Invalid requests[${i}]: unsupported request ${type || '(empty)'}.`);
+      try {
+        const reply = handlers[type](model, action || {});
+        replies.push(reply ? { [type]: reply } : {});
+      } catch (e) {
+        e.message = `Invalid requests[${i}].${type}: ${e.message}`;
+        e.requestIndex = i;
+        throw e;
+      }
+    });
+  } catch (e) {
+    for (const key of Object.keys(model)) delete model[key];
+    Object.assign(model, saved);
+    throw e;
+  }
+  return replies;
+}
+
+// ─── Rendering ─────────────────────────────────────────────────
+
+// Style key with sorted keys, so equal styles compare equal
+const styleKey = (style) => JSON.stringify(style, (_, v) =>
+  v && typeof v === 'object' && !Array.isArray(v) ? Object.fromEntries(Object.entries(v).sort()) : v);
+
+function renderSegment(units, footnoteNumbers) {
+  let p = 0;
+  let index = 0;
+  const indexed = (startIndex, endIndex, body) => startIndex === 0 ? { endIndex, ...body } : { startIndex, endIndex, ...body };
+
+  function structural(stop) {
+    const content = [];
+    while (p < units.length && !stop(units[p])) {
+      const u = units[p];
+      if (u.type === 'sectionBreak') {
+        content.push(indexed(index, index + 1, { sectionBreak: { sectionStyle: clone(u.sectionStyle) } }));
+        p++; index++;
+      } else if (u.type === 'tableStart') {
+        content.push(table());
+      } else {
+        content.push(paragraph());
+      }
+    }
+    return content;
+  }
+
+  function paragraph() {
+    const startIndex = index;
+    const elements = [];
+    let run = null;
+    let props = null;
+    while (p < units.length && isInline(units[p])) {
+      const u = units[p];
+      const start = index;
+      p++; index++;
+      if (u.type === 'char') {
+        if (run && styleKey(run.textRun.textStyle) === styleKey(u.style)) {
+          run.textRun.content += u.ch;
+          run.endIndex = index;
+        } else {
+          run = indexed(start, index, { textRun: { content: u.ch, textStyle: clone(u.style) } });
+          elements.push(run);
+        }
+        if (u.ch === '\n') { props = u.paragraph; break; }
+        continue;
+      }
+      run = null;
+      if (u.type === 'inlineObject') {
+        elements.push(indexed(start, index, { inlineObjectElement: { inlineObjectId: u.id, textStyle: clone(u.style) } }));
+      } else if (u.type === 'person') {
+        elements.push(indexed(start, index, { person: { personId: u.id, personProperties: clone(u.properties), textStyle: clone(u.style) } }));
+      } else if (u.type === 'date') {
+        elements.push(indexed(start, index, { dateElement: { dateId: u.id, dateElementProperties: clone(u.properties), textStyle: clone(u.style) } }));
+      } else if (u.type === 'footnoteReference') {
+        elements.push(indexed(start, index, {
+          footnoteReference: { footnoteId: u.id, footnoteNumber: String(footnoteNumbers[u.id]), textStyle: clone(u.style) }
+        }));
+      } else {
+        elements.push(indexed(start, index, { pageBreak: { textStyle: clone(u.style) } }));
+      }
+    }
+    const body = { paragraph: { elements, paragraphStyle: clone(props?.paragraphStyle || {}) } };
+    if (props?.bullet) body.paragraph.bullet = clone(props.bullet);
+    return indexed(startIndex, index, body);
+  }
+
+  function table() {
+    const { rows, columns, columnProperties } = units[p];
+    const startIndex = index;
+    p++; index++;
+    const tableRows = [];
+    while (units[p]?.type === 'rowStart') {
+      const rowStart = index;
+      p++; index++;
+      const tableCells = [];
+      while (units[p]?.type === 'cellStart') {
+        const cellStart = index;
+        const tableCellStyle = clone(units[p].cellStyle);
+        p++; index++;
+        const content = structural(u => u.type === 'cellStart' || u.type === 'rowStart' || u.type === 'tableEnd');
+        tableCells.push({ startIndex: cellStart, endIndex: index, content, tableCellStyle });
+      }
+      tableRows.push({ startIndex: rowStart, endIndex: index, tableCells });
+    }
+    p++; // tableEnd
+    return { startIndex, endIndex: index, table: { rows, columns, tableRows, tableStyle: { tableColumnProperties: clone(columnProperties) } } };
+  }
+
+  return structural(() => false);
+}
+
+function renderTab(model) {
+  const body = model.segments[BODY];
+  const footnoteNumbers = {};
+  for (const u of body) {
+    if (u.type === 'footnoteReference') footnoteNumbers[u.id] = Object.keys(footnoteNumbers).length + 1;
+  }
+
+  const footnotes = {};
+  for (const id of Object.keys(footnoteNumbers)) {
+    footnotes[id] = { footnoteId: id, content: renderSegment(model.segments[id], footnoteNumbers) };
+  }
+  const namedRanges = {};
+  for (const { namedRangeId, name, ranges } of model.namedRanges) {
+    (namedRanges[name] ??= { name, namedRanges: [] }).namedRanges.push({ namedRangeId, name, ranges: clone(ranges) });
+  }
+  return {
+    body: { content: renderSegment(body, footnoteNumbers) },
+    lists: clone(model.lists),
+    namedRanges,
+    inlineObjects: clone(model.inlineObjects),
+    footnotes,
+    documentStyle: clone(model.documentStyle)
+  };
+}
+
+/**
+ * The document as documents.get returns it
+ * @param {object} model - From createDocModel
+ * @param {object} [options] - { includeTabsContent: boolean } — content under tabs[] instead of the top level
+ */
+export function renderDocument(model, { includeTabsContent = false } = {}) {
+  const { documentId, title } = model;
+  const tab = renderTab(model);
+  if (!includeTabsContent) return { documentId, title, ...tab };
+  return {
+    documentId,
+    title,
+    tabs: [{ tabProperties: { tabId: 't.0', title: 'Tab 1', index: 0 }, documentTab: tab }]
+  };
+}
+
+/**
+ * A Docs API client (documents.get / documents.batchUpdate) backed by a model,
+ * for code that takes the googleapis client
+ */
+export function docsClient(model) {
+  return {
+    documents: {
+      async get({ includeTabsContent } = {}) {
+        return { data: renderDocument(model, { includeTabsContent }) };
+      },
+      async batchUpdate({ requestBody }) {
+        const replies = applyRequests(model, requestBody?.requests || []);
+        return { data: { documentId: model.documentId, replies } };
+      }
+    }
+  };
+}
@@ -0,0 +1,454 @@
+/**
+ * Offline preview of markdown written to a Google Doc
+ *
+ * Runs create-doc's requests (main batch, footnote bodies, tables, heading
+ * links) against the in-memory doc model and renders the result as HTML or
+ * as ANSI-styled terminal text. Requests the Docs API would reject are
+ * reported and skipped, so the preview still shows everything else, and style
+ * requests whose ranges partly overlap with conflicting values are flagged —
+ * usually a sign that an index was computed wrong.
+ */
+
+import { generateDocRequests, IMAGE_ALT_PREFIX } from './markdown-parser.js';
+import { processTables, processFootnotes, hasAnchorLinks, resolveHeadingLinks } from './doc-writer.js';
+import { createDocModel, applyRequests, renderDocument } from './doc-model.js';
+
+const SIMULATED_ID = 'preview';
+
+// A docs client whose batchUpdate applies what it can and records the rest
+function lenientClient(model, problems) {
+  let batch = 0;
+  const report = (list) => problems.push(...list.map(p => ({ ...p, message: `batch ${batch}: ${p.message}` })));
+  return {
+    documents: {
+      async get({ includeTabsContent } = {}) {
+        return { data: renderDocument(model, { includeTabsContent }) };
+      },
+      async batchUpdate({ requestBody }) {
+        const requests = requestBody?.requests || [];
+        batch++;
+        report(findOverlaps(requests));
+        try {
+          return { data: { replies: applyRequests(model, requests) } };
+        } catch {
+          // One at a time, so a bad request only loses itself
+          const replies = requests.map((request, i) => {
+            try {
+              return applyRequests(model, [request])[0];
+            } catch (e) {
+              report([{ type: 'invalid', message: e.message.replace('requests[0]', `requests[${i}]`) }]);
+              return {};
+            }
+          });
+          return { data: { replies } };
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Apply markdown to an empty in-memory doc, as create-doc would
+ * Batches are numbered in problem messages: 1 is the main batch, then one
+ * for footnote bodies and two per table.
+ * @param {string} markdown
+ * @param {object} [options] - generateDocRequests options; onWarning also hears from the follow-up passes
+ * @returns {Promise<object>} generateDocRequests' result plus `doc` (documents.get shape),
+ *   `model` (the in-memory doc, for further edits) and `problems` ({ type: 'invalid'|'overlap', message })
+ */
+export async function simulateCreateDoc(markdown, options = {}) {
+  const model = createDocModel({ documentId: SIMULATED_ID });
+  const problems = [];
+  const docs = lenientClient(model, problems);
+
+  const result = generateDocRequests(markdown, 1, options);
+  const { requests, tables, footnotes } = result;
+  if (requests.length > 0) {
+    const res = await docs.documents.batchUpdate({ documentId: SIMULATED_ID, requestBody: { requests } });
+    await processFootnotes(docs, SIMULATED_ID, footnotes, res.data.replies);
+  }
+  await processTables(docs, SIMULATED_ID, tables);
+  if (hasAnchorLinks(requests, tables)) await resolveHeadingLinks(docs, SIMULATED_ID, undefined, { onWarning: options.onWarning });
+  return { ...result, doc: renderDocument(model), model, problems };
+}
+
+// ─── Overlap check ─────────────────────────────────────────────
+
+const STYLE_REQUESTS = { updateTextStyle: 'textStyle', updateParagraphStyle: 'paragraphStyle' };
+
+/**
+ * Style requests in one batch that set the same field to different values on
+ * ranges that partly overlap. Nesting (a code span inside a bold run, the body
+ * font under everything) is how formatting layers and isn't reported; a
+ * partial overlap means one of the two ranges is off. Bullet ranges that
+ * partly overlap are reported too.
+ * @param {Array} requests - One batchUpdate's requests
+ * @returns {Array<{ type: 'overlap', message: string }>}
+ */
+export function findOverlaps(requests) {
+  const problems = [];
+  const seen = { updateTextStyle: [], updateParagraphStyle: [], createParagraphBullets: [] };
+  const partlyOverlap = (a, b) => (a.segmentId || '') === (b.segmentId || '') &&
+    a.startIndex < b.endIndex && b.startIndex < a.endIndex &&
+    !(a.startIndex <= b.startIndex && a.endIndex >= b.endIndex) &&
+    !(b.startIndex <= a.startIndex && b.endIndex >= a.endIndex);
+
+  // Text inserted or deleted later in the batch moves the earlier ranges
+  const shift = (segmentId, at, delta) => {
+    for (const entry of Object.values(seen).flat()) {
+      const r = entry.range;
+      if ((r.segmentId || '') !== (segmentId || '')) continue;
+      const move = (x, isEnd) => x > at || (x === at && !isEnd) ? Math.max(at, x + delta) : x;
+      entry.range = { ...r, startIndex: move(r.startIndex, false), endIndex: move(r.endIndex, true) };
+    }
+  };
+
+  requests.forEach((request, i) => {
+    const [type, action] = Object.entries(request)[0] || [];
+    if (type === 'insertText' && action.location) shift(action.location.segmentId, action.location.index, action.text.length);
+    if (type === 'deleteContentRange') {
+      const { segmentId, startIndex, endIndex } = action.range;
+      shift(segmentId, startIndex, startIndex - endIndex);
+    }
+    if (!seen[type] || !action?.range) return;
+    const { range } = action;
+    const values = {};
+    if (STYLE_REQUESTS[type]) {
+      const style = action[STYLE_REQUESTS[type]] || {};
+      const fields = action.fields === '*' ? Object.keys(style) : (action.fields || '').split(',').map(f => f.trim());
+      for (const field of fields) values[field] = JSON.stringify(style[field] ?? null);
+    }
+    for (const earlier of seen[type]) {
+      if (!partlyOverlap(earlier.range, range)) continue;
+      const clash = STYLE_REQUESTS[type]
+        ? Object.keys(values).filter(f => f in earlier.values && earlier.values[f] !== values[f])
+        : ['bullets'];
+      if (clash.length === 0) continue;
+      problems.push({
+        type: 'overlap',
+        message: `requests[${earlier.i}] (${earlier.range.startIndex}-${earlier.range.endIndex}) and requests[${i}] ` +
+          `(${range.startIndex}-${range.endIndex}) partly overlap: ${type} ${clash.join(', ')}`
+      });
+    }
+    seen[type].push({ i, range, values });
+  });
+  return problems;
+}
+
+// ─── Shared walk ───────────────────────────────────────────────
+
+const ROMAN = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'], [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+
+function formatNumber(n, glyphType) {
+  switch (glyphType) {
+    case 'ZERO_DECIMAL': return String(n).padStart(2, '0');
+    case 'ALPHA':
+    case 'UPPER_ALPHA': {
+      let s = '';
+      for (let k = n; k > 0; k = Math.floor((k - 1) / 26)) s = String.fromCharCode(97 + (k - 1) % 26) + s;
+      return glyphType === 'UPPER_ALPHA' ? s.toUpperCase() : s;
+    }
+    case 'ROMAN':
+    case 'UPPER_ROMAN': {
+      let s = '';
+      let k = n;
+      for (const [value, numeral] of ROMAN) while (k >= value) { s += numeral; k -= value; }
+      return glyphType === 'UPPER_ROMAN' ? s.toUpperCase() : s;
+    }
+    default: return String(n);
+  }
+}
+
+// Bullet glyphs as Docs shows them: numbers count per list and nesting level
+function listMarkers(doc) {
+  const counters = {};
+  return (bullet) => {
+    const levels = doc.lists?.[bullet.listId]?.listProperties?.nestingLevels || [];
+    const level = bullet.nestingLevel || 0;
+    const props = levels[level] || {};
+    if (props.glyphSymbol) return props.glyphSymbol;
+    if (!props.glyphType || props.glyphType === 'GLYPH_TYPE_UNSPECIFIED') return '☐';
+    const counts = counters[bullet.listId] ??= [];
+    counts.length = level + 1;
+    counts[level] = (counts[level] ?? (props.startNumber ?? 1) - 1) + 1;
+    const format = props.glyphFormat || `%${level}.`;
+    return format.replace(/%(\d)/g, (_, l) => formatNumber(counts[l] ?? levels[l]?.startNumber ?? 1, levels[l]?.glyphType));
+  };
+}
+
+const rgb = (color) => color?.color?.rgbColor;
+const pt = (dimension) => dimension?.magnitude || 0;
+const headingLevel = (style) => /^HEADING_(\d)$/.exec(style?.namedStyleType || '')?.[1];
+
+// Alt text stored in img-alt: named ranges, by the image's start index
+function altTexts(doc) {
+  const alts = {};
+  for (const [name, { namedRanges }] of Object.entries(doc.namedRanges || {})) {
+    if (!name.startsWith(IMAGE_ALT_PREFIX)) continue;
+    for (const r of namedRanges.flatMap(n => n.ranges || [])) alts[r.startIndex] = name.slice(IMAGE_ALT_PREFIX.length);
+  }
+  return alts;
+}
+
+// What a smart chip shows, and where it points: a person's name (or address),
+// a date's text, a rich link's title
+function chip(el) {
+  if (el.person) {
+    const { name, email } = el.person.personProperties || {};
+    return { label: name || email || '', href: email && `mailto:${email}` };
+  }
+  if (el.dateElement) return { label: el.dateElement.dateElementProperties?.displayText || '' };
+  if (el.richLink) {
+    const { title, uri } = el.richLink.richLinkProperties || {};
+    return { label: title || uri || '', href: uri };
+  }
+  return null;
+}
+
+// ─── HTML ──────────────────────────────────────────────────────
+
+const escapeHtml = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const cssColor = (c) => `rgb(${['red', 'green', 'blue'].map(k => Math.round((c[k] || 0) * 255)).join(',')})`;
+
+function textCss(ts = {}) {
+  const css = [];
+  if (ts.bold) css.push('font-weight:bold');
+  if (ts.italic) css.push('font-style:italic');
+  const decoration = [ts.underline && 'underline', ts.strikethrough && 'line-through'].filter(Boolean);
+  if (decoration.length) css.push(`text-decoration:${decoration.join(' ')}`);
+  if (rgb(ts.foregroundColor)) css.push(`color:${cssColor(rgb(ts.foregroundColor))}`);
+  if (rgb(ts.backgroundColor)) css.push(`background:${cssColor(rgb(ts.backgroundColor))}`);
+  if (ts.weightedFontFamily?.fontFamily) css.push(`font-family:'${ts.weightedFontFamily.fontFamily}'`);
+  if (ts.fontSize) css.push(`font-size:${pt(ts.fontSize)}pt`);
+  if (ts.smallCaps) css.push('font-variant:small-caps');
+  if (ts.baselineOffset === 'SUPERSCRIPT') css.push('vertical-align:super;font-size:smaller');
+  if (ts.baselineOffset === 'SUBSCRIPT') css.push('vertical-align:sub;font-size:smaller');
+  return css.join(';');
+}
+
+const ALIGN = { START: 'left', CENTER: 'center', END: 'right', JUSTIFIED: 'justify' };
+
+function paragraphCss(ps = {}) {
+  const css = [];
+  if (ALIGN[ps.alignment]) css.push(`text-align:${ALIGN[ps.alignment]}`);
+  if (ps.indentStart) css.push(`margin-left:${pt(ps.indentStart)}pt`);
+  if (ps.indentFirstLine) css.push(`text-indent:${pt(ps.indentFirstLine) - pt(ps.indentStart)}pt`);
+  if (ps.spaceAbove) css.push(`margin-top:${pt(ps.spaceAbove)}pt`);
+  if (ps.spaceBelow) css.push(`margin-bottom:${pt(ps.spaceBelow)}pt`);
+  if (ps.lineSpacing) css.push(`line-height:${ps.lineSpacing / 100}`);
+  if (rgb(ps.shading?.backgroundColor)) css.push(`background:${cssColor(rgb(ps.shading.backgroundColor))}`);
+  for (const side of ['Top', 'Bottom', 'Left', 'Right']) {
+    const border = ps[`border${side}`];
+    if (!pt(border?.width)) continue;
+    css.push(`border-${side.toLowerCase()}:${pt(border.width)}pt solid ${cssColor(rgb(border.color) || {})}`);
+    if (border.padding) css.push(`padding-${side.toLowerCase()}:${pt(border.padding)}pt`);
+  }
+  return css.join(';');
+}
+
+/**
+ * Render a document (documents.get shape) as a standalone HTML page
+ */
+export function renderHtml(doc) {
+  const marker = listMarkers(doc);
+  const alts = altTexts(doc);
+  const footnoteIds = [];
+
+  const inline = (elements) => elements.map(el => {
+    if (el.inlineObjectElement) {
+      const embedded = doc.inlineObjects?.[el.inlineObjectElement.inlineObjectId]?.inlineObjectProperties?.embeddedObject;
+      const src = embedded?.imageProperties?.contentUri || embedded?.imageProperties?.sourceUri || '';
+      const size = embedded?.size;
+      const dims = [size?.width && `width:${pt(size.width)}pt`, size?.height && `height:${pt(size.height)}pt`].filter(Boolean).join(';');
+      return `<img src="${escapeHtml(src)}" alt="${escapeHtml(alts[el.startIndex] || '')}"${dims ? ` style="${dims}"` : ''}>`;
+    }
+    if (el.footnoteReference) {
+      footnoteIds.push(el.footnoteReference.footnoteId);
+      const n = el.footnoteReference.footnoteNumber;
+      return `<sup><a href="#fn${n}" id="fnref${n}">${n}</a></sup>`;
+    }
+    if (el.pageBreak) return '<hr class="page-break">';
+    const smartChip = chip(el);
+    if (smartChip) {
+      const label = escapeHtml(smartChip.label);
+      return smartChip.href ? `<a class="chip" href="${escapeHtml(smartChip.href)}">${label}</a>` : `<span class="chip">${label}</span>`;
+    }
+    const content = el.textRun?.content?.replace(/\n$/, '');
+    if (!content) return '';
+    const ts = el.textRun.textStyle || {};
+    const css = textCss(ts);
+    let html = escapeHtml(content).replace(/\u000b/g, '<br>');
+    if (css) html = `<span style="${css}">${html}</span>`;
+    const href = ts.link?.url || (ts.link?.headingId && `#${ts.link.headingId}`) || (ts.link?.heading && `#${ts.link.heading.id}`);
+    return href ? `<a href="${escapeHtml(href)}">${html}</a>` : html;
+  }).join('');
+
+  const block = (content) => content.map((element, i) => {
+    if (element.sectionBreak) return i === 0 ? '' : '<hr class="section-break">';
+    if (element.table) {
+      const rows = element.table.tableRows.map(row => '<tr>' + row.tableCells.map(cell => {
+        const bg = rgb(cell.tableCellStyle?.backgroundColor);
+        return `<td${bg ? ` style="background:${cssColor(bg)}"` : ''}>${block(cell.content)}</td>`;
+      }).join('') + '</tr>').join('\n');
+      return `<table>\n${rows}\n</table>`;
+    }
+    const para = element.paragraph;
+    if (!para) return '';
+    const ps = para.paragraphStyle || {};
+    const level = headingLevel(ps);
+    const tag = level ? `h${level}` : 'p';
+    const cls = ps.namedStyleType === 'TITLE' || ps.namedStyleType === 'SUBTITLE' ? ` class="${ps.namedStyleType.toLowerCase()}"` : '';
+    const id = ps.headingId ? ` id="${ps.headingId}"` : '';
+    let css = paragraphCss(ps);
+    let body = inline(para.elements || []);
+    if (para.bullet) {
+      if (!ps.indentStart) css = [`margin-left:${18 * ((para.bullet.nestingLevel || 0) + 1)}pt`, css].filter(Boolean).join(';');
+      body = `<span class="bullet">${escapeHtml(marker(para.bullet))}</span> ${body}`;
+    }
+    return `<${tag}${id}${cls}${css ? ` style="${css}"` : ''}>${body || '<br>'}</${tag}>`;
+  }).filter(Boolean).join('\n');
+
+  const main = block(doc.body?.content || []);
+  const notes = footnoteIds.map((id, i) =>
+    `<li id="fn${i + 1}">${block(doc.footnotes?.[id]?.content || [])} <a href="#fnref${i + 1}">↩</a></li>`).join('\n');
+
+  const page = doc.documentStyle || {};
+  const width = pt(page.pageSize?.width) - pt(page.marginLeft) - pt(page.marginRight);
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(doc.title || 'Preview')}</title>
+<style>
+body { font-family: Arial, sans-serif; font-size: 11pt; max-width: ${width > 0 ? width : 468}pt; margin: 2em auto; padding: 0 1em; }
+p, h1, h2, h3, h4, h5, h6 { margin: 0 0 6pt; }
+.title { font-size: 26pt; } .subtitle { font-size: 15pt; color: #666; }
+table { border-collapse: collapse; margin: 6pt 0; } td { border: 1px solid #999; padding: 4pt 6pt; vertical-align: top; }
+.bullet { display: inline-block; min-width: 1.5em; }
+hr.page-break { border: 0; border-top: 2px dashed #bbb; margin: 2em 0; }
+.chip { background: #f1f3f4; border-radius: 1em; padding: 0 0.5em; color: inherit; text-decoration: none; }
+.footnotes { border-top: 1px solid #ccc; margin-top: 2em; font-size: 10pt; }
+</style>
+</head>
+<body>
+${main}
+${notes ? `<ol class="footnotes">\n${notes}\n</ol>\n` : ''}</body>
+</html>
+`;
+}
+
+// ─── ANSI ──────────────────────────────────────────────────────
+
+const SUPERSCRIPTS = { 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹', '+': '⁺', '-': '⁻', '−': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', n: 'ⁿ', i: 'ⁱ' };
+const SUBSCRIPTS = { 0: '₀', 1: '₁', 2: '₂', 3: '₃', 4: '₄', 5: '₅', 6: '₆', 7: '₇', 8: '₈', 9: '₉', '+': '₊', '-': '₋', '−': '₋', '=': '₌', '(': '₍', ')': '₎' };
+
+const sgr = (codes) => codes.length ? `\x1b[${codes.join(';')}m` : '';
+const RESET = '\x1b[0m';
+const ansiColor = (c, base) => `${base};2;${['red', 'green', 'blue'].map(k => Math.round((c[k] || 0) * 255)).join(';')}`;
+const visibleLength = (s) => [...s.replace(/\x1b\[[\d;]*m/g, '')].length;
+
+function textCodes(ts = {}) {
+  const codes = [];
+  if (ts.bold) codes.push(1);
+  if (ts.italic) codes.push(3);
+  if (ts.underline || ts.link) codes.push(4);
+  if (ts.strikethrough) codes.push(9);
+  if (rgb(ts.foregroundColor)) codes.push(ansiColor(rgb(ts.foregroundColor), 38));
+  if (rgb(ts.backgroundColor)) codes.push(ansiColor(rgb(ts.backgroundColor), 48));
+  return codes;
+}
+
+/**
+ * Render a document (documents.get shape) as ANSI-styled terminal text
+ * @param {object} doc
+ * @param {object} [options] - { width: number } — columns, for centred and boxed paragraphs
+ */
+export function renderAnsi(doc, { width = 80 } = {}) {
+  const marker = listMarkers(doc);
+  const alts = altTexts(doc);
+  const footnoteIds = [];
+
+  const inline = (elements, base = []) => elements.map(el => {
+    if (el.inlineObjectElement) return `${sgr([2])}[image${alts[el.startIndex] ? `: ${alts[el.startIndex]}` : ''}]${RESET}${sgr(base)}`;
+    if (el.footnoteReference) {
+      footnoteIds.push(el.footnoteReference.footnoteId);
+      return [...el.footnoteReference.footnoteNumber].map(d => SUPERSCRIPTS[d]).join('');
+    }
+    if (el.pageBreak) return '';
+    const smartChip = chip(el);
+    if (smartChip) return `${sgr([4])}${smartChip.label}${RESET}${sgr(base)}`;
+    let content = el.textRun?.content?.replace(/\n$/, '').replace(/\u000b/g, '\n');
+    if (!content) return '';
+    const ts = el.textRun.textStyle || {};
+    const scripts = ts.baselineOffset === 'SUPERSCRIPT' ? SUPERSCRIPTS : ts.baselineOffset === 'SUBSCRIPT' ? SUBSCRIPTS : null;
+    if (scripts) content = [...content].map(ch => scripts[ch] || ch).join('');
+    const codes = textCodes(ts);
+    return codes.length ? `${sgr(codes)}${content}${RESET}${sgr(base)}` : content;
+  }).join('');
+
+  const paragraph = (para, columns) => {
+    const ps = para.paragraphStyle || {};
+    const level = headingLevel(ps);
+    const isTitle = ps.namedStyleType === 'TITLE';
+    const base = level || isTitle ? [1] : ps.namedStyleType === 'SUBTITLE' ? [2] : [];
+    if (level === '1' || isTitle) base.push(4);
+    const shade = rgb(ps.shading?.backgroundColor);
+    if (shade) base.push(ansiColor(shade, 48));
+
+    let text = inline(para.elements || [], base);
+    let indent = ' '.repeat(Math.round(pt(ps.indentStart) / 9));
+    if (para.bullet) {
+      indent = ' '.repeat((para.bullet.nestingLevel || 0) * 4) + (ps.indentStart ? '' : '  ');
+      text = `${marker(para.bullet)} ${text}`;
+    }
+    const quoteBorder = pt(ps.borderLeft?.width) && !pt(ps.borderTop?.width) ? rgb(ps.borderLeft.color) : null;
+    const pageBreak = (para.elements || []).some(el => el.pageBreak);
+
+    const border = quoteBorder ? `${sgr([ansiColor(quoteBorder, 38)])}│${RESET}${sgr(base)} ` : '';
+
+    const lines = text.split('\n').map(line => {
+      let out = indent + border + line;
+      if (ps.alignment === 'CENTER') out = ' '.repeat(Math.max(0, Math.floor((columns - visibleLength(out)) / 2))) + out;
+      if (ps.alignment === 'END') out = ' '.repeat(Math.max(0, columns - visibleLength(out))) + out;
+      // Shaded paragraphs (code boxes, callouts) fill the line, like the box in Docs
+      if (shade) out += ' '.repeat(Math.max(0, columns - visibleLength(out)));
+      return `${sgr(base)}${out}${RESET}`;
+    });
+    if (pageBreak) lines.push(`${sgr([2])}${'─'.repeat(8)} page break ${'─'.repeat(8)}${RESET}`);
+    return lines.join('\n');
+  };
+
+  const table = (element) => {
+    const rows = element.table.tableRows.map(row => row.tableCells.map(cell => {
+      const bg = rgb(cell.tableCellStyle?.backgroundColor);
+      const text = (cell.content || []).filter(c => c.paragraph).map(c => inline(c.paragraph.elements || [])).join(' ');
+      return { text: text.replace(/\n/g, ' '), bg };
+    }));
+    const widths = [];
+    for (const row of rows) row.forEach((cell, c) => { widths[c] = Math.max(widths[c] || 0, visibleLength(cell.text)); });
+    const rule = (left, mid, right) => left + widths.map(w => '─'.repeat(w + 2)).join(mid) + right;
+    const lines = [rule('┌', '┬', '┐')];
+    rows.forEach((row, r) => {
+      lines.push('│' + row.map((cell, c) => {
+        const padded = ` ${cell.text}${' '.repeat(widths[c] - visibleLength(cell.text))} `;
+        return cell.bg ? `${sgr([ansiColor(cell.bg, 48)])}${padded.replace(/\x1b\[0m/g, RESET + sgr([ansiColor(cell.bg, 48)]))}${RESET}` : padded;
+      }).join('│') + '│');
+      if (r < rows.length - 1) lines.push(rule('├', '┼', '┤'));
+    });
+    lines.push(rule('└', '┴', '┘'));
+    return lines.join('\n');
+  };
+
+  const block = (content, columns) => content.map((element, i) => {
+    if (element.sectionBreak) return i === 0 ? null : `${sgr([2])}${'═'.repeat(8)} section break ${'═'.repeat(8)}${RESET}`;
+    if (element.table) return table(element);
+    return element.paragraph ? paragraph(element.paragraph, columns) : null;
+  }).filter(line => line !== null).join('\n');
+
+  let output = block(doc.body?.content || [], width);
+  if (footnoteIds.length > 0) {
+    output += `\n${sgr([2])}${'─'.repeat(20)}${RESET}\n` + footnoteIds.map((id, i) =>
+      `${[...String(i + 1)].map(d => SUPERSCRIPTS[d]).join('')}${block(doc.footnotes?.[id]?.content || [], width).trim()}`).join('\n');
+  }
+  return output + '\n';
+}
@@ -0,0 +1,483 @@
+/**
+ * Section operations: insert around, copy, move and delete whole sections
+ *
+ * A section is a heading and everything up to the next heading of the same
+ * or a higher level, subsections included (findSection's treeEndIndex).
+ * Copies are rebuilt from the source doc's structure rather than its text:
+ * paragraph and text styles, lists, tables, images, chips and footnotes turn
+ * into requests in the shape generateDocRequests returns, so the same
+ * follow-up passes (processTables, processFootnotes, resolveHeadingLinks)
+ * finish them. A move is a copy and a delete in one batch; links to the moved
+ * headings are pointed at their new IDs afterwards.
+ */
+
+import { OBJECT_PLACEHOLDER, IMAGE_ALT_PREFIX, CODE_LANG_PREFIX, MATH_PREFIX, TASK_STRIKE_RANGE_NAME } from './markdown-parser.js';
+import { findHeadings, findSection } from './doc-tree.js';
+import { fetchDocBody, relocateRequest, processTables, processFootnotes, hasAnchorLinks, resolveHeadingLinks } from './doc-writer.js';
+
+// Style fields a copy sets, so nothing carries over from where it's inserted
+// (headingId and tabStops are read-only)
+const PARAGRAPH_FIELDS = [
+  'namedStyleType', 'alignment', 'lineSpacing', 'direction', 'spacingMode', 'spaceAbove', 'spaceBelow',
+  'borderBetween', 'borderTop', 'borderBottom', 'borderLeft', 'borderRight', 'indentFirstLine', 'indentStart',
+  'indentEnd', 'keepLinesTogether', 'keepWithNext', 'avoidWidowAndOrphan', 'shading', 'pageBreakBefore'
+];
+const TEXT_FIELDS = [
+  'bold', 'italic', 'underline', 'strikethrough', 'smallCaps', 'backgroundColor', 'foregroundColor',
+  'fontSize', 'weightedFontFamily', 'baselineOffset', 'link'
+];
+const CELL_FIELDS = [
+  'backgroundColor', 'borderLeft', 'borderRight', 'borderTop', 'borderBottom',
+  'paddingLeft', 'paddingRight', 'paddingTop', 'paddingBottom', 'contentAlignment'
+];
+const DATE_FIELDS = ['timestamp', 'timeZoneId', 'locale', 'dateFormat', 'timeFormat'];
+
+// Named ranges that carry what Docs can't hold (see doc-tree.js)
+const RANGE_PREFIXES = [IMAGE_ALT_PREFIX, CODE_LANG_PREFIX, MATH_PREFIX, TASK_STRIKE_RANGE_NAME];
+
+const NUMBERED_PRESETS = {
+  UPPER_ALPHA: 'NUMBERED_UPPERALPHA_ALPHA_ROMAN',
+  UPPER_ROMAN: 'NUMBERED_UPPERROMAN_UPPERALPHA_DECIMAL',
+  ZERO_DECIMAL: 'NUMBERED_ZERODECIMAL_ALPHA_ROMAN'
+};
+const BULLET_PRESETS = {
+  '❖': 'BULLET_DIAMONDX_ARROW3D_SQUARE',
+  '➔': 'BULLET_ARROW_DIAMOND_DISC',
+  '★': 'BULLET_STAR_CIRCLE_SQUARE',
+  '➢': 'BULLET_ARROW3D_CIRCLE_SQUARE',
+  '◆': 'BULLET_DIAMOND_CIRCLE_SQUARE'
+};
+
+const pick = (object = {}, fields) =>
+  Object.fromEntries(fields.filter(f => object[f] !== undefined).map(f => [f, object[f]]));
+
+// The bullet preset closest to a Docs list, from its first two levels
+function bulletPreset(list) {
+  const [first = {}, second = {}] = list?.listProperties?.nestingLevels || [];
+  if (!first.glyphSymbol && (!first.glyphType || first.glyphType === 'GLYPH_TYPE_UNSPECIFIED')) return 'BULLET_CHECKBOX';
+  if (first.glyphSymbol) return BULLET_PRESETS[first.glyphSymbol] || 'BULLET_DISC_CIRCLE_SQUARE';
+  if (first.glyphType === 'DECIMAL' && second.glyphType === 'DECIMAL') return 'NUMBERED_DECIMAL_NESTED';
+  return NUMBERED_PRESETS[first.glyphType] || 'NUMBERED_DECIMAL_ALPHA_ROMAN';
+}
+
+// A link as the copy should have it. Links to headings inside the copy become
+// #anchors, resolved to the copied headings once they exist; links to the
+// rest of the source doc only still work within the same doc
+function copyLink(link, context) {
+  if (!link || link.url || context.sameTab) return link;
+  const headingId = link.headingId || link.heading?.id;
+  if (headingId && context.slugs[headingId]) return { url: '#' + context.slugs[headingId] };
+  if (context.sameDoc) return link;
+  context.warn('Dropped links to headings, bookmarks or tabs outside the copied section');
+  return undefined;
+}
+
+/**
+ * Rebuild structural elements of `doc` as new content starting at `startIndex`
+ * @returns {{ text: string, lists: Array, requests: Array, tables: Array, footnotes: Array }}
+ *   `text` keeps list nesting tabs, which createParagraphBullets removes:
+ *   `lists` (bullet ranges) count them, `requests` and `tables` don't
+ */
+function rebuild(doc, content, startIndex, context) {
+  let text = '';
+  let index = startIndex;
+  let tabs = 0; // Nesting tabs so far
+  const lists = [];
+  const requests = [];
+  const tables = [];
+  const footnotes = [];
+  const spans = []; // [sourceStart, sourceEnd, targetStart], for named ranges
+  let list = null; // Run of list paragraphs being built
+
+  // Swap a placeholder for an object that takes one index
+  const swap = (at, request) => {
+    text += OBJECT_PLACEHOLDER;
+    requests.push({ deleteContentRange: { range: { startIndex: at, endIndex: at + 1 } } }, request);
+  };
+
+  const paragraph = (para) => {
+    const start = index;
+    const elements = para.elements || [];
+    const item = para.bullet && { listId: para.bullet.listId, depth: para.bullet.nestingLevel || 0, start };
+    if (item) {
+      if (!list) {
+        list = { listId: item.listId, startIndex: start + tabs, tabs, items: [] };
+        lists.push(list);
+      }
+      text += '\t'.repeat(item.depth);
+      tabs += item.depth;
+    } else {
+      list = null;
+    }
+
+    elements.forEach((el, i) => {
+      const at = index;
+      const { textStyle } = el.textRun || el.inlineObjectElement || el.person || el.dateElement || el.richLink || el.footnoteReference || el.pageBreak || {};
+      let length = 1;
+      let link = textStyle?.link;
+      if (el.textRun) {
+        text += el.textRun.content;
+        length = el.textRun.content.length;
+      } else if (el.inlineObjectElement) {
+        const object = doc.inlineObjects?.[el.inlineObjectElement.inlineObjectId]?.inlineObjectProperties?.embeddedObject;
+        const uri = object?.imageProperties?.contentUri || object?.imageProperties?.sourceUri;
+        if (!uri) return context.warn('Skipped drawings and charts: only images can be copied');
+        const insertInlineImage = { location: { index: at }, uri };
+        if (object.size) insertInlineImage.objectSize = object.size;
+        swap(at, { insertInlineImage });
+      } else if (el.person) {
+        const email = el.person.personProperties?.email;
+        if (!email) return context.warn('Skipped person chips without an email address');
+        swap(at, { insertPerson: { location: { index: at }, personProperties: { email } } });
+      } else if (el.dateElement) {
+        const dateElementProperties = pick(el.dateElement.dateElementProperties, DATE_FIELDS);
+        swap(at, { insertDate: { location: { index: at }, dateElementProperties } });
+      } else if (el.richLink) {
+        // The API can't insert smart chips for links; the title, linked, stands in
+        const { title, uri } = el.richLink.richLinkProperties || {};
+        text += title || uri;
+        length = (title || uri).length;
+        link = { url: uri };
+      } else if (el.footnoteReference) {
+        if (context.nested) return context.warn('Skipped footnotes inside tables and footnotes');
+        swap(at, { createFootnote: { location: { index: at } } });
+        footnotes.push(footnoteBody(doc, el.footnoteReference.footnoteId, context));
+      } else if (el.pageBreak) {
+        // Like a <!-- pagebreak --> from markdown: the break brings its own newline
+        if (elements[i + 1]?.textRun?.content !== '\n' || context.nested) return context.warn('Skipped page breaks in the middle of a paragraph');
+        text += OBJECT_PLACEHOLDER;
+        requests.push(
+          { deleteContentRange: { range: { startIndex: at, endIndex: at + 2 } } },
+          { insertPageBreak: { location: { index: at } } }
+        );
+      } else {
+        const kind = Object.keys(el).find(k => !/Index$/.test(k)) || 'element';
+        return context.warn(`Skipped ${kind} elements: the API can't insert them`);
+      }
+
+      if (el.endIndex - el.startIndex === length) spans.push([el.startIndex, el.endIndex, at]);
+      index += length;
+      // The paragraph's newline keeps the style it's given when inserted
+      const end = el.textRun?.content.endsWith('\n') ? index - 1 : index;
+      if (end > at) {
+        const style = pick({ ...textStyle, link: copyLink(link, context) }, TEXT_FIELDS);
+        requests.push({ updateTextStyle: { range: { startIndex: at, endIndex: end }, textStyle: style, fields: TEXT_FIELDS.join(',') } });
+      }
+    });
+
+    // Bulleted paragraphs keep the indents their list gives them
+    const style = para.paragraphStyle || {};
+    const fields = PARAGRAPH_FIELDS.filter(f => !para.bullet || !f.startsWith('indent') || style[f] !== undefined);
+    requests.push({
+      updateParagraphStyle: { range: { startIndex: start, endIndex: index }, paragraphStyle: pick(style, fields), fields: fields.join(',') }
+    });
+    if (list) {
+      list.items.push({ ...item, end: index });
+      list.endIndex = index + tabs;
+    }
+  };
+
+  const table = (element, previous) => {
+    list = null;
+    if (context.nested) return context.warn('Skipped tables inside tables and footnotes');
+    const rows = element.table.tableRows || [];
+    const cells = [];
+    const cellRequests = [];
+    const cellStyles = [];
+    for (const row of rows) {
+      cells.push([]);
+      cellRequests.push([]);
+      cellStyles.push([]);
+      for (const cell of row.tableCells || []) {
+        // The cell's own last paragraph stands in for the copy's
+        const built = rebuild(doc, cell.content || [], 0, { ...context, nested: true });
+        cells[cells.length - 1].push(built.text.slice(0, -1));
+        cellRequests[cellRequests.length - 1].push([...bulletRequests(doc, built.lists), ...built.requests]);
+        cellStyles[cellStyles.length - 1].push(pick(cell.tableCellStyle, CELL_FIELDS));
+        if (cell.tableCellStyle?.rowSpan > 1 || cell.tableCellStyle?.columnSpan > 1) context.warn('Merged table cells are copied unmerged');
+      }
+    }
+
+    // A table goes at the end of the paragraph before it, which insertTable
+    // splits, so no placeholder paragraph is left behind; failing that, at a
+    // placeholder like a markdown table's
+    const afterParagraph = !!previous?.paragraph && index > startIndex;
+    tables.push({
+      textIndex: afterParagraph ? index - 1 : index,
+      numRows: rows.length,
+      numCols: element.table.columns || rows[0]?.tableCells?.length || 1,
+      cells,
+      cellRequests,
+      cellStyles,
+      columns: element.table.tableStyle?.tableColumnProperties || [],
+      afterParagraph
+    });
+    if (!afterParagraph) {
+      text += '\n';
+      index++;
+    }
+  };
+
+  content.forEach((element, i) => {
+    if (element.paragraph) {
+      paragraph(element.paragraph);
+    } else if (element.table) {
+      table(element, content[i - 1]);
+    } else if (element.sectionBreak) {
+      // Same as a markdown section break: placeholder paragraph, then the break
+      list = null;
+      text += OBJECT_PLACEHOLDER + '\n';
+      const sectionType = element.sectionBreak.sectionStyle?.sectionType || 'NEXT_PAGE';
+      requests.push(
+        { deleteContentRange: { range: { startIndex: index, endIndex: index + 2 } } },
+        { insertSectionBreak: { location: { index }, sectionType } }
+      );
+      index += 2;
+    } else if (element.tableOfContents) {
+      context.warn("Skipped a Docs table of contents: the API can't insert one");
+    }
+  });
+
+  // Named ranges wholly inside what was copied move with it
+  const mapIndex = (i) => {
+    const span = spans.find(([from, to]) => i >= from && i < to);
+    return span ? span[2] + i - span[0] : null;
+  };
+  for (const { name, namedRanges = [] } of Object.values(doc.namedRanges || {})) {
+    if (!RANGE_PREFIXES.some(prefix => name.startsWith(prefix))) continue;
+    for (const range of namedRanges.flatMap(n => n.ranges || [])) {
+      if (range.segmentId !== context.segmentId) continue;
+      const from = mapIndex(range.startIndex);
+      const to = mapIndex(range.endIndex - 1);
+      if (from === null || to === null) continue;
+      requests.push({ createNamedRange: { name, range: { startIndex: from, endIndex: to + 1 } } });
+    }
+  }
+
+  return { text, lists, requests, tables, footnotes };
+}
+
+// Footnote body as processFootnotes takes it. A new footnote starts as " \n",
+// with the text going in at index 1; Docs footnotes start with that space too
+function footnoteBody(doc, segmentId, context) {
+  const content = doc.footnotes?.[segmentId]?.content || [];
+  const first = content[0]?.paragraph?.elements?.[0]?.textRun?.content || '';
+  const leadingSpace = first.startsWith(' ') ? 1 : 0;
+  const built = rebuild(doc, content, 1 - leadingSpace, { ...context, nested: true, segmentId });
+  return { text: built.text.slice(leadingSpace, -1), requests: [...bulletRequests(doc, built.lists), ...built.requests] };
+}
+
+// Bullets for each run of list paragraphs, last run first so stripping one
+// run's nesting tabs never shifts the range of a run before it. A run is
+// bulleted as one list, then each stretch of items from another list (a
+// sub-list of a different type) again, with its tabs put back, as
+// generateDocRequests does for markdown lists
+function bulletRequests(doc, lists) {
+  const requests = [];
+  const preset = (listId) => bulletPreset(doc.lists?.[listId]);
+  for (const { listId, startIndex, endIndex, tabs, items } of [...lists].reverse()) {
+    requests.push({ createParagraphBullets: { range: { startIndex, endIndex }, bulletPreset: preset(listId) } });
+    const stretches = [];
+    items.forEach((item, i) => {
+      if (item.listId === listId) return;
+      if (items[i - 1]?.listId === item.listId) stretches[stretches.length - 1].push(item);
+      else stretches.push([item]);
+    });
+    for (const stretch of stretches) {
+      let inserted = 0;
+      for (const item of [...stretch].reverse()) {
+        if (!item.depth) continue;
+        requests.push({ insertText: { location: { index: item.start + tabs }, text: '\t'.repeat(item.depth) } });
+        inserted += item.depth;
+      }
+      const range = { startIndex: stretch[0].start + tabs, endIndex: stretch[stretch.length - 1].end + tabs + inserted };
+      requests.push({ createParagraphBullets: { range, bulletPreset: preset(stretch[0].listId) } });
+    }
+  }
+  return requests;
+}
+
+/**
+ * Where new content goes: before a section, after one (its subsections
+ * included), or by default at the end of the doc
+ * @param {object} doc
+ * @param {{ before?: string, after?: string }} position - Section addresses (see findSection)
+ * @returns {{ index: number, atEnd: boolean, newParagraph: boolean }} At the end,
+ *   content goes before the doc's final newline, after a new one when the
+ *   last paragraph has text
+ */
+export function insertionPoint(doc, { before, after } = {}) {
+  if (before) return pointAt(doc, findSection(doc, before).startIndex);
+  if (after) return pointAt(doc, findSection(doc, after).treeEndIndex);
+  return pointAt(doc, Infinity);
+}
+
+function pointAt(doc, index) {
+  const content = doc.body.content || [];
+  const last = content[content.length - 1];
+  const end = (last?.endIndex || 1) - 1;
+  if (index < end) return { index, atEnd: false, newParagraph: false };
+  return { index: end, atEnd: true, newParagraph: !(last?.paragraph && last.startIndex === end) };
+}
+
+/**
+ * The range deleting a section removes. The doc's final newline can't go, so
+ * the last section takes the newline before it instead, when a paragraph
+ * ends there
+ */
+export function sectionRange(doc, section) {
+  const content = doc.body.content || [];
+  const end = content[content.length - 1]?.endIndex || 1;
+  if (section.treeEndIndex < end) return { startIndex: section.startIndex, endIndex: section.treeEndIndex };
+  const before = content.find(e => e.endIndex === section.startIndex);
+  return { startIndex: before?.paragraph ? section.startIndex - 1 : section.startIndex, endIndex: end - 1 };
+}
+
+/**
+ * Requests that copy a section (subsections included) to `point` in a doc
+ * @param {object} doc - Source doc (documents.get shape)
+ * @param {object} section - From findSection
+ * @param {object} point - From insertionPoint, in the target doc
+ * @param {object} [options] - { sameDoc, sameTab: whether the target is the source doc / tab, onWarning }
+ * @returns {{ text: string, requests: Array, tables: Array, footnotes: Array, warnings: string[] }}
+ */
+export function sectionCopyRequests(doc, section, point, { sameDoc = false, sameTab = false, onWarning } = {}) {
+  const warnings = [];
+  const warn = (message) => {
+    if (warnings.includes(message)) return;
+    warnings.push(message);
+    onWarning?.(message);
+  };
+  const content = (doc.body.content || []).filter(e =>
+    e.startIndex >= section.startIndex && e.startIndex < section.treeEndIndex);
+  const slugs = {};
+  for (const h of findHeadings(doc)) {
+    if (h.id && h.startIndex >= section.startIndex && h.startIndex < section.treeEndIndex) slugs[h.id] = h.slug;
+  }
+
+  // At the end, the copy's last newline is the doc's own
+  const startIndex = point.index + (point.newParagraph ? 1 : 0);
+  const built = rebuild(doc, content, startIndex, { warn, slugs, sameDoc, sameTab });
+  const text = point.atEnd ? (point.newParagraph ? '\n' : '') + built.text.slice(0, -1) : built.text;
+  const requests = [
+    { insertText: { location: { index: point.index }, text } },
+    // New paragraphs take the bullet of a list item they're inserted into
+    { deleteParagraphBullets: { range: { startIndex, endIndex: startIndex + built.text.length } } },
+    ...bulletRequests(doc, built.lists),
+    ...built.requests
+  ];
+  return { text, requests, tables: built.tables, footnotes: built.footnotes, warnings };
+}
+
+// Point links at the new IDs of headings that were rebuilt elsewhere
+async function relinkHeadings(docs, docId, doc, idMap, tabId) {
+  const requests = [];
+  const visit = (content) => {
+    for (const element of content || []) {
+      for (const el of element.paragraph?.elements || []) {
+        const link = el.textRun?.textStyle?.link;
+        const id = idMap[link?.headingId || link?.heading?.id];
+        if (!id) continue;
+        const range = { startIndex: el.startIndex, endIndex: el.endIndex };
+        if (tabId) range.tabId = tabId;
+        const newLink = link.heading ? { heading: { ...link.heading, id } } : { headingId: id };
+        requests.push({ updateTextStyle: { range, textStyle: { link: newLink }, fields: 'link' } });
+      }
+      for (const row of element.table?.tableRows || []) {
+        for (const cell of row.tableCells || []) visit(cell.content);
+      }
+    }
+  };
+  visit(doc.body.content);
+  if (requests.length > 0) {
+    await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+  }
+}
+
+// Run a copy's requests and follow-up passes; `before` are requests for the
+// same batch that go first, `after` ones that go last
+async function applyCopy(docs, docId, copy, tabId, { before = [], after = [] } = {}) {
+  const requests = [...before, ...copy.requests, ...after].map(req => relocateRequest(req, 0, { tabId }));
+  const res = await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+  await processFootnotes(docs, docId, copy.footnotes, res.data.replies, tabId);
+  await processTables(docs, docId, copy.tables, tabId);
+  if (hasAnchorLinks(copy.requests, copy.tables)) await resolveHeadingLinks(docs, docId, tabId);
+}
+
+/**
+ * Delete a section and its subsections
+ * @param {object} docs - Docs API client
+ * @param {string} docId
+ * @param {{ section: string, tabId?: string }} options - section is an address (see findSection)
+ * @returns {Promise<object>} The deleted section
+ */
+export async function deleteSection(docs, docId, { section: address, tabId } = {}) {
+  const doc = await fetchDocBody(docs, docId, tabId);
+  const section = findSection(doc, address);
+  const range = sectionRange(doc, section);
+  if (range.endIndex > range.startIndex) {
+    const requests = [relocateRequest({ deleteContentRange: { range } }, 0, { tabId })];
+    await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+  }
+  return section;
+}
+
+/**
+ * Move a section and its subsections before or after another section (or to
+ * the end). Links to its headings follow it
+ * @param {object} docs - Docs API client
+ * @param {string} docId
+ * @param {{ section: string, before?: string, after?: string, tabId?: string, onWarning?: Function }} options
+ * @returns {Promise<{ section: object, moved: boolean }>} moved is false when it was already there
+ */
+export async function moveSection(docs, docId, { section: address, before, after, tabId, onWarning } = {}) {
+  const doc = await fetchDocBody(docs, docId, tabId);
+  const section = findSection(doc, address);
+  const point = insertionPoint(doc, { before, after });
+  const range = sectionRange(doc, section);
+  const target = point.atEnd ? point.index + 1 : point.index;
+  if (target > section.startIndex && target < section.treeEndIndex) throw new Error("Can't move a section into itself");
+  if (target === section.startIndex || target === section.treeEndIndex) return { section, moved: false };
+
+  const copy = sectionCopyRequests(doc, section, point, { sameDoc: true, sameTab: true, onWarning });
+  const deletion = { deleteContentRange: { range } };
+  // Whichever edit is further into the doc goes first, so the other's indices hold
+  if (point.index > range.startIndex) {
+    const deleted = range.endIndex - range.startIndex;
+    for (const table of copy.tables) table.textIndex -= deleted;
+    await applyCopy(docs, docId, copy, tabId, { after: [deletion] });
+  } else {
+    await applyCopy(docs, docId, copy, tabId, { before: [deletion] });
+  }
+
+  // The rebuilt headings are the ones with IDs the doc didn't have before
+  const known = new Set(findHeadings(doc).map(h => h.id));
+  const moved = await fetchDocBody(docs, docId, tabId);
+  const newIds = findHeadings(moved).filter(h => h.id && !known.has(h.id)).map(h => h.id);
+  const oldIds = findHeadings(doc).filter(h => h.startIndex >= section.startIndex && h.startIndex < section.treeEndIndex).map(h => h.id);
+  const idMap = {};
+  oldIds.forEach((id, i) => { if (id && newIds[i]) idMap[id] = newIds[i]; });
+  await relinkHeadings(docs, docId, moved, idMap, tabId);
+  return { section, moved: true };
+}
+
+/**
+ * Copy a section and its subsections into the same doc (a duplicate, right
+ * after the original unless placed), another tab or another doc
+ * @param {object} docs - Docs API client
+ * @param {string} docId - Source doc
+ * @param {{ section: string, tabId?: string, to?: string, toTab?: string, before?: string, after?: string, onWarning?: Function }} options
+ *   to/toTab: target doc and tab (default: the source); before/after: section addresses in the target
+ * @returns {Promise<{ section: object, warnings: string[] }>}
+ */
+export async function copySection(docs, docId, { section: address, tabId, to = docId, toTab, before, after, onWarning } = {}) {
+  const doc = await fetchDocBody(docs, docId, tabId);
+  const section = findSection(doc, address);
+  const sameDoc = to === docId;
+  const sameTab = sameDoc && (toTab || null) === (tabId || null);
+  const target = sameTab ? doc : await fetchDocBody(docs, to, toTab);
+  const point = before || after || !sameTab ? insertionPoint(target, { before, after }) : pointAt(doc, section.treeEndIndex);
+  const copy = sectionCopyRequests(doc, section, point, { sameDoc, sameTab, onWarning });
+  await applyCopy(docs, to, copy, toTab);
+  return { section, warnings: copy.warnings };
+}
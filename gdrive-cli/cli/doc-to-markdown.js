@@ -0,0 +1,337 @@
+/**
+ * Google Doc to markdown
+ *
+ * Turns the JSON of a Docs document (documents.get) back into the markdown
+ * the parser reads: headings, lists, tables, code boxes, quotes and callouts,
+ * footnotes, equations and heading links. The document is read into the tree
+ * of doc-tree.js first, which the other export formats share (doc-export.js).
+ */
+
+import { docToTree, mergeText } from './doc-tree.js';
+
+// Markdown style key of a text node: what of its marks shows in markdown;
+// neighbouring nodes that agree on it read as one
+function markdownStyle(node, { skipBold, suggestions }) {
+  const { marks } = node;
+  return JSON.stringify([
+    !!marks.code, !!marks.bold && !skipBold, !!marks.italic, !!marks.strikethrough,
+    !!marks.underline && !marks.link, !!marks.highlight, marks.baseline || null,
+    marks.link?.url || marks.link?.headingId || null,
+    suggestions ? node.suggestion || null : null
+  ]);
+}
+
+// CriticMarkup for a suggested insertion ('++') or deletion ('--')
+const SUGGESTION_MARKS = { insertion: '++', deletion: '--' };
+
+/**
+ * Render inline nodes of the document tree as markdown
+ * @param {Array} nodes - Inline nodes (see doc-tree.js)
+ * @param {object} [options]
+ *   skipBold          - drop bold markers, for table header cells that are bold by default
+ *   suggestions       - wrap suggested text in {++ ++} / {-- --}
+ *   footnoteOffset    - added to footnote numbers, so several tabs can share one file
+ */
+export function inlineToMarkdown(nodes, { skipBold = false, suggestions = false, footnoteOffset = 0 } = {}) {
+  let line = '';
+  // One suggestion wrapper around consecutive nodes of the same kind
+  let open = null;
+  const emit = (chunk, node) => {
+    const mark = suggestions ? SUGGESTION_MARKS[node.suggestion] || null : null;
+    if (mark !== open) {
+      if (open) line += open + '}';
+      if (mark) line += '{' + mark;
+      open = mark;
+    }
+    line += chunk;
+  };
+  const style = (node) => markdownStyle(node, { skipBold, suggestions });
+  for (const node of mergeText(nodes, style)) {
+    switch (node.type) {
+      case 'math': emit(node.source, node); continue;
+      case 'footnoteRef': emit(`[^${footnoteOffset ? Number(node.number) + footnoteOffset : node.number}]`, node); continue;
+      case 'image': emit(`![${node.alt}](${node.url})`, node); continue;
+      // Drawings have no image to link to
+      case 'object': emit(`[${node.kind}${node.label ? `: ${node.label}` : ''}]`, node); continue;
+      // Smart chips: @Name <email>, @2026-01-31, and Drive/web rich links as plain links
+      case 'person': emit(node.name ? `@${node.name} <${node.email}>` : `@<${node.email}>`, node); continue;
+      case 'date': emit('@' + node.value, node); continue;
+      case 'richLink': emit(`[${node.title}](${node.url})`, node); continue;
+      case 'equation': emit('[equation]', node); continue;
+      // Page numbers in headers and footers
+      case 'autoText': emit(node.kind === 'pages' ? '{pages}' : '{page}', node); continue;
+    }
+    if (node.type !== 'text') continue;
+    const { marks, text } = node;
+    const link = marks.link?.url || (marks.link?.anchor && `#${marks.link.anchor}`);
+    // Whitespace goes outside the markers: "**foo** bar", not "**foo **bar"
+    const [, lead, core, trail] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+    const breaks = (s) => s.replace(/\u000b/g, '<br>'); // Line break within the paragraph
+    if (!core) {
+      emit(breaks(text), node);
+      continue;
+    }
+    let chunk = core;
+    if (marks.code) {
+      chunk = `\`${chunk}\``;
+    } else {
+      chunk = breaks(chunk);
+      const isBold = marks.bold && !skipBold;
+      if (isBold && marks.italic) chunk = `***${chunk}***`;
+      else if (isBold) chunk = `**${chunk}**`;
+      else if (marks.italic) chunk = `*${chunk}*`;
+      if (marks.strikethrough) chunk = `~~${chunk}~~`;
+      if (marks.underline && !link) chunk = `<u>${chunk}</u>`;
+      if (marks.highlight) chunk = `==${chunk}==`;
+      // Pandoc-style ^sup^ / ~sub~ can't hold bare spaces
+      if (marks.baseline === 'superscript') chunk = `^${chunk.replace(/ /g, '\\ ')}^`;
+      else if (marks.baseline === 'subscript') chunk = `~${chunk.replace(/ /g, '\\ ')}~`;
+    }
+    if (link) chunk = `[${chunk}](${link})`;
+    emit(breaks(lead) + chunk + breaks(trail), node);
+  }
+  if (open) line += open + '}';
+  return line;
+}
+
+const DELIMITERS = { left: ':---', center: ':---:', right: '---:' };
+
+/**
+ * Export a document as markdown
+ * @param {object} doc - documents.get response (or a tab's content in the same shape)
+ * @param {string} [sectionFilter] - Only the section under this heading
+ * @param {object} [options]
+ *   suggestions    - show suggested changes as CriticMarkup (fetch the doc with
+ *                    suggestionsViewMode SUGGESTIONS_INLINE)
+ *   headingOffset  - push every heading this many levels down (at most H6), to nest
+ *                    the doc under another heading; there is no % title block then
+ *   footnoteOffset - added to footnote numbers, to keep them unique across tabs
+ *   headers        - add header and footer text as HTML comments at the top and bottom
+ *   codeFonts      - more fonts to read as inline code (say, a custom theme's)
+ */
+export function docToMarkdown(doc, sectionFilter, { codeFonts = [], ...options } = {}) {
+  return treeToMarkdown(docToTree(doc, sectionFilter, { codeFonts }), options);
+}
+
+/**
+ * Render a document tree (from docToTree) as markdown; options as for docToMarkdown
+ */
+export function treeToMarkdown(tree, { suggestions = false, headingOffset = 0, footnoteOffset = 0, headers = false } = {}) {
+  const inline = (nodes, options = {}) => inlineToMarkdown(nodes, { suggestions, footnoteOffset, ...options });
+
+  // Lines of a list and its sub-lists. Sub-items line up under their parent's
+  // text; '*' and '1)' replace '-' and '1.' when `alt`, so back-to-back lists stay apart
+  const listLines = (list, indent, alt) => {
+    const lines = [];
+    const mark = alt ? '*' : '-';
+    for (const item of list.items) {
+      let prefix = list.ordered ? `${item.number}${alt ? ')' : '.'} ` : `${mark} `;
+      if (list.task) prefix = item.checked ? `${mark} [x] ` : `${mark} [ ] `;
+      lines.push(indent + prefix + inline(item.children));
+      const width = list.task ? 2 : prefix.length; // "[ ] " is item content, not marker
+      for (const sub of item.lists) {
+        lines.push(...listLines(sub, indent + ' '.repeat(width + 2 * (sub.level - list.level - 1)), alt));
+      }
+    }
+    return lines;
+  };
+  const paragraphText = (block) => inline(block.children);
+
+  const quoteText = (quote) => {
+    let md = quote.kind !== 'QUOTE' ? `> [!${quote.kind}]\n` : '';
+    let alt = false;
+    quote.children.forEach((block, i) => {
+      const prev = quote.children[i - 1];
+      if (block.type === 'list') {
+        alt = prev?.type === 'list' ? !alt : false;
+        if (prev && prev.type !== 'list') md += '>\n';
+        md += listLines(block, ' '.repeat(2 * block.level), alt).map(l => '> ' + l + '\n').join('');
+      } else {
+        if (prev) md += '>\n';
+        md += '> ' + paragraphText(block) + '\n';
+      }
+    });
+    return md + '\n';
+  };
+
+  const tableText = (table) => {
+    let md = '';
+    table.rows.forEach((row, r) => {
+      const cellTexts = row.cells.map(cell => cell.paragraphs
+        .map(p => inline(p, { skipBold: r === 0 }))
+        .filter(Boolean)
+        .join(' ')
+        .replace(/\|/g, '\\|'));
+      md += '| ' + cellTexts.join(' | ') + ' |\n';
+      if (r === 0) md += '| ' + cellTexts.map((_, c) => DELIMITERS[table.align[c]] || '---').join(' | ') + ' |\n';
+    });
+    return md + '\n';
+  };
+
+  let md = '';
+  let alt = false;
+  const blocks = tree.children;
+  blocks.forEach((block, i) => {
+    const prev = blocks[i - 1];
+    const next = blocks[i + 1];
+    switch (block.type) {
+      case 'title':
+      case 'subtitle': {
+        // A pandoc title block (% Title), unless the doc is nested under another heading
+        const text = paragraphText(block).trim();
+        if (!headingOffset) {
+          if (text) md += `% ${text}\n`;
+          if (md && next && next.type !== 'title' && next.type !== 'subtitle') md += '\n';
+        } else if (block.type === 'title') {
+          md += '#'.repeat(Math.min(1 + headingOffset, 6)) + ' ' + paragraphText(block) + '\n\n';
+        } else {
+          md += text ? paragraphText(block) + '\n\n' : '\n';
+        }
+        break;
+      }
+      case 'heading':
+        md += '#'.repeat(Math.min(block.level + headingOffset, 6)) + ' ' + paragraphText(block) + '\n\n';
+        break;
+      case 'paragraph': {
+        const line = paragraphText(block);
+        md += line.trim() ? line + '\n\n' : '\n';
+        break;
+      }
+      case 'list':
+        alt = prev?.type === 'list' ? !alt : false;
+        md += listLines(block, ' '.repeat(2 * block.level), alt).map(l => l + '\n').join('');
+        if (next?.type !== 'list') md += '\n';
+        break;
+      case 'quote': md += quoteText(block); break;
+      case 'code': {
+        const lines = block.lines.map(segments => segments.map(({ text, suggestion }) => {
+          const mark = suggestions ? SUGGESTION_MARKS[suggestion] : null;
+          return mark ? `{${mark}${text}${mark}}` : text;
+        }).join(''));
+        md += '```' + block.lang + '\n' + lines.join('\n') + '\n```\n\n';
+        break;
+      }
+      case 'table': md += tableText(block); break;
+      case 'toc': md += '[[TOC]]\n\n'; break;
+      case 'pageBreak': md += '\\pagebreak\n\n'; break;
+      case 'sectionBreak': md += block.continuous ? '\\sectionbreak continuous\n\n' : '\\sectionbreak\n\n'; break;
+    }
+  });
+
+  // Footnote definitions go at the end; Docs starts each footnote body with a space
+  const definitions = tree.footnotes.map(({ number, paragraphs }) => {
+    const body = paragraphs.map(p => inline(p).trim()).filter(Boolean).join('\n    ');
+    return `[^${footnoteOffset ? Number(number) + footnoteOffset : number}]: ${body}`;
+  });
+  if (definitions.length > 0) md = md.trimEnd() + '\n\n' + definitions.join('\n');
+  if (headers) {
+    // Header and footer text as <!-- header … --> comments: invisible when the
+    // markdown is rendered, and skipped by the parser if it's written back
+    let top = '', bottom = '';
+    for (const { kind, label, paragraphs } of tree.headers) {
+      const lines = paragraphs.map(p => inline(p).trim()).filter(Boolean);
+      if (lines.length === 0) continue;
+      const comment = `<!-- ${label}\n${lines.join('\n').replace(/--/g, '- -')}\n-->\n\n`;
+      if (kind === 'header') top += comment;
+      else bottom += comment;
+    }
+    md = top + md.trimEnd() + (bottom ? '\n\n' + bottom.trimEnd() : '');
+  }
+  return md.trimEnd() + '\n';
+}
+
+/**
+ * Suggested changes in a document (fetched with SUGGESTIONS_INLINE), in
+ * document order, with the text of each suggestion joined up
+ * @returns {Array<{ id: string, type: 'insertion'|'deletion', text: string }>}
+ */
+export function collectSuggestions(doc) {
+  const byId = new Map();
+  const visit = (content) => {
+    for (const element of content || []) {
+      for (const el of element.paragraph?.elements || []) {
+        const item = el.textRun || el.inlineObjectElement || el.footnoteReference;
+        const text = el.textRun?.content ?? (el.inlineObjectElement ? '[image]' : el.footnoteReference ? `[^${el.footnoteReference.footnoteNumber}]` : '');
+        for (const [type, ids] of [['insertion', item?.suggestedInsertionIds], ['deletion', item?.suggestedDeletionIds]]) {
+          for (const id of ids || []) {
+            if (!byId.has(id)) byId.set(id, { id, type, text: '' });
+            byId.get(id).text += text;
+          }
+        }
+      }
+      for (const row of element.table?.tableRows || []) {
+        for (const cell of row.tableCells || []) visit(cell.content);
+      }
+    }
+  };
+  visit(doc.body?.content);
+  return [...byId.values()];
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const oneLine = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+// The quoted text in the markdown, allowing for formatting markers between
+// its characters. Returns [start, end] of the first match not yet taken
+function findQuote(markdown, quote, taken) {
+  const chars = [...quote.trim()];
+  if (chars.length === 0) return null;
+  const pattern = chars.map(ch => /\s/.test(ch) ? '\\s+' : escapeRegExp(ch)).join('[*_~`=^\\\\]*');
+  const re = new RegExp(pattern, 'g');
+  for (let m = re.exec(markdown); m; m = re.exec(markdown)) {
+    const range = [m.index, m.index + m[0].length];
+    if (!taken.some(([s, e]) => range[0] < e && s < range[1])) return range;
+  }
+  return null;
+}
+
+/**
+ * Put Drive comments into exported markdown next to the text they quote
+ *   inline:    {==quoted text==}{>>Alice: comment<<}{>>Bob: reply<<}
+ *   footnotes: quoted text[^c1] … [^c1]: **Alice:** comment
+ * Comments whose quote can't be found are left out, or with `keepUnanchored`
+ * listed as {>>…<<} lines at the end.
+ * @param {string} markdown
+ * @param {Array<{ author: string, content: string, quotedText: string, replies: Array<{ author: string, content: string }> }>} comments
+ * @param {object} [options] - { style: 'inline'|'footnotes', keepUnanchored: boolean }
+ * @returns {{ markdown: string, anchored: boolean[] }} anchored[i] says whether comments[i] found its text
+ */
+export function anchorComments(markdown, comments, { style = 'inline', keepUnanchored = true } = {}) {
+  const taken = [];
+  const inserts = [];
+  const anchored = comments.map((comment, i) => {
+    const range = comment.quotedText ? findQuote(markdown, comment.quotedText, taken) : null;
+    if (!range) return false;
+    taken.push(range);
+    inserts.push({ range, comment, label: `c${i + 1}` });
+    return true;
+  });
+
+  const thread = (comment) => [comment, ...(comment.replies || [])];
+  let md = markdown;
+  // From the end, so earlier offsets stay valid
+  for (const { range: [start, end], comment, label } of inserts.sort((a, b) => b.range[0] - a.range[0])) {
+    const quoted = md.slice(start, end);
+    if (style === 'footnotes') {
+      md = md.slice(0, end) + `[^${label}]` + md.slice(end);
+    } else {
+      const notes = thread(comment).map(c => `{>>${oneLine(c.author)}: ${oneLine(c.content)}<<}`).join('');
+      // A quote across paragraphs can't be wrapped; the comment goes after it
+      const marked = quoted.includes('\n') ? quoted : `{==${quoted}==}`;
+      md = md.slice(0, start) + marked + notes + md.slice(end);
+    }
+  }
+
+  md = md.trimEnd();
+  const unanchored = comments.filter((_, i) => !anchored[i]);
+  if (keepUnanchored && unanchored.length > 0) {
+    md += '\n\n' + unanchored.map(c => thread(c).map(t => `{>>${oneLine(t.author)}: ${oneLine(t.content)}<<}`).join('')).join('\n\n');
+  }
+  if (style === 'footnotes' && inserts.length > 0) {
+    const definitions = comments.map((comment, i) => anchored[i]
+      ? `[^c${i + 1}]: ` + thread(comment).map(c => `**${oneLine(c.author)}:** ${oneLine(c.content)}`).join('\n    ')
+      : null).filter(Boolean);
+    md += '\n\n' + definitions.join('\n');
+  }
+  return { markdown: md + '\n', anchored };
+}
@@ -0,0 +1,716 @@
+/**
+ * Google Doc as a document tree
+ *
+ * Reads the JSON of a Docs document (documents.get) into a small tree of
+ * blocks (headings, paragraphs, lists, quotes, code, tables) holding inline
+ * nodes (styled text, images, footnote references, chips, equations). The
+ * exporters — markdown, HTML, AsciiDoc, reStructuredText — all render from
+ * it. The named ranges the markdown parser leaves behind recover what the
+ * Docs model can't hold: image alt text, code languages, equation sources
+ * and the table of contents.
+ *
+ * Blocks
+ *   { type: 'title' | 'subtitle', children }        TITLE/SUBTITLE paragraphs opening the doc
+ *   { type: 'heading', level, id, slug, children }  level 1–6 (TITLE later on is level 1)
+ *   { type: 'paragraph', children }                 children is empty for a blank paragraph
+ *   { type: 'list', listId, level, ordered, task, items }
+ *                                                   level: Docs nesting level; items: [{ number,
+ *                                                   checked (tasks only), children, lists }];
+ *                                                   a done task's children only keep the
+ *                                                   strikethrough its author wrote
+ *   { type: 'quote', kind, children }               kind 'QUOTE' or an alert type ('NOTE', …)
+ *   { type: 'code', lang, lines }                   lines: [[{ text, suggestion }]]
+ *   { type: 'table', align, rows }                  rows: [{ cells: [{ paragraphs, background }] }]
+ *   { type: 'toc' } / { type: 'pageBreak' } / { type: 'sectionBreak', continuous }
+ *
+ * Inline nodes
+ *   { type: 'text', text, marks }      marks: bold, italic, strikethrough, underline, code,
+ *                                      highlight, color ('#rrggbb'), baseline ('superscript' |
+ *                                      'subscript'), link ({ url } or { anchor, headingId })
+ *   { type: 'image', url, alt, width, height } (sizes in PT)
+ *   { type: 'object', kind, label }    drawings and other embeds without an image
+ *   { type: 'math', source, tex, display }  source as written ($x^2$ or $$x^2$$), tex without delimiters
+ *   { type: 'footnoteRef', id, number } / { type: 'equation' }
+ *   { type: 'person', name, email } / { type: 'date', value } / { type: 'richLink', title, url }
+ *   { type: 'autoText', kind }         'page' or 'pages', in headers and footers
+ * Any inline node may carry `suggestion: 'insertion' | 'deletion'`.
+ */
+
+import { headingSlugs, ADMONITIONS, IMAGE_ALT_PREFIX, CODE_LANG_PREFIX, MATH_PREFIX, TOC_RANGE_NAME, TASK_STRIKE_RANGE_NAME } from './markdown-parser.js';
+import { DEFAULT_THEME, THEMES } from './themes.js';
+
+// Map start index → value for named ranges called "<prefix><value>"
+// (image alt text, code block language)
+function findNamedRangeValues(doc, prefix) {
+  const values = {};
+  for (const [name, group] of Object.entries(doc.namedRanges || {})) {
+    if (!name.startsWith(prefix)) continue;
+    for (const namedRange of group.namedRanges || []) {
+      for (const range of namedRange.ranges || []) {
+        values[range.startIndex] = name.slice(prefix.length);
+      }
+    }
+  }
+  return values;
+}
+
+// Rendered equations by start index, with their LaTeX source and where they end
+function findMathRanges(doc) {
+  const equations = {};
+  for (const [name, group] of Object.entries(doc.namedRanges || {})) {
+    if (!name.startsWith(MATH_PREFIX)) continue;
+    for (const namedRange of group.namedRanges || []) {
+      for (const range of namedRange.ranges || []) {
+        if (range.segmentId) continue; // Footnote indices would clash with the body's
+        equations[range.startIndex] = { source: name.slice(MATH_PREFIX.length), endIndex: range.endIndex };
+      }
+    }
+  }
+  return equations;
+}
+
+// Split text runs at the given indices, so ranges that start or end mid-run line up with elements
+function splitTextRuns(elements, indices) {
+  return (elements || []).flatMap(el => {
+    const cuts = indices.filter(i => el.textRun && i > el.startIndex && i < el.endIndex).sort((a, b) => a - b);
+    if (cuts.length === 0) return [el];
+    return [el.startIndex, ...cuts].map((start, i) => {
+      const end = cuts[i] ?? el.endIndex;
+      const content = el.textRun.content.slice(start - el.startIndex, end - el.startIndex);
+      return { ...el, startIndex: start, endIndex: end, textRun: { ...el.textRun, content } };
+    });
+  });
+}
+
+// Monospace fonts that read as inline code: every theme's code font, plus
+// the usual ones a doc may have been written in
+export const CODE_FONTS = new Set([
+  DEFAULT_THEME.code.font,
+  ...Object.values(THEMES).map(theme => theme.code?.font),
+  'Courier New', 'Courier', 'Consolas', 'Roboto Mono', 'Source Code Pro', 'Fira Code', 'Fira Mono',
+  'JetBrains Mono', 'IBM Plex Mono', 'Inconsolata', 'Ubuntu Mono', 'Space Mono', 'Cousine',
+  'PT Mono', 'Noto Sans Mono', 'Menlo', 'Monaco'
+].filter(Boolean));
+
+const isCodeFont = (textStyle, extra = []) => {
+  const font = textStyle.weightedFontFamily?.fontFamily;
+  return !!font && (CODE_FONTS.has(font) || extra.includes(font));
+};
+
+// Code boxes are the only paragraphs with shading and a top border
+function isCodeParagraph(para) {
+  const ps = para.paragraphStyle || {};
+  return !!(ps.shading?.backgroundColor?.color && ps.borderTop?.width?.magnitude > 0);
+}
+
+// Blockquote paragraphs have a left border but no top one (code boxes have both);
+// callouts are told apart by border colour. Returns 'QUOTE', an alert type, or null
+function quoteKind(para) {
+  const ps = para.paragraphStyle || {};
+  if (!(ps.borderLeft?.width?.magnitude > 0) || ps.borderTop?.width?.magnitude > 0) return null;
+  const rgb = ps.borderLeft.color?.color?.rgbColor || {};
+  const matches = (color) => ['red', 'green', 'blue'].every(c => Math.abs((rgb[c] || 0) - color[c]) < 0.02);
+  return Object.keys(ADMONITIONS).find(kind => matches(ADMONITIONS[kind].color)) || 'QUOTE';
+}
+
+// Suggested insertion or deletion; a deletion of suggested text counts as a deletion
+function suggestionOf(el) {
+  const item = el.textRun || el.inlineObjectElement || el.footnoteReference || el.person ||
+               el.dateElement || el.richLink || el.equation || el.autoText;
+  if (item?.suggestedDeletionIds?.length) return 'deletion';
+  if (item?.suggestedInsertionIds?.length) return 'insertion';
+  return null;
+}
+
+// A date chip as an ISO date in its own time zone, or an ISO time in UTC when
+// the chip shows the time too (falls back to the chip's text)
+function chipDate({ timestamp, timeZoneId, timeFormat, displayText }) {
+  const time = new Date(timestamp);
+  if (!timestamp || isNaN(time)) return displayText || '';
+  if (timeFormat && timeFormat !== 'TIME_FORMAT_DISABLED') return time.toISOString().slice(0, 16) + 'Z';
+  try {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: timeZoneId || 'UTC', year: 'numeric', month: '2-digit', day: '2-digit' }).format(time);
+  } catch {
+    return time.toISOString().slice(0, 10);
+  }
+}
+
+// '#rrggbb' for a Docs OptionalColor
+function hexColor(color) {
+  const rgb = color?.color?.rgbColor;
+  if (!rgb) return null;
+  return '#' + ['red', 'green', 'blue'].map(c => Math.round((rgb[c] || 0) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+// Glyph types of numbered list levels
+const ORDERED_GLYPHS = new Set(['DECIMAL', 'ZERO_DECIMAL', 'ALPHA', 'UPPER_ALPHA', 'ROMAN', 'UPPER_ROMAN']);
+
+const ALIGNMENTS = { START: 'left', CENTER: 'center', END: 'right' };
+
+export const HEADING_LEVELS = {
+  'HEADING_1': 1, 'HEADING_2': 2, 'HEADING_3': 3,
+  'HEADING_4': 4, 'HEADING_5': 5, 'HEADING_6': 6
+};
+
+// Headings in document order with their Docs heading IDs and markdown anchors
+export function findHeadings(doc) {
+  const headings = [];
+  for (const element of doc.body.content || []) {
+    const ps = element.paragraph?.paragraphStyle;
+    const level = HEADING_LEVELS[ps?.namedStyleType];
+    if (!level) continue;
+    let text = '';
+    for (const el of element.paragraph.elements || []) {
+      if (el.textRun?.content) text += el.textRun.content;
+    }
+    headings.push({ id: ps.headingId, text: text.trim(), level, startIndex: element.startIndex });
+  }
+  const slugs = headingSlugs(headings.map(h => h.text));
+  headings.forEach((h, i) => { h.slug = slugs[i]; });
+  return headings;
+}
+
+// Words in a run of text
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+// Text of a table's cells, for word counts
+function tableText(table) {
+  return (table.tableRows || []).flatMap(row => (row.tableCells || []).flatMap(cell =>
+    (cell.content || []).flatMap(c => c.paragraph ? (c.paragraph.elements || []).map(el => el.textRun?.content || '') :
+      c.table ? [tableText(c.table)] : []))).join(' ');
+}
+
+/**
+ * Plain text of the body with a map back to document indices, and the
+ * sections under each heading
+ * @returns {{ plaintext: string, indexMap: number[], sections: Array, preamble: { endIndex: number, words: number, tables: number } }}
+ *   Each section runs from its heading to the next heading of any level:
+ *   { heading, level, headingId, startIndex, endIndex, words, tables } — words
+ *   and tables counted in its body, not the heading. `preamble` is what comes
+ *   before the first heading
+ */
+export function buildTextMap(doc) {
+  let plaintext = '';
+  const indexMap = [];
+  const sections = [];
+  let currentSection = null;
+  const preamble = { endIndex: null, words: 0, tables: 0 };
+  for (const element of doc.body.content || []) {
+    if (element.paragraph) {
+      const style = element.paragraph.paragraphStyle?.namedStyleType;
+      const level = HEADING_LEVELS[style];
+      let text = '';
+      for (const el of element.paragraph.elements || []) {
+        if (el.textRun?.content) text += el.textRun.content;
+      }
+      if (level) {
+        if (currentSection) {
+          currentSection.endIndex = element.startIndex;
+          sections.push(currentSection);
+        } else {
+          preamble.endIndex = element.startIndex;
+        }
+        currentSection = {
+          heading: text.trim(), level, headingId: element.paragraph.paragraphStyle.headingId || null,
+          startIndex: element.startIndex, endIndex: null, words: 0, tables: 0
+        };
+      } else {
+        (currentSection || preamble).words += countWords(text);
+      }
+      for (const el of element.paragraph.elements || []) {
+        if (el.textRun?.content) {
+          const content = el.textRun.content;
+          for (let i = 0; i < content.length; i++) {
+            indexMap.push(el.startIndex + i);
+            plaintext += content[i];
+          }
+        }
+      }
+    } else if (element.table) {
+      indexMap.push(element.startIndex);
+      plaintext += '\u0000';
+      const section = currentSection || preamble;
+      section.tables++;
+      section.words += countWords(tableText(element.table));
+    }
+  }
+  const lastElement = (doc.body.content || []).slice(-1)[0];
+  if (currentSection) {
+    currentSection.endIndex = lastElement?.endIndex || currentSection.startIndex;
+    sections.push(currentSection);
+  }
+  preamble.endIndex ??= lastElement?.endIndex || 1;
+  return { plaintext, indexMap, sections, preamble };
+}
+
+/**
+ * Sections from buildTextMap with their place in the heading tree: `path`
+ * (heading texts from the top-level ancestor down to the section itself),
+ * `slug` (markdown anchor) and `treeEndIndex`, where the section ends with
+ * its subsections included
+ * @returns {{ sections: Array, preamble: object }}
+ */
+export function listSections(doc) {
+  const { sections, preamble } = buildTextMap(doc);
+  const slugs = Object.fromEntries(findHeadings(doc).map(h => [h.startIndex, h.slug]));
+  const open = []; // Enclosing sections, innermost last
+  const result = sections.map((section, i) => {
+    while (open.length && open[open.length - 1].level >= section.level) open.pop();
+    const next = sections.slice(i + 1).find(s => s.level <= section.level);
+    const node = {
+      ...section,
+      slug: slugs[section.startIndex],
+      path: [...open.map(s => s.heading), section.heading],
+      treeEndIndex: next ? next.startIndex : sections[sections.length - 1].endIndex
+    };
+    open.push(node);
+    return node;
+  });
+  return { sections: result, preamble };
+}
+
+const HEADING_ID = /^(?:#heading=)?(h\.[\w-]+)$/;
+
+// Test for the sections one part of an address names: a heading ID
+// (h.abc or #heading=h.abc), a markdown anchor (#risks), a /regex/flags,
+// a glob with * and ?, or else the heading text, ignoring case
+function sectionMatcher(part) {
+  const id = HEADING_ID.exec(part);
+  if (id) return (s) => s.headingId === id[1];
+  if (part.startsWith('#')) return (s) => s.slug === part.slice(1);
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(part);
+  if (regex) {
+    let re;
+    try { re = new RegExp(regex[1], regex[2]); } catch (e) { throw new Error(`Bad section pattern ${part}: ${e.message}`); }
+    return (s) => re.test(s.heading);
+  }
+  if (/[*?]/.test(part)) {
+    const re = new RegExp('^' + part.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$', 'i');
+    return (s) => re.test(s.heading);
+  }
+  return (s) => s.heading.toLowerCase() === part.toLowerCase();
+}
+
+/**
+ * Every section an address names, in document order. An address is a
+ * heading, or a path of them from the outside in ("Q3 Plan > Risks >
+ * Overview"; levels in between may be left out). Each part is matched as
+ * sectionMatcher describes, and may end in [n] for its nth match. A heading
+ * whose text is the whole address always matches, so headings with > or *
+ * in them still work
+ */
+export function matchSections(sections, address) {
+  const text = address.trim();
+  const literal = sections.filter(s => s.heading.toLowerCase() === text.toLowerCase());
+  if (literal.length) return literal;
+  let scope = null; // Sections the next part must be inside
+  for (const raw of text.split(/\s+>\s+/)) {
+    const [, part, nth] = /^(.*?)(?:\s*\[(\d+)\])?$/.exec(raw.trim());
+    const test = sectionMatcher(part);
+    let matches = sections.filter(s => test(s) &&
+      (!scope || scope.some(outer => s.startIndex > outer.startIndex && s.startIndex < outer.treeEndIndex)));
+    if (nth) matches = matches[nth - 1] ? [matches[nth - 1]] : [];
+    scope = matches;
+  }
+  return scope;
+}
+
+/**
+ * The one section an address names (see matchSections)
+ * @throws when nothing matches (listing the sections) or several do (listing
+ *   them with the [n] or path that picks each)
+ */
+export function findSection(doc, address) {
+  const { sections } = listSections(doc);
+  const matches = matchSections(sections, address);
+  const describe = (s) => `"${s.path.join(' > ')}" (H${s.level}${s.headingId ? `, ${s.headingId}` : ''})`;
+  if (matches.length === 0) {
+    const available = sections.map(s => '  ' + describe(s)).join('\n');
+    throw new Error(`Section "${address}" not found.\nAvailable sections:\n${available}`);
+  }
+  if (matches.length > 1) {
+    const choices = matches.map((s, i) => `  "${address.trim()} [${i + 1}]" = ${describe(s)}`).join('\n');
+    throw new Error(`Section "${address}" matches ${matches.length} headings; pick one with [n], a path or a heading ID:\n${choices}`);
+  }
+  return matches[0];
+}
+
+/**
+ * Headings as a tree, for navigating a doc without reading it: each section
+ * from listSections with a link to the heading (#heading=h.…) and the
+ * sections nested under it
+ * @param {object} doc
+ * @param {string} [address] - Only this section and its subsections (see findSection)
+ * @returns {{ preamble: object, sections: Array<{ heading, level, headingId, slug, path, link, startIndex, endIndex, treeEndIndex, words, tables, children }> }}
+ */
+export function docOutline(doc, address) {
+  const { sections, preamble } = listSections(doc);
+  const target = address ? findSection(doc, address) : null;
+  const roots = [];
+  const open = []; // Innermost last
+  for (const section of sections) {
+    if (target && (section.startIndex < target.startIndex || section.startIndex >= target.treeEndIndex)) continue;
+    const node = { ...section, link: section.headingId ? `#heading=${section.headingId}` : null, children: [] };
+    while (open.length && open[open.length - 1].level >= node.level) open.pop();
+    (open.length ? open[open.length - 1].children : roots).push(node);
+    open.push(node);
+  }
+  return { preamble, sections: roots };
+}
+
+/**
+ * Every tab of a document fetched with includeTabsContent, child tabs right
+ * after their parent, each with its content in the documents.get shape
+ * docToTree takes
+ * @returns {Array<{ id: string, title: string, index: number, level: number, parentId: string|null, doc: object }>}
+ *   `index` is the position in this list; `level` is 0 for top-level tabs
+ */
+export function listTabs(doc) {
+  const tabs = [];
+  const visit = (tab, level, parentId) => {
+    const props = tab.tabProperties || {};
+    const content = tab.documentTab || {};
+    tabs.push({
+      id: props.tabId,
+      title: props.title,
+      index: tabs.length,
+      level,
+      parentId,
+      doc: {
+        ...doc,
+        tabs: undefined,
+        body: content.body,
+        lists: content.lists || {},
+        inlineObjects: content.inlineObjects || {},
+        namedRanges: content.namedRanges || {},
+        footnotes: content.footnotes || {},
+        headers: content.headers || {},
+        footers: content.footers || {},
+        documentStyle: content.documentStyle
+      }
+    });
+    for (const child of tab.childTabs || []) visit(child, level + 1, props.tabId);
+  };
+  for (const tab of doc.tabs || []) visit(tab, 0, null);
+  return tabs;
+}
+
+/**
+ * Merge neighbouring text nodes that `key` can't tell apart, so renderers
+ * don't repeat markers: **foo****bar** → **foobar**. Docs splits runs on
+ * things an export may not show (font size, spell-check, colour)
+ * @param {Array} nodes - Inline nodes
+ * @param {Function} key - Text node → string; equal keys merge
+ */
+export function mergeText(nodes, key) {
+  const merged = [];
+  for (const node of nodes) {
+    const prev = merged[merged.length - 1];
+    if (prev?.type === 'text' && node.type === 'text' && key(prev) === key(node)) {
+      merged[merged.length - 1] = { ...prev, text: prev.text + node.text };
+    } else {
+      merged.push(node);
+    }
+  }
+  return merged;
+}
+
+// Plain text of inline nodes, for labels, anchors and alt text
+export function inlineText(nodes) {
+  return nodes.map(n => n.type === 'text' ? n.text : n.type === 'math' ? n.source : n.type === 'autoText' ? `{${n.kind}}` : n.name || n.email || n.title || n.value || '').join('');
+}
+
+// Header and footer slots in documentStyle, with the label each gets in an export
+const HEADER_SLOTS = [
+  ['headers', 'defaultHeaderId', 'header'],
+  ['headers', 'firstPageHeaderId', 'first-page header'],
+  ['headers', 'evenPageHeaderId', 'even-page header'],
+  ['footers', 'defaultFooterId', 'footer'],
+  ['footers', 'firstPageFooterId', 'first-page footer'],
+  ['footers', 'evenPageFooterId', 'even-page footer']
+];
+
+/**
+ * Read a document into the tree described at the top of this file
+ * @param {object} doc - documents.get response (or a tab's content in the same shape)
+ * @param {string} [sectionFilter] - Only the section under this heading (an address, see findSection)
+ * @param {object} [options] - { codeFonts: string[] } — more fonts to read as inline code
+ * @returns {{ type: 'document', title: string, children: Array, footnotes: Array<{ id, number, paragraphs }>, headers: Array<{ kind, label, paragraphs }> }}
+ */
+export function docToTree(doc, sectionFilter, { codeFonts = [] } = {}) {
+  let filterStart = null, filterEnd = null;
+  if (sectionFilter) {
+    const target = findSection(doc, sectionFilter);
+    filterStart = target.startIndex;
+    filterEnd = target.endIndex;
+  }
+
+  const altTexts = findNamedRangeValues(doc, IMAGE_ALT_PREFIX);
+  const codeLanguages = findNamedRangeValues(doc, CODE_LANG_PREFIX);
+  const math = findMathRanges(doc);
+  const anchors = Object.fromEntries(findHeadings(doc).filter(h => h.id).map(h => [h.id, h.slug]));
+  const tocRanges = (doc.namedRanges?.[TOC_RANGE_NAME]?.namedRanges || []).flatMap(r => r.ranges || []);
+  // Strikethrough written inside done tasks (the whole item is struck to show it's done)
+  const taskStrikes = (doc.namedRanges?.[TASK_STRIKE_RANGE_NAME]?.namedRanges || [])
+    .flatMap(r => r.ranges || []).filter(r => !r.segmentId);
+  const footnoteRefs = []; // { id, number } in order of first reference
+  const body = { math, altTexts, footnoteRefs };
+  // Alt text and equation ranges index into the body, so they don't apply elsewhere
+  const segment = { math: {}, altTexts: {}, footnoteRefs: null };
+
+  // `doneTask`: the paragraph is a done task, whose strikethrough only shows
+  // where its author put it
+  const inline = (elements, { math, altTexts, footnoteRefs, doneTask = false }) => {
+    const nodes = [];
+    const bounds = Object.entries(math).flatMap(([start, eq]) => [Number(start), eq.endIndex]);
+    if (doneTask) bounds.push(...taskStrikes.flatMap(r => [r.startIndex, r.endIndex]));
+    const authorStrike = (el) => taskStrikes.some(r => el.startIndex >= r.startIndex && el.startIndex < r.endIndex);
+    let mathEnd = -1;
+    const push = (node, el) => {
+      const suggestion = suggestionOf(el);
+      if (suggestion) node.suggestion = suggestion;
+      nodes.push(node);
+    };
+    for (const el of splitTextRuns(elements, bounds)) {
+      if (math[el.startIndex]) {
+        const { source } = math[el.startIndex];
+        const display = /^\$\$[\s\S]*\$\$$/.test(source);
+        push({ type: 'math', source, tex: source.slice(display ? 2 : 1, display ? -2 : -1), display }, el);
+        mathEnd = math[el.startIndex].endIndex;
+        continue;
+      }
+      if (el.startIndex < mathEnd) continue;
+      if (el.footnoteReference) {
+        const { footnoteId, footnoteNumber } = el.footnoteReference;
+        push({ type: 'footnoteRef', id: footnoteId, number: footnoteNumber }, el);
+        if (footnoteRefs && !footnoteRefs.some(f => f.id === footnoteId)) footnoteRefs.push({ id: footnoteId, number: footnoteNumber });
+        continue;
+      }
+      if (el.inlineObjectElement) {
+        const embedded = doc.inlineObjects?.[el.inlineObjectElement.inlineObjectId]?.inlineObjectProperties?.embeddedObject;
+        const url = embedded?.imageProperties?.sourceUri || embedded?.imageProperties?.contentUri;
+        if (url) {
+          const node = { type: 'image', url, alt: altTexts[el.startIndex] ?? embedded.description ?? embedded.title ?? '' };
+          if (embedded.size?.width?.magnitude) node.width = embedded.size.width.magnitude;
+          if (embedded.size?.height?.magnitude) node.height = embedded.size.height.magnitude;
+          push(node, el);
+        } else if (embedded) {
+          // Drawings have no image to link to
+          push({ type: 'object', kind: embedded.embeddedDrawingProperties ? 'drawing' : 'object', label: embedded.title || embedded.description || '' }, el);
+        }
+        continue;
+      }
+      if (el.person) {
+        const { name, email } = el.person.personProperties || {};
+        push({ type: 'person', name: name && name !== email ? name : null, email }, el);
+        continue;
+      }
+      if (el.dateElement) {
+        push({ type: 'date', value: chipDate(el.dateElement.dateElementProperties || {}) }, el);
+        continue;
+      }
+      if (el.richLink) {
+        const { title, uri } = el.richLink.richLinkProperties || {};
+        push({ type: 'richLink', title: title || uri, url: uri }, el);
+        continue;
+      }
+      // The API doesn't expose a native equation's content
+      if (el.equation) {
+        push({ type: 'equation' }, el);
+        continue;
+      }
+      if (el.autoText) {
+        push({ type: 'autoText', kind: el.autoText.type === 'PAGE_COUNT' ? 'pages' : 'page' }, el);
+        continue;
+      }
+      if (!el.textRun) continue;
+      let text = el.textRun.content;
+      if (text.endsWith('\n')) text = text.slice(0, -1);
+      if (!text) continue;
+      const ts = el.textRun.textStyle || {};
+      const marks = {};
+      if (ts.bold) marks.bold = true;
+      if (ts.italic) marks.italic = true;
+      if (ts.strikethrough && (!doneTask || authorStrike(el))) marks.strikethrough = true;
+      if (ts.underline) marks.underline = true;
+      if (isCodeFont(ts, codeFonts)) marks.code = true;
+      const highlight = hexColor(ts.backgroundColor);
+      if (highlight) marks.highlight = highlight;
+      const color = hexColor(ts.foregroundColor);
+      if (color) marks.color = color;
+      if (ts.baselineOffset === 'SUPERSCRIPT') marks.baseline = 'superscript';
+      else if (ts.baselineOffset === 'SUBSCRIPT') marks.baseline = 'subscript';
+      const headingId = ts.link?.headingId || ts.link?.heading?.id;
+      if (ts.link?.url) marks.link = { url: ts.link.url };
+      else if (anchors[headingId]) marks.link = { anchor: anchors[headingId], headingId };
+      push({ type: 'text', text, marks }, el);
+    }
+    return mergeText(nodes, (n) => JSON.stringify([n.marks, n.suggestion]));
+  };
+
+  const blocks = [];
+  let quote = null; // Open quote block
+  let code = null; // Open code block
+  let tocDone = false;
+  // Lists open in the current container, innermost last: [{ list, level }]
+  let openLists = [];
+  const container = () => (quote ? quote.children : blocks);
+  const closeBlocks = () => { quote = null; code = null; openLists = []; };
+
+  // Item numbers per list and nesting level, as Docs counts them: from the
+  // level's startNumber, on across interruptions, restarting under a new parent item
+  const listCounts = {};
+  const countItem = (bullet, level) => {
+    const counts = listCounts[bullet.listId] ??= [];
+    counts.length = level + 1;
+    const start = doc.lists?.[bullet.listId]?.listProperties?.nestingLevels?.[level]?.startNumber ?? 1;
+    counts[level] = (counts[level] ?? start - 1) + 1;
+    return counts[level];
+  };
+
+  // Flat Docs list paragraphs → nested lists: deeper items go into the
+  // previous item's sub-lists; a different list at the same level starts a new one
+  const addListItem = (bullet, kind, item) => {
+    const level = bullet.nestingLevel || 0;
+    while (openLists.length && openLists[openLists.length - 1].level > level) openLists.pop();
+    let top = openLists[openLists.length - 1];
+    const same = (list) => list.listId === bullet.listId && list.ordered === kind.ordered && list.task === kind.task;
+    if (top && top.level === level && same(top.list)) {
+      top.list.items.push(item);
+      return;
+    }
+    if (top && top.level === level) {
+      openLists.pop();
+      top = openLists[openLists.length - 1];
+    }
+    const list = { type: 'list', listId: bullet.listId, level, ordered: kind.ordered, task: kind.task, items: [item] };
+    if (top) top.list.items[top.list.items.length - 1].lists.push(list);
+    else container().push(list);
+    openLists.push({ list, level });
+  };
+
+  for (const element of doc.body.content || []) {
+    if (filterStart !== null) {
+      // Items before the section still count towards its numbering
+      const skipped = element.paragraph?.bullet;
+      if (skipped && element.startIndex < filterStart) countItem(skipped, skipped.nestingLevel || 0);
+      if (element.startIndex < filterStart) continue;
+      if (element.endIndex > filterEnd) break;
+    }
+    // TITLE / SUBTITLE paragraphs at the top of the doc
+    const namedStyle = element.paragraph?.paragraphStyle?.namedStyleType;
+    if ((namedStyle === 'TITLE' || namedStyle === 'SUBTITLE') && blocks.every(b => b.type === 'title' || b.type === 'subtitle')) {
+      blocks.push({ type: namedStyle === 'TITLE' ? 'title' : 'subtitle', children: inline(element.paragraph.elements, body) });
+      continue;
+    }
+    // The body's first section break is the document start; later ones are markers
+    if (element.sectionBreak) {
+      if (element.startIndex) {
+        closeBlocks();
+        blocks.push({ type: 'sectionBreak', continuous: element.sectionBreak.sectionStyle?.sectionType === 'CONTINUOUS' });
+      }
+      continue;
+    }
+    if (element.paragraph && isCodeParagraph(element.paragraph)) {
+      // A language range starting here means a new block, even right after another one
+      const lang = codeLanguages[element.startIndex];
+      if (!code || lang !== undefined) {
+        closeBlocks();
+        code = { type: 'code', lang: lang || '', lines: [] };
+        blocks.push(code);
+      }
+      const line = [];
+      for (const el of element.paragraph.elements || []) {
+        const text = el.textRun?.content?.replace(/\n$/, '');
+        if (!text) continue;
+        const segment = { text };
+        const suggestion = suggestionOf(el);
+        if (suggestion) segment.suggestion = suggestion;
+        line.push(segment);
+      }
+      code.lines.push(line);
+      continue;
+    }
+    code = null;
+    // A generated table of contents goes back to its placeholder
+    if (tocRanges.some(r => element.startIndex >= r.startIndex && element.startIndex < r.endIndex)) {
+      if (!tocDone) {
+        closeBlocks();
+        blocks.push({ type: 'toc' });
+        tocDone = true;
+      }
+      continue;
+    }
+    if (element.paragraph) {
+      const para = element.paragraph;
+      const style = para.paragraphStyle?.namedStyleType;
+      const bullet = para.bullet;
+      const listProps = bullet ? doc.lists?.[bullet.listId]?.listProperties?.nestingLevels?.[bullet.nestingLevel || 0] : null;
+      // Checkbox lists have neither a glyph symbol nor a numbering glyph type
+      const isTask = !!listProps && !listProps.glyphSymbol &&
+                     (!listProps.glyphType || listProps.glyphType === 'GLYPH_TYPE_UNSPECIFIED');
+      const textRuns = (para.elements || []).filter(el => el.textRun?.content?.trim());
+      // Done tasks are struck through, since the API can't tick the box
+      const checked = isTask && textRuns.length > 0 && textRuns.every(el => el.textRun.textStyle?.strikethrough);
+      const children = inline(para.elements, checked ? { ...body, doneTask: true } : body);
+      if ((para.elements || []).some(el => el.pageBreak)) {
+        closeBlocks();
+        if (inlineText(children).trim()) blocks.push({ type: 'paragraph', children });
+        blocks.push({ type: 'pageBreak' });
+        continue;
+      }
+      const level = HEADING_LEVELS[style] || (style === 'TITLE' ? 1 : 0);
+      // A callout opens with its label paragraph ("Note"), which only marks the callout
+      const kind = level ? null : quoteKind(para);
+      const plainText = textRuns.map(el => el.textRun.content).join('').trim();
+      const isLabel = kind && kind !== 'QUOTE' && plainText === ADMONITIONS[kind].label;
+      if (kind !== (quote?.kind ?? null) || isLabel) {
+        closeBlocks();
+        if (kind) {
+          quote = { type: 'quote', kind, children: [] };
+          blocks.push(quote);
+          if (isLabel) continue;
+        }
+      }
+      if (level) {
+        openLists = [];
+        blocks.push({ type: 'heading', level, id: para.paragraphStyle.headingId || null, slug: anchors[para.paragraphStyle.headingId] || null, children });
+      } else if (bullet) {
+        const nestingLevel = bullet.nestingLevel || 0;
+        const item = { number: countItem(bullet, nestingLevel), children, lists: [] };
+        if (isTask) item.checked = checked;
+        // Custom bullet glyphs are still bullets; only numbering glyphs make an ordered item
+        addListItem(bullet, { ordered: !isTask && ORDERED_GLYPHS.has(listProps?.glyphType), task: isTask }, item);
+      } else {
+        openLists = [];
+        container().push({ type: 'paragraph', children });
+      }
+    } else if (element.table) {
+      closeBlocks();
+      const rows = element.table.tableRows || [];
+      // Column alignment comes from the first body row (or the header if there is none)
+      const alignRow = (rows[1] || rows[0])?.tableCells || [];
+      blocks.push({
+        type: 'table',
+        align: (rows[0]?.tableCells || []).map((_, c) => ALIGNMENTS[alignRow[c]?.content?.[0]?.paragraph?.paragraphStyle?.alignment] || null),
+        rows: rows.map(row => ({
+          cells: (row.tableCells || []).map(cell => {
+            const paragraphs = (cell.content || []).filter(c => c.paragraph).map(c => inline(c.paragraph.elements, body));
+            const background = hexColor(cell.tableCellStyle?.backgroundColor);
+            return background ? { paragraphs, background } : { paragraphs };
+          })
+        }))
+      });
+    }
+  }
+
+  const paragraphsOf = (content) => (content || []).filter(c => c.paragraph).map(c => inline(c.paragraph.elements, segment));
+  // Footnote bodies, in order of first reference
+  const footnotes = footnoteRefs.map(({ id, number }) => ({ id, number, paragraphs: paragraphsOf(doc.footnotes?.[id]?.content) }));
+  const style = doc.documentStyle || {};
+  const headers = HEADER_SLOTS
+    .filter(([kind, slot]) => style[slot] && doc[kind]?.[style[slot]])
+    .map(([kind, slot, label]) => ({ kind: kind === 'headers' ? 'header' : 'footer', label, paragraphs: paragraphsOf(doc[kind][style[slot]].content) }));
+  return { type: 'document', title: doc.title || '', children: blocks, footnotes, headers };
+}
+
@@ -0,0 +1,229 @@
+/**
+ * Follow-up passes for writing markdown into a Google Doc
+ *
+ * generateDocRequests covers everything a single batchUpdate can do. Tables,
+ * footnote bodies and heading links need the doc's state after that first
+ * update, so they are filled in here with further round trips. Each function
+ * takes a Docs API client (google.docs v1, or anything with the same shape).
+ */
+
+import { findHeadings, listTabs } from './doc-tree.js';
+
+export function findTablesInDoc(doc) {
+  const tables = [];
+  for (const element of doc.body.content || []) {
+    if (element.table) {
+      const tableData = { startIndex: element.startIndex, endIndex: element.endIndex, rows: [] };
+      for (const row of element.table.tableRows || []) {
+        const rowCells = [];
+        for (const cell of row.tableCells || []) {
+          const firstPara = cell.content?.[0];
+          if (firstPara?.paragraph) {
+            rowCells.push({ startIndex: firstPara.startIndex, endIndex: firstPara.endIndex });
+          }
+        }
+        tableData.rows.push(rowCells);
+      }
+      tables.push(tableData);
+    }
+  }
+  return tables;
+}
+
+// Copy a request, shifting its range/location by `offset` and pointing it at
+// `tabId` / `segmentId` (footnote, header, footer) if given
+export function relocateRequest(req, offset, { tabId, segmentId } = {}) {
+  const r = JSON.parse(JSON.stringify(req));
+  for (const action of Object.values(r)) {
+    if (action && typeof action === 'object') {
+      for (const target of [action.location, action.range]) {
+        if (!target) continue;
+        if (tabId) target.tabId = tabId;
+        if (segmentId) target.segmentId = segmentId;
+      }
+      if (action.location) action.location.index += offset;
+      if (action.range) {
+        action.range.startIndex += offset;
+        action.range.endIndex += offset;
+      }
+    }
+  }
+  return r;
+}
+
+// Every insertInlineImage in a generateDocRequests result: the main batch and
+// table cells (filled in by processTables). Footnotes can't hold images, so
+// the parser leaves theirs as text
+export function imageRequests({ requests = [], tables = [] }) {
+  return [
+    ...requests,
+    ...tables.flatMap(t => (t.cellRequests || []).flat(2))
+  ].map(req => req.insertInlineImage).filter(Boolean);
+}
+
+// Fetch a doc (or one of its tabs) in the documents.get shape
+export async function fetchDocBody(docs, docId, tabId) {
+  if (!tabId) return (await docs.documents.get({ documentId: docId })).data;
+  const res = await docs.documents.get({ documentId: docId, includeTabsContent: true });
+  const tab = listTabs(res.data).find(t => t.id === tabId);
+  return tab?.doc || { body: { content: [] }, lists: {} };
+}
+
+async function populateTable(docs, docId, tableInDoc, tableData, tabId) {
+  const requests = [];
+  const { cells, cellRequests = [], alignments = [], headerBackground, cellStyles, columns = [] } = tableData;
+  const tableStartLocation = { index: tableInDoc.startIndex };
+  if (tabId) tableStartLocation.tabId = tabId;
+  // A table placed at the end of the paragraph before it (see doc-section.js)
+  // pushed that paragraph's own break past the table, as an empty paragraph
+  if (tableData.afterParagraph) {
+    requests.push(relocateRequest({
+      deleteContentRange: { range: { startIndex: tableInDoc.endIndex, endIndex: tableInDoc.endIndex + 1 } }
+    }, 0, { tabId }));
+  }
+  // Last cell first so earlier cell indices stay valid; each cell is styled
+  // right after its insert, while its own start index is still known
+  for (let r = cells.length - 1; r >= 0; r--) {
+    for (let c = cells[r].length - 1; c >= 0; c--) {
+      const cellIndex = tableInDoc.rows[r]?.[c]?.startIndex;
+      const text = cells[r][c];
+      if (cellIndex === undefined || !text) continue;
+      requests.push(relocateRequest({ insertText: { location: { index: 0 }, text } }, cellIndex, { tabId }));
+      for (const req of cellRequests[r]?.[c] || []) requests.push(relocateRequest(req, cellIndex, { tabId }));
+      if (alignments[c]) {
+        requests.push(relocateRequest({
+          updateParagraphStyle: {
+            range: { startIndex: 0, endIndex: text.length },
+            paragraphStyle: { alignment: alignments[c] },
+            fields: 'alignment'
+          }
+        }, cellIndex, { tabId }));
+      }
+    }
+  }
+  if (headerBackground) {
+    requests.push({
+      updateTableCellStyle: {
+        tableRange: { tableCellLocation: { tableStartLocation, rowIndex: 0, columnIndex: 0 }, rowSpan: 1, columnSpan: cells[0].length },
+        tableCellStyle: { backgroundColor: { color: { rgbColor: headerBackground } } },
+        fields: 'backgroundColor'
+      }
+    });
+  }
+  cellStyles?.forEach((row, r) => row.forEach((tableCellStyle, c) => {
+    const fields = Object.keys(tableCellStyle).join(',');
+    if (!fields) return;
+    requests.push({
+      updateTableCellStyle: {
+        tableRange: { tableCellLocation: { tableStartLocation, rowIndex: r, columnIndex: c }, rowSpan: 1, columnSpan: 1 },
+        tableCellStyle,
+        fields
+      }
+    });
+  }));
+  columns.forEach((tableColumnProperties, c) => {
+    if (tableColumnProperties.widthType !== 'FIXED_WIDTH') return;
+    requests.push({
+      updateTableColumnProperties: { tableStartLocation, columnIndices: [c], tableColumnProperties, fields: 'width,widthType' }
+    });
+  });
+  if (requests.length > 0) {
+    await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+  }
+}
+
+export async function processTables(docs, docId, tables, tabId) {
+  if (!tables || tables.length === 0) return;
+  for (const tableInfo of [...tables].reverse()) {
+    const location = { index: tableInfo.textIndex };
+    if (tabId) location.tabId = tabId;
+    await docs.documents.batchUpdate({
+      documentId: docId,
+      requestBody: {
+        requests: [{ insertTable: { rows: tableInfo.numRows, columns: tableInfo.numCols, location } }]
+      }
+    });
+    const doc = await fetchDocBody(docs, docId, tabId);
+    const tablesInDoc = findTablesInDoc(doc);
+    if (tablesInDoc.length > 0) {
+      // Find table closest to insertion point (not always the last one)
+      let closest = tablesInDoc[0];
+      let minDist = Math.abs(closest.startIndex - tableInfo.textIndex);
+      for (const t of tablesInDoc) {
+        const dist = Math.abs(t.startIndex - tableInfo.textIndex);
+        if (dist < minDist) { minDist = dist; closest = t; }
+      }
+      await populateTable(docs, docId, closest, tableInfo, tabId);
+    }
+  }
+}
+
+// Fill in footnote bodies. Each createFootnote in the main batch returns its
+// footnote's ID; replies come back in request order, matching `footnotes`
+export async function processFootnotes(docs, docId, footnotes, replies, tabId) {
+  if (!footnotes || footnotes.length === 0) return;
+  const footnoteIds = (replies || []).filter(r => r.createFootnote).map(r => r.createFootnote.footnoteId);
+  const requests = [];
+  footnotes.forEach((footnote, i) => {
+    const segmentId = footnoteIds[i];
+    if (!segmentId || !footnote.text) return;
+    requests.push(relocateRequest({ insertText: { location: { index: 1 }, text: footnote.text } }, 0, { tabId, segmentId }));
+    for (const req of footnote.requests) requests.push(relocateRequest(req, 0, { tabId, segmentId }));
+  });
+  if (requests.length > 0) {
+    await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+  }
+}
+
+// Whether any generated link targets a heading anchor (skips the extra fetch otherwise)
+export function hasAnchorLinks(requests, tables = []) {
+  return JSON.stringify([requests, tables]).includes('"url":"#');
+}
+
+// Anchors match with runs of hyphens collapsed, since smart typography turns
+// "A -- B" into "A – B" (a-b) where GitHub would slug the source (a----b)
+const anchorKey = (slug) => slug.toLowerCase().replace(/-+/g, '-');
+
+// Fragment of a "#anchor" link; one that isn't valid percent-encoding (#100%) is taken as written
+function decodeFragment(url) {
+  try {
+    return decodeURIComponent(url.slice(1));
+  } catch {
+    return url.slice(1);
+  }
+}
+
+// Point "#anchor" links at the heading they name, once the headings exist and
+// have IDs. Links to unknown anchors are left as they are, with a warning
+// (to stderr unless `onWarning` takes it)
+export async function resolveHeadingLinks(docs, docId, tabId, { onWarning = console.error } = {}) {
+  const doc = await fetchDocBody(docs, docId, tabId);
+  const headingIds = {};
+  for (const h of findHeadings(doc)) {
+    if (h.id) headingIds[anchorKey(h.slug)] ??= h.id;
+  }
+
+  const requests = [];
+  const visit = (content) => {
+    for (const element of content || []) {
+      for (const el of element.paragraph?.elements || []) {
+        const url = el.textRun?.textStyle?.link?.url;
+        if (!url?.startsWith('#')) continue;
+        const id = headingIds[anchorKey(decodeFragment(url))];
+        if (!id) { onWarning(`Unresolved heading link: ${url}`); continue; }
+        const range = { startIndex: el.startIndex, endIndex: el.endIndex };
+        if (tabId) range.tabId = tabId;
+        const link = tabId ? { heading: { id, tabId } } : { headingId: id };
+        requests.push({ updateTextStyle: { range, textStyle: { link }, fields: 'link' } });
+      }
+      for (const row of element.table?.tableRows || []) {
+        for (const cell of row.tableCells || []) visit(cell.content);
+      }
+    }
+  };
+  visit(doc.body.content);
+
+  if (requests.length > 0) {
+    await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+  }
+}
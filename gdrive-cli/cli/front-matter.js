@@ -0,0 +1,236 @@
+/**
+ * YAML front matter for markdown docs
+ *
+ * Reads and writes the small YAML subset front matter needs (maps, lists,
+ * inline [a, b] lists and scalars) and maps page settings to and from the
+ * Docs documentStyle. Not a general YAML parser.
+ */
+
+const FRONT_MATTER = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+// First line of a block that opens with a `key:` entry
+const YAML_KEY = /^\s*(?:#.*\n\s*)*("[^"]*"|'[^']*'|[\w-][^:\n]*?):(?:\s|$)/;
+
+/**
+ * Split leading front matter off markdown
+ * A leading block that isn't a YAML map (e.g. text between horizontal rules)
+ * is left alone. One that opens like a map but uses YAML this parser doesn't
+ * read (e.g. `description: >` folded scalars) throws, rather than ending up
+ * in the doc as text
+ * @returns {{ data: object|null, body: string }}
+ */
+export function splitFrontMatter(markdown) {
+  const match = FRONT_MATTER.exec(markdown || '');
+  if (!match) return { data: null, body: markdown };
+  let data;
+  try {
+    data = parseYaml(match[1]);
+  } catch (e) {
+    if (!YAML_KEY.test(match[1])) return { data: null, body: markdown };
+    throw new Error(`Unsupported front matter: ${e.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return { data: null, body: markdown };
+  return { data, body: markdown.slice(match[0].length) };
+}
+
+const isListItem = (text) => text === '-' || text.startsWith('- ');
+
+/**
+ * Parse a YAML block of maps, lists and scalars
+ */
+export function parseYaml(text) {
+  const lines = text.split(/\r?\n/)
+    .map(raw => ({ indent: raw.search(/\S/), text: raw.trim() }))
+    .filter(line => line.indent !== -1 && !line.text.startsWith('#'));
+  if (lines.length === 0) return {};
+  let i = 0;
+
+  const block = (indent) => isListItem(lines[i].text) ? list(indent) : map(indent);
+
+  function map(indent) {
+    const obj = {};
+    while (i < lines.length && lines[i].indent === indent && !isListItem(lines[i].text)) {
+      const match = /^("[^"]*"|'[^']*'|[^:]+?):(?:[ \t]+(.*))?$/.exec(lines[i].text);
+      if (!match) throw new Error(`Invalid YAML line: ${lines[i].text}`);
+      const key = String(scalar(match[1]));
+      i++;
+      if (match[2] && !match[2].startsWith('#')) {
+        obj[key] = scalar(match[2]);
+      } else if (i < lines.length && (lines[i].indent > indent || (lines[i].indent === indent && isListItem(lines[i].text)))) {
+        obj[key] = block(lines[i].indent);
+      } else {
+        obj[key] = null;
+      }
+    }
+    if (i < lines.length && lines[i].indent > indent) throw new Error(`Unexpected indentation: ${lines[i].text}`);
+    return obj;
+  }
+
+  function list(indent) {
+    const arr = [];
+    while (i < lines.length && lines[i].indent === indent && isListItem(lines[i].text)) {
+      const rest = lines[i].text.slice(1).trim();
+      if (/^[^"'[{][^:]*:(\s|$)/.test(rest)) {
+        // "- key: value" opens a map; its other keys line up with the first
+        lines[i] = { indent: indent + lines[i].text.length - rest.length, text: rest };
+        arr.push(map(lines[i].indent));
+      } else {
+        i++;
+        arr.push(rest ? scalar(rest) : (i < lines.length && lines[i].indent > indent ? block(lines[i].indent) : null));
+      }
+    }
+    return arr;
+  }
+
+  return block(lines[0].indent);
+}
+
+function splitInline(inner) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (const ch of inner) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === ',') {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) parts.push(current);
+  return parts.map(p => p.trim());
+}
+
+function scalar(raw) {
+  let text = raw.trim();
+  if (/^"(?:[^"\\]|\\.)*"$/.test(text)) return JSON.parse(text);
+  if (/^'.*'$/.test(text)) return text.slice(1, -1).replace(/''/g, "'");
+  text = text.replace(/\s+#.*$/, '');
+  if (text.startsWith('[') && text.endsWith(']')) return splitInline(text.slice(1, -1)).map(scalar);
+  if (text.startsWith('{') && text.endsWith('}')) {
+    return Object.fromEntries(splitInline(text.slice(1, -1)).map(pair => {
+      const idx = pair.indexOf(':');
+      return [String(scalar(pair.slice(0, idx))), scalar(pair.slice(idx + 1))];
+    }));
+  }
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (text === 'null' || text === '~' || text === '') return null;
+  if (/^-?\d+(?:\.\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+function formatScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value !== 'string') return String(value);
+  const plain = value !== '' && !/^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(value) && !/:\s|\s#|\s$/.test(value) &&
+                !/^(?:true|false|null|~|-?\d+(?:\.\d+)?)$/.test(value);
+  return plain ? value : JSON.stringify(value);
+}
+
+/**
+ * Serialize maps, lists and scalars as block YAML
+ */
+export function toYaml(value, indent = '') {
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      if (item && typeof item === 'object') {
+        const nested = toYaml(item, indent + '  ');
+        return `${indent}- ${nested.slice(indent.length + 2)}`;
+      }
+      return `${indent}- ${formatScalar(item)}\n`;
+    }).join('');
+  }
+  return Object.entries(value).map(([key, item]) => {
+    const empty = item && typeof item === 'object' && Object.keys(item).length === 0;
+    if (item && typeof item === 'object' && !empty) {
+      return `${indent}${formatScalar(key)}:\n${toYaml(item, indent + '  ')}`;
+    }
+    return `${indent}${formatScalar(key)}: ${empty ? (Array.isArray(item) ? '[]' : '{}') : formatScalar(item)}\n`;
+  }).join('');
+}
+
+// Paper sizes in PT (portrait)
+const PAGE_SIZES = {
+  letter: [612, 792],
+  legal: [612, 1008],
+  tabloid: [792, 1224],
+  a3: [841.89, 1190.55],
+  a4: [595.28, 841.89],
+  a5: [419.53, 595.28]
+};
+
+const UNITS = { pt: 1, in: 72, cm: 72 / 2.54, mm: 72 / 25.4, px: 0.75 };
+
+// "1in", "2.5cm", 72 → PT
+function toPoints(value) {
+  if (typeof value === 'number') return value;
+  const match = /^\s*([\d.]+)\s*(pt|in|cm|mm|px)?\s*$/i.exec(String(value));
+  if (!match) throw new Error(`Invalid length: ${value}`);
+  return Math.round(parseFloat(match[1]) * UNITS[(match[2] || 'pt').toLowerCase()] * 100) / 100;
+}
+
+// PT → "1in" for whole quarter inches, else "50.4pt"
+function formatLength(pt) {
+  const quarters = pt / 18;
+  return Math.abs(quarters - Math.round(quarters)) < 0.01 ? `${Math.round(quarters) / 4}in` : `${Math.round(pt * 100) / 100}pt`;
+}
+
+/**
+ * Docs documentStyle for front matter page settings
+ * { size: a4 | letter | "8.5in x 11in", orientation: landscape, margin: 1in, margins: { top, bottom, left, right } }
+ * @returns {{ documentStyle: object, fields: string }|null}
+ */
+export function pageStyle(page) {
+  if (!page || typeof page !== 'object') return null;
+  const documentStyle = {};
+  let size = null;
+  if (page.size) {
+    const custom = /^(.+?)\s*x\s*(.+)$/i.exec(String(page.size));
+    size = PAGE_SIZES[String(page.size).toLowerCase()] || (custom && [toPoints(custom[1]), toPoints(custom[2])]);
+    if (!size) throw new Error(`Unknown page size: ${page.size}. Use ${Object.keys(PAGE_SIZES).join(', ')} or "W x H"`);
+  }
+  if (page.orientation) {
+    size = size || PAGE_SIZES.letter;
+    const [short, long] = [Math.min(...size), Math.max(...size)];
+    size = String(page.orientation).toLowerCase() === 'landscape' ? [long, short] : [short, long];
+  }
+  if (size) {
+    documentStyle.pageSize = { width: { magnitude: size[0], unit: 'PT' }, height: { magnitude: size[1], unit: 'PT' } };
+  }
+  for (const side of ['top', 'bottom', 'left', 'right']) {
+    const value = page.margins?.[side] ?? page.margin;
+    if (value == null) continue;
+    documentStyle[`margin${side[0].toUpperCase()}${side.slice(1)}`] = { magnitude: toPoints(value), unit: 'PT' };
+  }
+  const fields = Object.keys(documentStyle).join(',');
+  return fields ? { documentStyle, fields } : null;
+}
+
+/**
+ * Page settings from a Docs documentStyle, in front matter form
+ */
+export function describePage(documentStyle) {
+  if (!documentStyle) return null;
+  const page = {};
+  const width = documentStyle.pageSize?.width?.magnitude;
+  const height = documentStyle.pageSize?.height?.magnitude;
+  if (width && height) {
+    const [short, long] = [Math.min(width, height), Math.max(width, height)];
+    const name = Object.keys(PAGE_SIZES).find(n => Math.abs(PAGE_SIZES[n][0] - short) < 1 && Math.abs(PAGE_SIZES[n][1] - long) < 1);
+    page.size = name || `${formatLength(short)} x ${formatLength(long)}`;
+    page.orientation = width > height ? 'landscape' : 'portrait';
+  }
+  const margins = {};
+  for (const side of ['top', 'bottom', 'left', 'right']) {
+    const value = documentStyle[`margin${side[0].toUpperCase()}${side.slice(1)}`]?.magnitude;
+    if (value != null) margins[side] = formatLength(value);
+  }
+  const values = Object.values(margins);
+  if (values.length === 4 && values.every(v => v === values[0])) page.margin = values[0];
+  else if (values.length > 0) page.margins = margins;
+  return Object.keys(page).length > 0 ? page : null;
+}
@@ -0,0 +1,269 @@
+/**
+ * Raw HTML subset for markdown input
+ *
+ * A small tolerant HTML reader for the tags markdown files commonly carry:
+ * inline formatting (<b>, <kbd>, <span style>, <sup>, <br> ...) and a few
+ * blocks (<p>, <div>, <details>, lists, small tables). Block HTML is turned
+ * back into markdown so the parser's own block handling applies; inline tags
+ * are left for the parser to style. Anything else is reported and dropped.
+ */
+
+// Inline tags the parser styles, by what they map to
+export const INLINE_TAGS = {
+  b: 'strong', strong: 'strong', i: 'em', em: 'em', cite: 'em', var: 'em',
+  s: 'del', del: 'del', strike: 'del', u: 'underline', ins: 'underline', mark: 'highlight',
+  sup: 'superscript', sub: 'subscript', code: 'code', kbd: 'code', samp: 'code', tt: 'code',
+  span: 'span', font: 'span', a: 'link', small: 'span', big: 'span', abbr: 'span'
+};
+
+// Tags without content
+export const VOID_TAGS = new Set(['br', 'hr', 'img', 'wbr', 'input', 'col', 'source']);
+
+// Dropped along with everything inside them
+export const DROPPED_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'video', 'audio', 'canvas', 'svg', 'form', 'head', 'template']);
+
+// Containers whose content is kept as it is
+const TRANSPARENT_TAGS = new Set(['div', 'section', 'article', 'aside', 'header', 'footer', 'main', 'nav', 'center', 'figure', 'body', 'html', 'picture', 'tbody', 'thead', 'tfoot']);
+
+const NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff', yellow: '#ffff00',
+  orange: '#ffa500', purple: '#800080', gray: '#808080', grey: '#808080', silver: '#c0c0c0', maroon: '#800000',
+  navy: '#000080', teal: '#008080', olive: '#808000', lime: '#00ff00', aqua: '#00ffff', cyan: '#00ffff',
+  fuchsia: '#ff00ff', magenta: '#ff00ff', pink: '#ffc0cb', brown: '#a52a2a', gold: '#ffd700',
+  darkred: '#8b0000', darkgreen: '#006400', darkblue: '#00008b', lightgray: '#d3d3d3', lightgrey: '#d3d3d3'
+};
+
+/**
+ * Parse an attribute string: href="x" title='y' checked
+ */
+export function parseAttributes(source) {
+  const attrs = {};
+  const pattern = /([^\s"'=<>`/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  for (const [, name, dq, sq, bare] of (source || '').matchAll(pattern)) {
+    attrs[name.toLowerCase()] = decode(dq ?? sq ?? bare ?? '');
+  }
+  return attrs;
+}
+
+function decode(text) {
+  return text.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse one tag: <span style="color:red">, </span>, <br/>
+ * @returns {{ name: string, attrs: object, closing: boolean, selfClosing: boolean }|null}
+ */
+export function parseTag(raw) {
+  const match = /^<(\/?)([a-zA-Z][\w-]*)([^>]*?)(\/?)>$/.exec(raw.trim());
+  if (!match) return null;
+  const name = match[2].toLowerCase();
+  return { name, attrs: parseAttributes(match[3]), closing: !!match[1], selfClosing: !!match[4] || VOID_TAGS.has(name) };
+}
+
+/**
+ * Docs rgbColor for a CSS colour: #rgb, #rrggbb, rgb(r, g, b) or a basic name
+ * @returns {object|null}
+ */
+export function parseColor(value) {
+  let text = String(value || '').trim().toLowerCase();
+  text = NAMED_COLORS[text] || text;
+  let rgb;
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(text);
+  if (hex) {
+    const digits = hex[1].length === 3 ? [...hex[1]].map(d => d + d) : hex[1].match(/../g);
+    rgb = digits.map(h => parseInt(h, 16));
+  } else {
+    const fn = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/.exec(text);
+    if (!fn) return null;
+    rgb = fn.slice(1, 4).map(Number);
+  }
+  const [red, green, blue] = rgb.map(v => Math.round(Math.min(v, 255) / 255 * 1000) / 1000);
+  return { red, green, blue };
+}
+
+/**
+ * Docs text style for an inline style attribute
+ * (color, background-color, font-weight, font-style, text-decoration, font-family, font-size)
+ * @param {function} warn - Called with a message for each property that can't be mapped
+ * @returns {{ textStyle: object, fields: string }|null}
+ */
+export function cssTextStyle(style, warn = () => {}) {
+  const textStyle = {};
+  for (const declaration of (style || '').split(';')) {
+    const idx = declaration.indexOf(':');
+    if (idx === -1) continue;
+    const property = declaration.slice(0, idx).trim().toLowerCase();
+    const value = declaration.slice(idx + 1).trim().replace(/\s*!important$/, '');
+    const lower = value.toLowerCase();
+    if (property === 'color') {
+      const color = parseColor(value);
+      if (color) textStyle.foregroundColor = { color: { rgbColor: color } };
+      else warn(`Unsupported colour "${value}"`);
+    } else if (property === 'background-color' || property === 'background') {
+      const color = parseColor(value);
+      if (color) textStyle.backgroundColor = { color: { rgbColor: color } };
+      else warn(`Unsupported colour "${value}"`);
+    } else if (property === 'font-weight') {
+      textStyle.bold = lower === 'bold' || lower === 'bolder' || parseInt(lower, 10) >= 600;
+    } else if (property === 'font-style') {
+      textStyle.italic = lower === 'italic' || lower === 'oblique';
+    } else if (property === 'text-decoration' || property === 'text-decoration-line') {
+      if (lower.includes('underline')) textStyle.underline = true;
+      if (lower.includes('line-through')) textStyle.strikethrough = true;
+    } else if (property === 'font-family') {
+      textStyle.weightedFontFamily = { fontFamily: value.split(',')[0].trim().replace(/^["']|["']$/g, '') };
+    } else if (property === 'font-size' && /^[\d.]+(px|pt)$/.test(lower)) {
+      const size = parseFloat(lower) * (lower.endsWith('px') ? 0.75 : 1);
+      textStyle.fontSize = { magnitude: Math.round(size * 10) / 10, unit: 'PT' };
+    } else if (property) {
+      warn(`Unsupported CSS property "${property}"`);
+    }
+  }
+  const fields = Object.keys(textStyle).join(',');
+  return fields ? { textStyle, fields } : null;
+}
+
+/**
+ * Parse HTML into a tree of { name, attrs, raw, children } nodes and text strings.
+ * Tolerant: unclosed tags close at the end, stray closing tags are ignored
+ */
+export function parseHtml(html) {
+  const root = { name: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const pattern = /<!--[\s\S]*?(?:-->|$)|<\/?[a-zA-Z][\w-]*(?:"[^"]*"|'[^']*'|[^'">])*>|[^<]+|</g;
+  for (const [part] of html.matchAll(pattern)) {
+    const parent = stack[stack.length - 1];
+    if (part.startsWith('<!--')) continue;
+    const tag = part.length > 1 ? parseTag(part) : null;
+    if (!tag) {
+      parent.children.push(part);
+    } else if (tag.closing) {
+      const idx = stack.findLastIndex(node => node.name === tag.name);
+      if (idx > 0) stack.length = idx;
+    } else {
+      const node = { name: tag.name, attrs: tag.attrs, raw: part, children: [] };
+      parent.children.push(node);
+      if (!tag.selfClosing) stack.push(node);
+    }
+  }
+  return root;
+}
+
+// Inline nodes back to HTML/text, for the parser's inline handling
+function inlineHtml(node) {
+  if (typeof node === 'string') return node;
+  if (DROPPED_TAGS.has(node.name)) return '';
+  if (VOID_TAGS.has(node.name)) return node.raw;
+  return node.raw + node.children.map(inlineHtml).join('') + `</${node.name}>`;
+}
+
+const BLOCK_TAGS = new Set(['p', 'div', 'details', 'summary', 'ul', 'ol', 'li', 'blockquote', 'pre', 'hr', 'table', 'tr', 'td', 'th', 'dl', 'dt', 'dd',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', ...TRANSPARENT_TAGS]);
+
+/**
+ * Convert a block of HTML to markdown (with inline HTML left in place)
+ * @param {string} html
+ * @param {function} warn - Called with a message for each unsupported tag
+ * @returns {string}
+ */
+export function htmlBlockToMarkdown(html, warn = () => {}) {
+  return blocks(parseHtml(html).children, warn).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Block-level children to markdown; runs of inline content become paragraphs
+function blocks(children, warn) {
+  let md = '';
+  let inline = '';
+  const flush = () => {
+    const text = inline.replace(/\s+/g, ' ').trim();
+    if (text) md += text + '\n\n';
+    inline = '';
+  };
+  for (const child of children) {
+    if (typeof child === 'string' || !BLOCK_TAGS.has(child.name)) {
+      if (typeof child !== 'string' && !INLINE_TAGS[child.name] && !VOID_TAGS.has(child.name)) {
+        warn(`Unsupported HTML <${child.name}> ${DROPPED_TAGS.has(child.name) ? 'dropped' : 'dropped (content kept)'}`);
+        if (!DROPPED_TAGS.has(child.name)) inline += child.children.map(inlineHtml).join('');
+        continue;
+      }
+      inline += inlineHtml(child);
+      continue;
+    }
+    flush();
+    md += block(child, warn);
+  }
+  flush();
+  return md;
+}
+
+function block(node, warn) {
+  const content = () => blocks(node.children, warn).trim();
+  const inlineContent = () => node.children.map(inlineHtml).join('').replace(/\s+/g, ' ').trim();
+  switch (node.name) {
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+      return `${'#'.repeat(Number(node.name[1]))} ${inlineContent()}\n\n`;
+    case 'summary':
+      // Docs has no collapsible sections; the summary becomes a bold lead-in
+      return `**${inlineContent()}**\n\n`;
+    case 'hr':
+      return '---\n\n';
+    case 'pre':
+      return '```\n' + decode(node.children.map(c => typeof c === 'string' ? c : textContent(c)).join('')).replace(/^\n|\n$/g, '') + '\n```\n\n';
+    case 'blockquote':
+      return content().split('\n').map(line => line ? `> ${line}` : '>').join('\n') + '\n\n';
+    case 'ul':
+    case 'ol':
+      return list(node, warn, 0) + '\n';
+    case 'table':
+      return table(node, warn);
+    case 'dt':
+      return `**${inlineContent()}**\n\n`;
+    default:
+      // p, div, details, dd, li outside a list and other containers
+      return content() + '\n\n';
+  }
+}
+
+function textContent(node) {
+  return typeof node === 'string' ? node : node.children.map(textContent).join('');
+}
+
+function list(node, warn, depth) {
+  const ordered = node.name === 'ol';
+  let md = '';
+  for (const item of node.children) {
+    if (typeof item === 'string' || item.name !== 'li') continue;
+    const nested = item.children.filter(c => typeof c !== 'string' && (c.name === 'ul' || c.name === 'ol'));
+    const rest = item.children.filter(c => !nested.includes(c));
+    const text = blocks(rest, warn).trim().replace(/\n+/g, ' ');
+    const marker = ordered ? '1. ' : '- ';
+    md += `${' '.repeat(depth)}${marker}${text}\n`;
+    for (const sub of nested) md += list(sub, warn, depth + marker.length);
+  }
+  return md;
+}
+
+function table(node, warn) {
+  const rows = [];
+  const collect = (n) => {
+    for (const child of n.children) {
+      if (typeof child === 'string') continue;
+      if (child.name === 'tr') rows.push(child);
+      else if (child.name === 'thead' || child.name === 'tbody' || child.name === 'tfoot') collect(child);
+      else if (child.name !== 'caption' && child.name !== 'colgroup') warn(`Unsupported HTML <${child.name}> in table dropped`);
+    }
+  };
+  collect(node);
+  const cells = rows.map(row => row.children
+    .filter(c => typeof c !== 'string' && (c.name === 'td' || c.name === 'th'))
+    .map(c => {
+      if (c.attrs.colspan || c.attrs.rowspan) warn('HTML table colspan/rowspan is not supported; cells are kept unmerged');
+      return blocks(c.children, warn).trim().replace(/\s*\n+\s*/g, ' ').replace(/\|/g, '\\|');
+    }));
+  const width = Math.max(0, ...cells.map(r => r.length));
+  if (width === 0) return '';
+  const line = (r) => '| ' + Array.from({ length: width }, (_, i) => r[i] ?? '').join(' | ') + ' |\n';
+  const caption = node.children.find(c => typeof c !== 'string' && c.name === 'caption');
+  return (caption ? `**${caption.children.map(inlineHtml).join('').trim()}**\n\n` : '') +
+    line(cells[0]) + line(Array(width).fill('---')) + cells.slice(1).map(line).join('') + '\n';
+}
@@ -6,7 +6,15 @@ import { google } from 'googleapis';
 import * as fs from 'fs';
 import * as path from 'path';
 import * as readline from 'readline';
-import { generateDocRequests } from './markdown-parser.js';
+import { generateDocRequests, TOC_RANGE_NAME } from './markdown-parser.js';
+import { docToMarkdown, collectSuggestions, anchorComments } from './doc-to-markdown.js';
+import { findHeadings, buildTextMap, listTabs, docOutline, findSection } from './doc-tree.js';
+import { exportDoc, EXPORT_FORMATS } from './doc-export.js';
+import { findTablesInDoc, imageRequests, relocateRequest, processTables, processFootnotes, hasAnchorLinks, resolveHeadingLinks } from './doc-writer.js';
+import { insertionPoint, deleteSection, moveSection, copySection } from './doc-section.js';
+import { simulateCreateDoc, renderHtml, renderAnsi } from './doc-preview.js';
+import { loadTheme } from './themes.js';
+import { splitFrontMatter, toYaml, pageStyle, describePage } from './front-matter.js';
 
 // Paths
 const HOME = process.env.HOME || process.env.USERPROFILE;
@@ -26,6 +34,9 @@ const SCOPES = [
 // Exit codes
 const EXIT = { OK: 0, AUTH: 1, NOT_FOUND: 2, API: 3 };
 
+// MIME types for uploads, by file extension
+const EXT_MIME = { '.pdf': 'application/pdf', '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', '.csv': 'text/csv', '.txt': 'text/plain', '.json': 'application/json', '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.svg': 'image/svg+xml', '.html': 'text/html', '.md': 'text/markdown', '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation' };
+
 // Output helpers
 const out = (data) => console.log(JSON.stringify(data, null, 2));
 const err = (msg, code = EXIT.API) => {
@@ -253,15 +264,16 @@ async function getAuthClient(forceReauth = false) {
 
 // ─── Rich Docs Helpers ────────────────────────────────────────
 
-// Fetch doc with tab resolution. Returns { docData, tabId, tabs }
-// docData.body/lists are from the selected tab (first tab by default)
-async function fetchDoc(docs, docId, tabFlag) {
-  const res = await docs.documents.get({ documentId: docId, includeTabsContent: true });
+// Fetch doc with tab resolution. Returns { docData, tabId, tabs, allTabs }
+// docData.body/lists are from the selected tab (first tab by default).
+// Child tabs count too: indexes run through the tree depth-first, as listTabs gives them
+async function fetchDoc(docs, docId, tabFlag, options = {}) {
+  const res = await docs.documents.get({ documentId: docId, includeTabsContent: true, ...options });
   const raw = res.data;
-  const tabs = raw.tabs || [];
+  const tabs = listTabs(raw);
 
   if (tabs.length === 0) {
-    return { docData: raw, tabId: null, tabs: [] };
+    return { docData: raw, tabId: null, tabs: [], allTabs: [] };
   }
 
   let tab;
@@ -270,23 +282,22 @@ async function fetchDoc(docs, docId, tabFlag) {
     if (!isNaN(idx)) tab = tabs[idx];
     // Match by tab ID (supports both "t.xxxxxx" URL format and bare "xxxxxx" API format)
     const bareId = String(tabFlag).replace(/^t\./, '');
-    if (!tab) tab = tabs.find(t => t.tabProperties.tabId === tabFlag || t.tabProperties.tabId === bareId);
-    if (!tab) tab = tabs.find(t => t.tabProperties.title.toLowerCase() === String(tabFlag).toLowerCase());
+    if (!tab) tab = tabs.find(t => t.id === tabFlag || t.id === bareId);
+    if (!tab) tab = tabs.find(t => t.title.toLowerCase() === String(tabFlag).toLowerCase());
     if (!tab) {
-      const avail = tabs.map((t, i) => `  [${i}] "${t.tabProperties.title}" (id: ${t.tabProperties.tabId})`).join('\n');
+      const avail = tabs.map(t => `  ${'  '.repeat(t.level)}[${t.index}] "${t.title}" (id: ${t.id})`).join('\n');
       err(`Tab "${tabFlag}" not found.\nAvailable tabs:\n${avail}`);
     }
   } else {
     tab = tabs[0];
   }
 
-  const docData = {
-    ...raw,
-    body: tab.documentTab.body,
-    lists: tab.documentTab.lists || {}
-  };
-  const tabsMeta = tabs.map((t, i) => ({ index: i, title: t.tabProperties.title, id: t.tabProperties.tabId }));
-  return { docData, tabId: tab.tabProperties.tabId, tabs: tabsMeta };
+  const tabsMeta = tabs.map(t => {
+    const meta = { index: t.index, title: t.title, id: t.id };
+    if (t.parentId) Object.assign(meta, { parentId: t.parentId, level: t.level });
+    return meta;
+  });
+  return { docData: tab.doc, tabId: tab.id, tabs: tabsMeta, allTabs: tabs };
 }
 
 function readMarkdownInput(flags) {
@@ -295,243 +306,292 @@ function readMarkdownInput(flags) {
   return flags.md || null;
 }
 
-function findTablesInDoc(doc) {
-  const tables = [];
-  for (const element of doc.body.content || []) {
-    if (element.table) {
-      const tableData = { startIndex: element.startIndex, rows: [] };
-      for (const row of element.table.tableRows || []) {
-        const rowCells = [];
-        for (const cell of row.tableCells || []) {
-          const firstPara = cell.content?.[0];
-          if (firstPara?.paragraph) {
-            rowCells.push({ startIndex: firstPara.startIndex, endIndex: firstPara.endIndex });
-          }
-        }
-        tableData.rows.push(rowCells);
-      }
-      tables.push(tableData);
-    }
+// Front matter of the markdown input. YAML the front matter parser can't read
+// stops the command instead of being written into the doc as text
+function readFrontMatter(markdown) {
+  try {
+    return splitFrontMatter(markdown).data;
+  } catch (e) {
+    err(e.message);
   }
-  return tables;
 }
 
-async function populateTable(docs, docId, tableInDoc, tableData) {
-  const requests = [];
-  const { cells } = tableData;
-  for (let r = cells.length - 1; r >= 0; r--) {
-    for (let c = cells[r].length - 1; c >= 0; c--) {
-      const cellIndex = tableInDoc.rows[r]?.[c]?.startIndex;
-      if (cellIndex !== undefined && cells[r][c]) {
-        requests.push({ insertText: { location: { index: cellIndex }, text: cells[r][c] } });
-      }
-    }
+// Directory that relative image paths in the markdown are resolved against
+function markdownBaseDir(flags) {
+  return flags['from-md'] ? path.dirname(path.resolve(flags['from-md'])) : process.cwd();
+}
+
+// Upload the local images a generateDocRequests result refers to (main batch
+// and table cells) and point them at Drive. Docs fetches image URIs
+// anonymously, so each upload is shared with anyone who has the link: that
+// only happens with --share-images, and each shared file is named on stderr.
+// Returns the shared files so the command output can list them for revoking
+async function uploadLocalImages(drive, generated, flags, { baseDir = markdownBaseDir(flags), parentId } = {}) {
+  const local = imageRequests(generated)
+    .filter(image => !/^https?:\/\//i.test(image.uri))
+    .map(image => ({ image, localPath: path.resolve(baseDir, decodeURI(image.uri.replace(/^file:\/\//, ''))) }));
+  if (local.length === 0) return [];
+  for (const { image, localPath } of local) {
+    if (!fs.existsSync(localPath)) err(`Image not found: ${image.uri}`, EXIT.NOT_FOUND);
   }
-  if (requests.length > 0) {
-    await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+  if (!flags['share-images']) {
+    const files = [...new Set(local.map(({ image }) => image.uri))].join(', ');
+    err(`Local images (${files}) have to be uploaded to Drive and shared with anyone who has the link for Docs to insert them. Pass --share-images to allow that, or use image URLs`);
   }
-  const updatedDoc = await docs.documents.get({ documentId: docId });
-  const updatedTables = findTablesInDoc(updatedDoc.data);
-  if (updatedTables.length > 0) {
-    // Find the same table we just populated (closest to original startIndex)
-    let target = updatedTables[0];
-    let minDist = Math.abs(target.startIndex - tableInDoc.startIndex);
-    for (const t of updatedTables) {
-      const dist = Math.abs(t.startIndex - tableInDoc.startIndex);
-      if (dist < minDist) { minDist = dist; target = t; }
-    }
-    const headerRequests = [];
-    const headerRow = target.rows[0];
-    for (const cell of headerRow || []) {
-      if (cell.startIndex < cell.endIndex - 1) {
-        headerRequests.push({
-          updateTextStyle: {
-            range: { startIndex: cell.startIndex, endIndex: cell.endIndex - 1 },
-            textStyle: { bold: true },
-            fields: 'bold'
-          }
-        });
-      }
-    }
-    if (headerRequests.length > 0) {
-      await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests: headerRequests } });
+  const uploaded = {};
+  for (const { image, localPath } of local) {
+    if (!uploaded[localPath]) {
+      const mimeType = EXT_MIME[path.extname(localPath).toLowerCase()] || 'application/octet-stream';
+      const meta = { name: path.basename(localPath) };
+      if (parentId) meta.parents = [parentId];
+      const res = await drive.files.create({ requestBody: meta, media: { mimeType, body: fs.createReadStream(localPath) }, fields: 'id', supportsAllDrives: true });
+      await drive.permissions.create({ fileId: res.data.id, requestBody: { role: 'reader', type: 'anyone' }, supportsAllDrives: true });
+      console.error(`Warning: shared ${localPath} with anyone who has the link (Drive file ${res.data.id})`);
+      uploaded[localPath] = { file: localPath, id: res.data.id };
     }
+    image.uri = `https://drive.google.com/uc?export=view&id=${uploaded[localPath].id}`;
   }
+  return Object.values(uploaded);
 }
 
-async function processTables(docs, docId, tables) {
-  if (!tables || tables.length === 0) return;
-  for (const tableInfo of [...tables].reverse()) {
-    await docs.documents.batchUpdate({
-      documentId: docId,
-      requestBody: {
-        requests: [{ insertTable: { rows: tableInfo.numRows, columns: tableInfo.numCols, location: { index: tableInfo.textIndex } } }]
-      }
-    });
-    const doc = await docs.documents.get({ documentId: docId });
-    const tablesInDoc = findTablesInDoc(doc.data);
-    if (tablesInDoc.length > 0) {
-      // Find table closest to insertion point (not always the last one)
-      let closest = tablesInDoc[0];
-      let minDist = Math.abs(closest.startIndex - tableInfo.textIndex);
-      for (const t of tablesInDoc) {
-        const dist = Math.abs(t.startIndex - tableInfo.textIndex);
-        if (dist < minDist) { minDist = dist; closest = t; }
-      }
-      await populateTable(docs, docId, closest, tableInfo);
-    }
+// Options for generateDocRequests from command flags (and front matter, which flags override).
+// Warnings (e.g. unsupported HTML) go to stderr so they don't mix with the JSON output.
+// --toc is left to the commands that write a whole doc or tab, so it never lands in a fragment
+function markdownOptions(flags, frontMatter) {
+  return {
+    highlight: !flags['no-highlight'],
+    theme: loadTheme(flags.theme || frontMatter?.theme),
+    onWarning: (message) => console.error(`Warning: ${message}`)
+  };
+}
+
+// Drive folder ID for a front matter `folder`: the name of a folder, or failing
+// that a folder ID (names like "quarterly-planning-docs" look just like IDs)
+async function resolveFolder(drive, folder) {
+  const value = String(folder);
+  const res = await drive.files.list({
+    q: `mimeType='application/vnd.google-apps.folder' and name='${value.replace(/'/g, "\\'")}' and trashed=false`,
+    fields: 'files(id)', pageSize: 1, supportsAllDrives: true, includeItemsFromAllDrives: true
+  });
+  if (res.data.files?.length) return res.data.files[0].id;
+  try {
+    const file = await drive.files.get({ fileId: value, fields: 'id, mimeType', supportsAllDrives: true });
+    if (file.data.mimeType === 'application/vnd.google-apps.folder') return file.data.id;
+  } catch (e) {
+    // Not an ID this user can see (Drive answers 400 for values that can't be one)
+    if (e.code !== 404 && e.code !== 400) throw e;
   }
+  err(`Folder not found: ${value}`, EXIT.NOT_FOUND);
 }
 
-function buildTextMap(doc) {
-  let plaintext = '';
-  const indexMap = [];
-  const sections = [];
-  let currentSection = null;
-  const HEADING_LEVELS = {
-    'HEADING_1': 1, 'HEADING_2': 2, 'HEADING_3': 3,
-    'HEADING_4': 4, 'HEADING_5': 5, 'HEADING_6': 6
-  };
-  for (const element of doc.body.content || []) {
-    if (element.paragraph) {
-      const style = element.paragraph.paragraphStyle?.namedStyleType;
-      const level = HEADING_LEVELS[style];
-      if (level) {
-        if (currentSection) {
-          currentSection.endIndex = element.startIndex;
-          sections.push(currentSection);
-        }
-        let headingText = '';
-        for (const el of element.paragraph.elements || []) {
-          if (el.textRun?.content) headingText += el.textRun.content;
-        }
-        currentSection = { heading: headingText.trim(), level, startIndex: element.startIndex, endIndex: null };
-      }
-      for (const el of element.paragraph.elements || []) {
-        if (el.textRun?.content) {
-          const content = el.textRun.content;
-          for (let i = 0; i < content.length; i++) {
-            indexMap.push(el.startIndex + i);
-            plaintext += content[i];
-          }
-        }
-      }
-    } else if (element.table) {
-      indexMap.push(element.startIndex);
-      plaintext += '\u0000';
+// Drive properties from front matter: tags (comma-joined), theme name, and any `properties` map
+function frontMatterProperties(frontMatter) {
+  const properties = {};
+  for (const [key, value] of Object.entries(frontMatter.properties || {})) properties[key] = String(value);
+  if (frontMatter.tags != null) properties.tags = [].concat(frontMatter.tags).join(',');
+  if (typeof frontMatter.theme === 'string') properties.theme = frontMatter.theme;
+  return properties;
+}
+
+// Permissions from a front matter `share` list. Entries are "email" (reader),
+// { email, role }, { "email": role }, or "anyone" / { anyone: role }
+function shareTargets(share) {
+  return [].concat(share || []).flatMap(entry => {
+    if (typeof entry === 'string') return [[entry, 'reader']];
+    if (entry.email) return [[entry.email, entry.role || 'reader']];
+    return Object.entries(entry);
+  }).map(([who, role]) => (who === 'anyone'
+    ? { type: 'anyone', role }
+    : { type: 'user', emailAddress: who, role }));
+}
+
+// Apply front matter to a doc: name, folder and properties in Drive, page setup
+// in Docs, and sharing (without notification emails, so re-runs stay quiet)
+async function applyFrontMatter(drive, docs, docId, frontMatter) {
+  if (!frontMatter) return;
+  const file = await drive.files.get({ fileId: docId, fields: 'parents', supportsAllDrives: true });
+  const update = { fileId: docId, requestBody: { properties: frontMatterProperties(frontMatter) }, supportsAllDrives: true };
+  if (frontMatter.title) update.requestBody.name = String(frontMatter.title);
+  if (frontMatter.folder) {
+    const folderId = await resolveFolder(drive, frontMatter.folder);
+    if (!(file.data.parents || []).includes(folderId)) {
+      update.addParents = folderId;
+      update.removeParents = (file.data.parents || []).join(',');
     }
   }
-  if (currentSection) {
-    const lastElement = doc.body.content.slice(-1)[0];
-    currentSection.endIndex = lastElement?.endIndex || currentSection.startIndex;
-    sections.push(currentSection);
+  await drive.files.update(update);
+
+  const page = pageStyle(frontMatter.page);
+  if (page) {
+    await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests: [{ updateDocumentStyle: page }] } });
   }
-  return { plaintext, indexMap, sections };
-}
 
-function docToMarkdown(doc, sectionFilter) {
-  const HEADING_MAP = {
-    'HEADING_1': '# ', 'HEADING_2': '## ', 'HEADING_3': '### ',
-    'HEADING_4': '#### ', 'HEADING_5': '##### ', 'HEADING_6': '###### '
-  };
-  let filterStart = null, filterEnd = null;
-  if (sectionFilter) {
-    const { sections } = buildTextMap(doc);
-    const target = sections.find(s => s.heading.toLowerCase() === sectionFilter.toLowerCase());
-    if (!target) {
-      const available = sections.map(s => `  "${s.heading}" (H${s.level})`).join('\n');
-      err(`Section "${sectionFilter}" not found.\nAvailable sections:\n${available}`);
-    }
-    filterStart = target.startIndex;
-    filterEnd = target.endIndex;
+  for (const permission of shareTargets(frontMatter.share)) {
+    const params = { fileId: docId, requestBody: permission, supportsAllDrives: true };
+    if (permission.type === 'user') params.sendNotificationEmail = false;
+    await drive.permissions.create(params);
   }
-  let md = '';
-  const elements = doc.body.content || [];
-  let inList = false;
-  for (const element of elements) {
-    if (filterStart !== null) {
-      if (element.startIndex < filterStart) continue;
-      if (element.endIndex > filterEnd) break;
+}
+
+// Front matter of a doc as YAML, for read-md --front-matter
+async function exportFrontMatter(drive, docId, docData) {
+  const file = await drive.files.get({ fileId: docId, fields: 'name, parents, properties', supportsAllDrives: true });
+  const { tags, theme, ...properties } = file.data.properties || {};
+  const frontMatter = { title: file.data.name };
+  if (file.data.parents?.length) frontMatter.folder = file.data.parents[0];
+  if (tags) frontMatter.tags = tags.split(',');
+  if (theme) frontMatter.theme = theme;
+  if (Object.keys(properties).length > 0) frontMatter.properties = properties;
+  const page = describePage(docData.documentStyle);
+  if (page) frontMatter.page = page;
+
+  const perms = await drive.permissions.list({ fileId: docId, fields: 'permissions(type, role, emailAddress)', supportsAllDrives: true });
+  const share = (perms.data.permissions || [])
+    .filter(p => p.role !== 'owner' && (p.type === 'anyone' || p.emailAddress))
+    .map(p => (p.type === 'anyone' ? { anyone: p.role } : { email: p.emailAddress, role: p.role }));
+  if (share.length > 0) frontMatter.share = share;
+  return `---\n${toYaml(frontMatter)}---\n\n`;
+}
+
+// Drive's quoted text comes HTML-escaped
+const decodeHtml = (text) => text.replace(/&(?:#(\d+)|#x([\da-f]+)|(amp|lt|gt|quot|apos|nbsp));/gi, (m, dec, hex, name) =>
+  dec ? String.fromCodePoint(Number(dec)) : hex ? String.fromCodePoint(parseInt(hex, 16))
+    : { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }[name.toLowerCase()]);
+
+// Comment threads on a file, oldest first; resolved ones only if asked for
+async function fetchComments(drive, fileId, { includeResolved = false } = {}) {
+  const comments = [];
+  let pageToken;
+  do {
+    const res = await drive.comments.list({
+      fileId, pageToken, pageSize: 100,
+      fields: 'nextPageToken, comments(id, content, resolved, deleted, createdTime, author(displayName), quotedFileContent(value), replies(content, deleted, author(displayName)))'
+    });
+    comments.push(...(res.data.comments || []));
+    pageToken = res.data.nextPageToken;
+  } while (pageToken);
+
+  return comments
+    .filter(c => !c.deleted && (includeResolved || !c.resolved))
+    .map(c => ({
+      id: c.id,
+      author: c.author?.displayName || 'Unknown',
+      content: c.content || '',
+      quotedText: decodeHtml(c.quotedFileContent?.value || ''),
+      resolved: !!c.resolved,
+      createdTime: c.createdTime,
+      // Replies without content are resolve/reopen actions
+      replies: (c.replies || []).filter(r => !r.deleted && r.content).map(r => ({ author: r.author?.displayName || 'Unknown', content: r.content }))
+    }));
+}
+
+// Tab title → file name part; the position keeps siblings in document order
+const tabFileName = (tab, position) =>
+  `${String(position).padStart(2, '0')}-${tab.title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'tab'}`;
+
+// read-md --all-tabs: every tab (child tabs included) as one markdown file with
+// a heading per tab, nested as the tabs are, or with --output as one file per
+// tab, child tabs in a folder named after their parent
+async function readAllTabs(drive, docId, tabs, flags, options, commentStyle) {
+  let footnoteOffset = 0;
+  const parts = tabs.map(tab => {
+    const combined = !flags.output;
+    const body = docToMarkdown(tab.doc, null, { ...options, headingOffset: combined ? tab.level + 1 : 0, footnoteOffset: combined ? footnoteOffset : 0 });
+    footnoteOffset += Object.keys(tab.doc.footnotes || {}).length;
+    const markdown = combined ? `${'#'.repeat(Math.min(tab.level + 1, 6))} ${tab.title}\n\n${body}` : body;
+    return { tab, markdown };
+  });
+
+  // Each comment goes to the first tab that quotes it; leftovers go at the end
+  let comments;
+  if (commentStyle) {
+    comments = await fetchComments(drive, docId, { includeResolved: !!flags.resolved });
+    const anchored = comments.map(() => false);
+    for (const part of parts) {
+      const open = comments.map((_, i) => i).filter(i => !anchored[i]);
+      const result = anchorComments(part.markdown, open.map(i => comments[i]), { style: commentStyle, keepUnanchored: false });
+      part.markdown = result.markdown;
+      result.anchored.forEach((hit, k) => { if (hit) anchored[open[k]] = true; });
     }
-    if (element.paragraph) {
-      const para = element.paragraph;
-      const style = para.paragraphStyle?.namedStyleType;
-      const bullet = para.bullet;
-      let line = '';
-      for (const el of para.elements || []) {
-        if (!el.textRun) continue;
-        const ts = el.textRun.textStyle || {};
-        let text = el.textRun.content;
-        if (text.endsWith('\n')) text = text.slice(0, -1);
-        if (!text) continue;
-        const isCode = ts.weightedFontFamily?.fontFamily === 'Consolas' ||
-                       ts.weightedFontFamily?.fontFamily === 'Courier New';
-        const isBold = ts.bold;
-        const isItalic = ts.italic;
-        const link = ts.link?.url;
-        let chunk = text;
-        if (isCode) {
-          chunk = `\`${chunk}\``;
-        } else {
-          if (isBold && isItalic) chunk = `***${chunk}***`;
-          else if (isBold) chunk = `**${chunk}**`;
-          else if (isItalic) chunk = `*${chunk}*`;
-        }
-        if (link) chunk = `[${chunk}](${link})`;
-        line += chunk;
-      }
-      const heading = HEADING_MAP[style];
-      if (heading) {
-        if (inList) { md += '\n'; inList = false; }
-        md += heading + line + '\n\n';
-      } else if (bullet) {
-        const nestLevel = bullet.nestingLevel || 0;
-        const indent = '  '.repeat(nestLevel);
-        const listId = bullet.listId;
-        const listProps = doc.lists?.[listId]?.listProperties?.nestingLevels?.[nestLevel];
-        const isOrdered = listProps?.glyphType && listProps.glyphType !== 'GLYPH_TYPE_UNSPECIFIED';
-        const prefix = isOrdered ? '1. ' : '- ';
-        md += indent + prefix + line + '\n';
-        inList = true;
-      } else if (para.paragraphStyle?.indentStart?.magnitude > 0 &&
-                 para.paragraphStyle?.borderLeft) {
-        if (inList) { md += '\n'; inList = false; }
-        md += '> ' + line + '\n';
-      } else {
-        if (inList) { md += '\n'; inList = false; }
-        if (line.trim()) {
-          md += line + '\n\n';
-        } else {
-          md += '\n';
-        }
-      }
-    } else if (element.table) {
-      if (inList) { md += '\n'; inList = false; }
-      const rows = element.table.tableRows || [];
-      for (let r = 0; r < rows.length; r++) {
-        const cells = rows[r].tableCells || [];
-        const cellTexts = cells.map(cell => {
-          let text = '';
-          for (const content of cell.content || []) {
-            if (content.paragraph) {
-              for (const el of content.paragraph.elements || []) {
-                if (el.textRun?.content) {
-                  text += el.textRun.content.replace(/\n$/, '');
-                }
-              }
-            }
-          }
-          return text;
-        });
-        md += '| ' + cellTexts.join(' | ') + ' |\n';
-        if (r === 0) {
-          md += '| ' + cellTexts.map(() => '---').join(' | ') + ' |\n';
-        }
-      }
-      md += '\n';
+    const leftover = comments.filter((_, i) => !anchored[i]);
+    if (leftover.length > 0) {
+      const last = parts[parts.length - 1];
+      last.markdown = anchorComments(last.markdown, leftover, { style: commentStyle }).markdown;
     }
+    comments = comments.map((c, i) => ({ ...c, anchored: anchored[i] }));
+  }
+  const frontMatter = flags['front-matter'] ? await exportFrontMatter(drive, docId, tabs[0].doc) : '';
+
+  if (flags.output) {
+    // Folder per tab that has children; positions count among siblings
+    const dirs = {};
+    const positions = {};
+    const files = parts.map(({ tab, markdown }, i) => {
+      const parentDir = tab.parentId ? dirs[tab.parentId] : flags.output;
+      positions[parentDir] = (positions[parentDir] || 0) + 1;
+      const name = tabFileName(tab, positions[parentDir]);
+      dirs[tab.id] = path.join(parentDir, name);
+      const file = path.join(parentDir, `${name}.md`);
+      fs.mkdirSync(parentDir, { recursive: true });
+      fs.writeFileSync(file, (i === 0 ? frontMatter : '') + markdown);
+      return { id: tab.id, title: tab.title, level: tab.level, parentId: tab.parentId, path: file };
+    });
+    const data = { docId, output: flags.output, files };
+    if (comments) data.comments = comments;
+    out({ success: true, data });
+    return;
+  }
+
+  const md = frontMatter + parts.map(p => p.markdown.trimEnd()).join('\n\n') + '\n';
+  if (flags.json) {
+    const data = {
+      docId,
+      markdown: md,
+      tabs: parts.map(({ tab, markdown }) => ({ id: tab.id, title: tab.title, level: tab.level, parentId: tab.parentId, markdown }))
+    };
+    if (flags.suggestions) data.suggestions = tabs.flatMap(tab => collectSuggestions(tab.doc));
+    if (comments) data.comments = comments;
+    out({ success: true, data });
+    return;
   }
-  return md.trimEnd() + '\n';
+  console.log(md);
+}
+
+// Rebuild a doc's generated table of contents (the "toc" named range) from its current headings
+async function regenerateToc(docs, docId, flags) {
+  const { docData: doc, tabId } = await fetchDoc(docs, docId, flags.tab);
+  const namedRange = doc.namedRanges[TOC_RANGE_NAME]?.namedRanges?.[0];
+  const range = namedRange?.ranges?.[0];
+  if (!range) err('No table of contents found. Add one with [[TOC]] or --toc when writing markdown', EXIT.NOT_FOUND);
+  const headings = findHeadings(doc);
+  if (headings.length === 0) err('Document has no headings to list');
+
+  const docEnd = doc.body.content.slice(-1)[0]?.endIndex || 1;
+  const start = range.startIndex;
+  const end = Math.min(range.endIndex, docEnd - 1);
+  const { text, requests: tocReqs } = generateDocRequests('[[TOC]]', start, { ...markdownOptions(flags), headings });
+  const [insert, ...formatting] = tocReqs;
+  const requests = [
+    { deleteNamedRange: { namedRangeId: namedRange.namedRangeId } },
+    { deleteContentRange: { range: { startIndex: start, endIndex: end } } },
+    insert,
+    // The new paragraphs are split off whatever followed the old TOC; start them plain
+    { updateParagraphStyle: {
+      range: { startIndex: start, endIndex: start + text.length - 1 },
+      paragraphStyle: { namedStyleType: 'NORMAL_TEXT' },
+      fields: 'namedStyleType'
+    }},
+    { updateTextStyle: {
+      range: { startIndex: start, endIndex: start + text.length },
+      textStyle: {},
+      fields: 'bold,italic,underline,strikethrough,fontSize,foregroundColor,link,weightedFontFamily,baselineOffset'
+    }},
+    ...formatting
+  ].map(req => relocateRequest(req, 0, { tabId }));
+
+  await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+  await resolveHeadingLinks(docs, docId, tabId);
+  return headings.length;
 }
 
 // Commands
@@ -607,13 +667,36 @@ const commands = {
   async 'read-doc'(positional, flags) {
     const [docId] = positional;
     if (!docId) {
-      err('Usage: gdrive read-doc <document-id> [--tab <name|index>]', EXIT.API);
+      err('Usage: gdrive read-doc <document-id> [--tab <name|index>] [--format html|adoc|rst|json-ast|markdown [--output <path>] [--section "Heading"] [--fragment] [--suggestions] [--include-headers] [--theme <name|file.json>]]', EXIT.API);
     }
+    if (flags.format && !EXPORT_FORMATS[flags.format]) err(`Unknown format: ${flags.format} (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    if (flags.output === true) err('--output needs a file path');
 
     try {
       const auth = await getAuthClient();
       const docs = google.docs({ version: 'v1', auth });
 
+      // --format: the doc through the same document tree read-md uses
+      if (flags.format) {
+        const suggestionsViewMode = flags.suggestions ? 'SUGGESTIONS_INLINE' : 'PREVIEW_WITHOUT_SUGGESTIONS';
+        const { docData } = await fetchDoc(docs, docId, flags.tab, { suggestionsViewMode });
+        const options = {
+          section: flags.section,
+          suggestions: !!flags.suggestions,
+          headers: !!flags['include-headers'],
+          fragment: !!flags.fragment
+        };
+        if (flags.theme) options.codeFonts = [loadTheme(flags.theme).code.font].filter(Boolean);
+        const rendered = exportDoc(docData, flags.format, options);
+        if (flags.output) {
+          fs.writeFileSync(flags.output, rendered);
+          out({ success: true, data: { docId, output: flags.output, format: flags.format } });
+          return;
+        }
+        process.stdout.write(rendered);
+        return;
+      }
+
       const { docData, tabs } = await fetchDoc(docs, docId, flags.tab);
 
       // Extract text content
@@ -1279,13 +1362,12 @@ const commands = {
     if (!localPath) err('Usage: gdrive upload <localPath> [--name <name>] [--parent <folderId>] [--replace <existingFileId>] [--convert-to doc|sheet|slides]');
     if (!fs.existsSync(localPath)) err(`File not found: ${localPath}`);
     const convertMap = { doc: 'application/vnd.google-apps.document', sheet: 'application/vnd.google-apps.spreadsheet', slides: 'application/vnd.google-apps.presentation' };
-    const extMime = { '.pdf': 'application/pdf', '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', '.csv': 'text/csv', '.txt': 'text/plain', '.json': 'application/json', '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.svg': 'image/svg+xml', '.html': 'text/html', '.md': 'text/markdown', '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation' };
     try {
       const auth = await getAuthClient();
       const drive = google.drive({ version: 'v3', auth });
       const fileName = flags.name || path.basename(localPath);
       const ext = path.extname(localPath).toLowerCase();
-      const mimeType = extMime[ext] || 'application/octet-stream';
+      const mimeType = EXT_MIME[ext] || 'application/octet-stream';
       const media = { mimeType, body: fs.createReadStream(localPath) };
       let res;
       if (flags.replace) {
@@ -1321,39 +1403,61 @@ const commands = {
   // ─── Docs (Rich Formatting) ─────────────────────────────────
 
   async 'create-doc'(positional, flags) {
-    const name = positional.join(' ').trim();
-    if (!name) err('Usage: gdrive create-doc <name> [--md "markdown"] [--from-md file.md] [--parent <id>]');
+    const markdown = readMarkdownInput(flags);
+    const frontMatter = readFrontMatter(markdown);
+    // Name and folder from the command line win over front matter
+    const name = positional.join(' ').trim() || (frontMatter?.title && String(frontMatter.title));
+    if (!name) err('Usage: gdrive create-doc <name> [--md "markdown"] [--from-md file.md] [--parent <id>] [--toc]');
     try {
       const auth = await getAuthClient();
       const drive = google.drive({ version: 'v3', auth });
       const docs = google.docs({ version: 'v1', auth });
 
+      const parent = flags.parent || (frontMatter?.folder && await resolveFolder(drive, frontMatter.folder));
+      // Images are uploaded before the doc is created, so a refused upload leaves no empty doc behind
+      const generated = markdown && generateDocRequests(markdown, 1, { ...markdownOptions(flags, frontMatter), toc: !!flags.toc });
+      const sharedImages = markdown ? await uploadLocalImages(drive, generated, flags, { parentId: parent }) : [];
       const meta = { name, mimeType: 'application/vnd.google-apps.document' };
-      if (flags.parent) meta.parents = [flags.parent];
+      if (parent) meta.parents = [parent];
       const file = await drive.files.create({ requestBody: meta, fields: 'id, webViewLink', supportsAllDrives: true });
       const docId = file.data.id;
 
-      const markdown = readMarkdownInput(flags);
+      // The doc was created in its folder already, so there's nothing to look up or move
+      if (frontMatter) {
+        await applyFrontMatter(drive, docs, docId, { ...frontMatter, title: name, folder: null });
+      }
       if (markdown) {
-        const { requests, tables } = generateDocRequests(markdown);
+        const { requests, tables, footnotes } = generated;
         if (requests.length > 0) {
-          await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+          const res = await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+          await processFootnotes(docs, docId, footnotes, res.data.replies);
         }
         await processTables(docs, docId, tables);
+        if (hasAnchorLinks(requests, tables)) await resolveHeadingLinks(docs, docId);
       }
 
-      out({ success: true, data: { id: docId, name, url: file.data.webViewLink } });
+      const data = { id: docId, name, url: file.data.webViewLink };
+      if (sharedImages.length) data.sharedImages = sharedImages;
+      out({ success: true, data });
     } catch (e) { err(`create-doc failed: ${e.message}`); }
   },
 
   async 'format-doc'(positional, flags) {
     const [docId] = positional;
-    if (!docId) err('Usage: gdrive format-doc <docId> --md "markdown" | --from-md file.md [--replace]');
+    if (!docId) err('Usage: gdrive format-doc <docId> --md "markdown" | --from-md file.md [--replace] [--toc]');
     const markdown = readMarkdownInput(flags);
-    if (!markdown) err('Provide --md or --from-md');
+    if (!markdown && !flags.toc) err('Provide --md or --from-md (or --toc alone to regenerate the table of contents)');
+    const frontMatter = readFrontMatter(markdown);
     try {
       const auth = await getAuthClient();
       const docs = google.docs({ version: 'v1', auth });
+      const drive = google.drive({ version: 'v3', auth });
+
+      if (!markdown) {
+        const headings = await regenerateToc(docs, docId, flags);
+        out({ success: true, data: { docId, action: 'toc-regenerated', headings } });
+        return;
+      }
 
       const doc = await docs.documents.get({ documentId: docId });
       const endIndex = doc.data.body.content.slice(-1)[0]?.endIndex || 1;
@@ -1375,15 +1479,23 @@ const commands = {
       }
 
       const insertAt = flags.replace ? 1 : endIndex - 1;
-      const { requests: fmtReqs, tables } = generateDocRequests(markdown, insertAt);
+      const generated = generateDocRequests(markdown, insertAt, { ...markdownOptions(flags, frontMatter), toc: !!flags.toc });
+      const { requests: fmtReqs, tables, footnotes } = generated;
+      const sharedImages = await uploadLocalImages(drive, generated, flags);
       requests.push(...fmtReqs);
+      // After the uploads, so a refused one leaves the doc untouched
+      await applyFrontMatter(drive, docs, docId, frontMatter);
 
       if (requests.length > 0) {
-        await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+        const res = await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+        await processFootnotes(docs, docId, footnotes, res.data.replies);
       }
       await processTables(docs, docId, tables);
+      if (hasAnchorLinks(fmtReqs, tables)) await resolveHeadingLinks(docs, docId);
 
-      out({ success: true, data: { docId, action: flags.replace ? 'replaced' : 'appended' } });
+      const data = { docId, action: flags.replace ? 'replaced' : 'appended' };
+      if (sharedImages.length) data.sharedImages = sharedImages;
+      out({ success: true, data });
     } catch (e) {
       if (e.code === 404) err(`Document not found: ${docId}`, EXIT.NOT_FOUND);
       err(`format-doc failed: ${e.message}`);
@@ -1398,17 +1510,24 @@ const commands = {
     try {
       const auth = await getAuthClient();
       const docs = google.docs({ version: 'v1', auth });
+      const drive = google.drive({ version: 'v3', auth });
 
       const doc = await docs.documents.get({ documentId: docId });
       const endIndex = doc.data.body.content.slice(-1)[0]?.endIndex || 1;
 
-      const { requests, tables } = generateDocRequests('\n' + markdown, endIndex - 1);
+      const generated = generateDocRequests('\n' + markdown, endIndex - 1, markdownOptions(flags));
+      const { requests, tables, footnotes } = generated;
+      const sharedImages = await uploadLocalImages(drive, generated, flags);
       if (requests.length > 0) {
-        await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+        const res = await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+        await processFootnotes(docs, docId, footnotes, res.data.replies);
         await processTables(docs, docId, tables);
+        if (hasAnchorLinks(requests, tables)) await resolveHeadingLinks(docs, docId);
       }
 
-      out({ success: true, data: { docId, action: 'appended' } });
+      const data = { docId, action: 'appended' };
+      if (sharedImages.length) data.sharedImages = sharedImages;
+      out({ success: true, data });
     } catch (e) {
       if (e.code === 404) err(`Document not found: ${docId}`, EXIT.NOT_FOUND);
       err(`doc-append failed: ${e.message}`);
@@ -1421,6 +1540,7 @@ const commands = {
     try {
       const auth = await getAuthClient();
       const docs = google.docs({ version: 'v1', auth });
+      const drive = google.drive({ version: 'v3', auth });
       const docRes = await docs.documents.get({ documentId: docId });
       const doc = docRes.data;
 
@@ -1429,12 +1549,8 @@ const commands = {
         const markdown = readMarkdownInput(flags);
         if (!markdown) err('Section mode requires --md or --from-md');
 
-        const { sections } = buildTextMap(doc);
-        const target = sections.find(s => s.heading.toLowerCase() === flags.section.toLowerCase());
-        if (!target) {
-          const available = sections.map(s => `  "${s.heading}" (H${s.level})`).join('\n');
-          err(`Section "${flags.section}" not found.\nAvailable sections:\n${available}`);
-        }
+        let target;
+        try { target = findSection(doc, flags.section); } catch (e) { err(e.message); }
 
         const mdTrimmed = markdown.trimStart();
         const replaceHeading = /^#{1,6}\s/.test(mdTrimmed);
@@ -1460,15 +1576,21 @@ const commands = {
           }
         }
 
-        const { requests: fmtReqs, tables } = generateDocRequests(markdown, deleteFrom);
+        const generated = generateDocRequests(markdown, deleteFrom, markdownOptions(flags));
+        const { requests: fmtReqs, tables, footnotes } = generated;
+        const sharedImages = await uploadLocalImages(drive, generated, flags);
         requests.push(...fmtReqs);
 
         if (requests.length > 0) {
-          await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+          const res = await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+          await processFootnotes(docs, docId, footnotes, res.data.replies);
           await processTables(docs, docId, tables);
+          if (hasAnchorLinks(fmtReqs, tables)) await resolveHeadingLinks(docs, docId);
         }
 
-        out({ success: true, data: { docId, action: 'section-replaced', section: flags.section } });
+        const data = { docId, action: 'section-replaced', section: target.path.join(' > ') };
+        if (sharedImages.length) data.sharedImages = sharedImages;
+        out({ success: true, data });
 
       } else if (flags.old) {
         // === Find-and-replace mode ===
@@ -1512,21 +1634,29 @@ const commands = {
         if (!replacement) err('Provide --new or --new-md for replacement text');
 
         const requests = [];
+        const footnotes = [];
         for (const match of [...toReplace].reverse()) {
           requests.push({ deleteContentRange: { range: { startIndex: match.docStart, endIndex: match.docEnd } } });
           if (isMarkdown) {
-            const { requests: fmtReqs } = generateDocRequests(replacement, match.docStart);
+            const { requests: fmtReqs, footnotes: fmtFootnotes } = generateDocRequests(replacement, match.docStart, markdownOptions(flags));
             requests.push(...fmtReqs);
+            footnotes.push(...fmtFootnotes);
           } else {
             requests.push({ insertText: { location: { index: match.docStart }, text: replacement } });
           }
         }
+        // One upload per image, however many matches use it
+        const sharedImages = await uploadLocalImages(drive, { requests }, flags, { baseDir: process.cwd() });
 
         if (requests.length > 0) {
-          await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+          const res = await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests } });
+          await processFootnotes(docs, docId, footnotes, res.data.replies);
+          if (isMarkdown && hasAnchorLinks(requests)) await resolveHeadingLinks(docs, docId);
         }
 
-        out({ success: true, data: { docId, action: 'find-replaced', replacements: toReplace.length } });
+        const data = { docId, action: 'find-replaced', replacements: toReplace.length };
+        if (sharedImages.length) data.sharedImages = sharedImages;
+        out({ success: true, data });
 
       } else {
         err('Provide --old for find-and-replace, or --section for section replace');
@@ -1538,14 +1668,135 @@ const commands = {
     }
   },
 
+  async 'doc-section'(positional, flags) {
+    const [action, docId] = positional;
+    const actions = { insert: 'section-inserted', delete: 'section-deleted', move: 'section-moved', copy: 'section-copied' };
+    if (!actions[action] || !docId) {
+      err('Usage: gdrive doc-section <insert|delete|move|copy> <docId> [--section <address>] [--before|--after <address>] [--to <docId>] [--tab|--to-tab <name|index>]');
+    }
+    if (action !== 'insert' && !flags.section) err(`doc-section ${action} requires --section <address>`);
+    if (flags.before && flags.after) err('Use --before or --after, not both');
+    try {
+      const auth = await getAuthClient();
+      const docs = google.docs({ version: 'v1', auth });
+      const { docData, tabId } = await fetchDoc(docs, docId, flags.tab);
+      const position = { before: flags.before, after: flags.after };
+      const onWarning = (message) => console.error(`Warning: ${message}`);
+      const data = { docId, action: actions[action] };
+      if (tabId) data.tabId = tabId;
+
+      if (action === 'insert') {
+        const markdown = readMarkdownInput(flags);
+        if (!markdown) err('doc-section insert requires --md or --from-md');
+        const drive = google.drive({ version: 'v3', auth });
+        const point = insertionPoint(docData, position);
+        const generated = generateDocRequests(point.newParagraph ? '\n' + markdown : markdown, point.index, markdownOptions(flags));
+        const { requests, tables, footnotes } = generated;
+        const sharedImages = await uploadLocalImages(drive, generated, flags);
+        if (requests.length > 0) {
+          const tabRequests = requests.map(req => relocateRequest(req, 0, { tabId }));
+          const res = await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests: tabRequests } });
+          await processFootnotes(docs, docId, footnotes, res.data.replies, tabId);
+          await processTables(docs, docId, tables, tabId);
+          if (hasAnchorLinks(requests, tables)) await resolveHeadingLinks(docs, docId, tabId);
+        }
+        data.index = point.index;
+        if (sharedImages.length) data.sharedImages = sharedImages;
+
+      } else if (action === 'delete') {
+        const section = await deleteSection(docs, docId, { section: flags.section, tabId });
+        data.section = section.path.join(' > ');
+
+      } else if (action === 'move') {
+        const { section, moved } = await moveSection(docs, docId, { section: flags.section, ...position, tabId, onWarning });
+        data.section = section.path.join(' > ');
+        data.moved = moved;
+
+      } else {
+        // Same doc and tab unless --to / --to-tab say otherwise
+        const to = flags.to || docId;
+        const toTab = flags['to-tab'] != null || to !== docId ? (await fetchDoc(docs, to, flags['to-tab'])).tabId : tabId;
+        const { section } = await copySection(docs, docId, { section: flags.section, tabId, to, toTab, ...position, onWarning });
+        data.section = section.path.join(' > ');
+        data.to = to;
+        if (toTab) data.toTab = toTab;
+      }
+
+      out({ success: true, data });
+    } catch (e) {
+      if (e.code === 404) err(`Document not found: ${docId}`, EXIT.NOT_FOUND);
+      err(`doc-section failed: ${e.message}`);
+    }
+  },
+
+  async 'doc-outline'(positional, flags) {
+    const [docId] = positional;
+    if (!docId) err('Usage: gdrive doc-outline <docId> [--tab <name|index>] [--section <address>] [--flat]');
+    try {
+      const auth = await getAuthClient();
+      const docs = google.docs({ version: 'v1', auth });
+      const { docData, tabId } = await fetchDoc(docs, docId, flags.tab);
+      const { preamble, sections } = docOutline(docData, flags.section);
+      // Heading links are relative to the doc's (or tab's) URL
+      let url = `https://docs.google.com/document/d/${docId}/edit`;
+      if (tabId) url += `?tab=${tabId.startsWith('t.') ? tabId : 't.' + tabId}`;
+      const data = { docId, title: docData.title, url, preamble };
+      if (tabId) data.tabId = tabId;
+      if (flags.flat) {
+        const flatten = (nodes) => nodes.flatMap(({ children, ...section }) => [section, ...flatten(children)]);
+        data.sections = flatten(sections);
+      } else {
+        data.sections = sections;
+      }
+      out({ success: true, data });
+    } catch (e) {
+      if (e.code === 404) err(`Document not found: ${docId}`, EXIT.NOT_FOUND);
+      err(`doc-outline failed: ${e.message}`);
+    }
+  },
+
   async 'read-md'(positional, flags) {
     const [docId] = positional;
-    if (!docId) err('Usage: gdrive read-md <docId> [--tab <name|index>] [--section "Heading"]');
+    if (!docId) err('Usage: gdrive read-md <docId> [--tab <name|index> | --all-tabs [--output <dir>]] [--section "Heading"] [--include-headers] [--theme <name|file.json>] [--front-matter] [--suggestions] [--comments [inline|footnotes]] [--json]');
+    const commentStyle = flags.comments === true ? 'inline' : flags.comments;
+    if (commentStyle && !['inline', 'footnotes'].includes(commentStyle)) err(`Unknown comment style: ${commentStyle} (use inline or footnotes)`);
+    if (flags['all-tabs'] && (flags.tab || flags.section)) err('--all-tabs reads every tab in full; it can\'t be combined with --tab or --section');
+    if (flags.output === true) err('--output needs a directory');
     try {
       const auth = await getAuthClient();
       const docs = google.docs({ version: 'v1', auth });
-      const { docData } = await fetchDoc(docs, docId, flags.tab);
-      const md = docToMarkdown(docData, flags.section);
+      const drive = google.drive({ version: 'v3', auth });
+      // Without --suggestions, read the doc as it is before any suggestion is accepted
+      const suggestionsViewMode = flags.suggestions ? 'SUGGESTIONS_INLINE' : 'PREVIEW_WITHOUT_SUGGESTIONS';
+      const { docData, allTabs } = await fetchDoc(docs, docId, flags.tab, { suggestionsViewMode });
+      const options = { suggestions: !!flags.suggestions, headers: !!flags['include-headers'] };
+      // A custom theme's code font reads as inline code too
+      if (flags.theme) options.codeFonts = [loadTheme(flags.theme).code.font].filter(Boolean);
+      if (flags['all-tabs']) {
+        await readAllTabs(drive, docId, allTabs.length ? allTabs : [{ id: null, title: docData.title, index: 0, level: 0, parentId: null, doc: docData }], flags, options, commentStyle);
+        return;
+      }
+      let md = docToMarkdown(docData, flags.section, options);
+
+      let comments;
+      if (commentStyle) {
+        comments = await fetchComments(drive, docId, { includeResolved: !!flags.resolved });
+        // Within a section, comments on the rest of the doc have nothing to attach to
+        const result = anchorComments(md, comments, { style: commentStyle, keepUnanchored: !flags.section });
+        md = result.markdown;
+        comments = comments.map((c, i) => ({ ...c, anchored: result.anchored[i] }));
+      }
+      if (flags['front-matter']) {
+        md = await exportFrontMatter(drive, docId, docData) + md;
+      }
+
+      if (flags.json) {
+        const data = { docId, markdown: md };
+        if (flags.suggestions) data.suggestions = collectSuggestions(docData);
+        if (comments) data.comments = comments;
+        out({ success: true, data });
+        return;
+      }
       // Output raw markdown (not JSON) for direct use
       console.log(md);
     } catch (e) {
@@ -1556,11 +1807,42 @@ const commands = {
 
   async 'parse-md'(positional, flags) {
     const [filePath] = positional;
-    if (!filePath) err('Usage: gdrive parse-md <file.md>');
+    if (!filePath) err('Usage: gdrive parse-md <file.md> [--preview [ansi|html]] [--output <path>] [--check]');
     if (!fs.existsSync(filePath)) err(`File not found: ${filePath}`);
+    const preview = flags.preview === true ? 'ansi' : flags.preview;
+    if (preview && !['ansi', 'html'].includes(preview)) err(`Unknown preview format: ${preview} (use ansi or html)`);
     try {
       const markdown = fs.readFileSync(filePath, 'utf8');
-      const result = generateDocRequests(markdown);
+      // Runs the requests against a simulated doc, which flags what the API would reject
+      const result = await simulateCreateDoc(markdown, { ...markdownOptions(flags, readFrontMatter(markdown)), toc: !!flags.toc });
+      const problems = result.problems.map(p => `${p.type}: ${p.message}`);
+
+      if (flags.check) {
+        for (const problem of problems) console.error(`Problem: ${problem}`);
+        if (problems.length > 0) err(`${problems.length} problem(s) in the generated requests`);
+        out({ success: true, data: { requests: result.requests.length, tables: result.tables.length, problems: 0 } });
+        return;
+      }
+
+      if (preview) {
+        const rendered = preview === 'html'
+          ? renderHtml(result.doc)
+          : renderAnsi(result.doc, { width: process.stdout.columns || 80 });
+        for (const problem of problems) console.error(`Problem: ${problem}`);
+        if (flags.output) {
+          fs.writeFileSync(flags.output, rendered);
+          out({ success: true, data: { output: flags.output, format: preview, problems: problems.length } });
+        } else {
+          process.stdout.write(rendered);
+        }
+        return;
+      }
+
+      if (result.frontMatter) {
+        console.log('Front matter:');
+        console.log(JSON.stringify(result.frontMatter, null, 2));
+        console.log();
+      }
       console.log('Text to insert:');
       console.log(result.text);
       console.log('\nRequests:');
@@ -1569,6 +1851,14 @@ const commands = {
         console.log('\nTables:');
         console.log(JSON.stringify(result.tables, null, 2));
       }
+      if (result.footnotes && result.footnotes.length > 0) {
+        console.log('\nFootnotes:');
+        console.log(JSON.stringify(result.footnotes, null, 2));
+      }
+      if (problems.length > 0) {
+        console.log('\nProblems:');
+        for (const problem of problems) console.log(`  ${problem}`);
+      }
     } catch (e) { err(`parse-md failed: ${e.message}`); }
   },
 
@@ -1656,6 +1946,12 @@ const commands = {
     try {
       const auth = await getAuthClient();
       const docs = google.docs({ version: 'v1', auth });
+      const drive = google.drive({ version: 'v3', auth });
+
+      // Content is prepared (and images uploaded) first, so a refused upload leaves no empty tab behind
+      const markdown = readMarkdownInput(flags);
+      const generated = markdown && generateDocRequests(markdown, 1, { ...markdownOptions(flags), toc: !!flags.toc });
+      const sharedImages = markdown ? await uploadLocalImages(drive, generated, flags) : [];
 
       // Create the new tab
       const createRes = await docs.documents.batchUpdate({
@@ -1674,92 +1970,25 @@ const commands = {
       if (!newTabId) err('Failed to get new tab ID from API response');
 
       // Add content if provided
-      const markdown = readMarkdownInput(flags);
       if (markdown) {
-        const { requests, tables } = generateDocRequests(markdown);
+        const { requests, tables, footnotes } = generated;
 
         // Add tabId to all location/range references
-        const tabRequests = requests.map(req => {
-          const r = JSON.parse(JSON.stringify(req));
-          for (const action of Object.values(r)) {
-            if (action && typeof action === 'object') {
-              if (action.location) action.location.tabId = newTabId;
-              if (action.range) action.range.tabId = newTabId;
-            }
-          }
-          return r;
-        });
+        const tabRequests = requests.map(req => relocateRequest(req, 0, { tabId: newTabId }));
 
         if (tabRequests.length > 0) {
-          await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests: tabRequests } });
+          const res = await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests: tabRequests } });
+          await processFootnotes(docs, docId, footnotes, res.data.replies, newTabId);
         }
 
         // Handle tables in the new tab
-        if (tables && tables.length > 0) {
-          for (const tableInfo of [...tables].reverse()) {
-            await docs.documents.batchUpdate({
-              documentId: docId,
-              requestBody: {
-                requests: [{ insertTable: { rows: tableInfo.numRows, columns: tableInfo.numCols, location: { index: tableInfo.textIndex, tabId: newTabId } } }]
-              }
-            });
-            // Re-read doc to find table in the new tab
-            const docRes = await docs.documents.get({ documentId: docId, includeTabsContent: true });
-            const tab = docRes.data.tabs.find(t => t.tabProperties.tabId === newTabId);
-            if (!tab) continue;
-            const tabDoc = { body: tab.documentTab.body, lists: tab.documentTab.lists || {} };
-            const tablesInDoc = findTablesInDoc(tabDoc);
-            if (tablesInDoc.length > 0) {
-              let closest = tablesInDoc[0];
-              let minDist = Math.abs(closest.startIndex - tableInfo.textIndex);
-              for (const t of tablesInDoc) {
-                const dist = Math.abs(t.startIndex - tableInfo.textIndex);
-                if (dist < minDist) { minDist = dist; closest = t; }
-              }
-              // Populate table cells (with tabId)
-              const cellRequests = [];
-              const { cells } = tableInfo;
-              for (let r = cells.length - 1; r >= 0; r--) {
-                for (let c = cells[r].length - 1; c >= 0; c--) {
-                  const cellIndex = closest.rows[r]?.[c]?.startIndex;
-                  if (cellIndex !== undefined && cells[r][c]) {
-                    cellRequests.push({ insertText: { location: { index: cellIndex, tabId: newTabId }, text: cells[r][c] } });
-                  }
-                }
-              }
-              if (cellRequests.length > 0) {
-                await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests: cellRequests } });
-              }
-              // Bold header row
-              const updatedRes = await docs.documents.get({ documentId: docId, includeTabsContent: true });
-              const updatedTab = updatedRes.data.tabs.find(t => t.tabProperties.tabId === newTabId);
-              if (updatedTab) {
-                const updatedTabDoc = { body: updatedTab.documentTab.body, lists: updatedTab.documentTab.lists || {} };
-                const updatedTables = findTablesInDoc(updatedTabDoc);
-                if (updatedTables.length > 0) {
-                  let target = updatedTables[0];
-                  let minD = Math.abs(target.startIndex - closest.startIndex);
-                  for (const t of updatedTables) {
-                    const d = Math.abs(t.startIndex - closest.startIndex);
-                    if (d < minD) { minD = d; target = t; }
-                  }
-                  const hdrReqs = [];
-                  for (const cell of target.rows[0] || []) {
-                    if (cell.startIndex < cell.endIndex - 1) {
-                      hdrReqs.push({ updateTextStyle: { range: { startIndex: cell.startIndex, endIndex: cell.endIndex - 1, tabId: newTabId }, textStyle: { bold: true }, fields: 'bold' } });
-                    }
-                  }
-                  if (hdrReqs.length > 0) {
-                    await docs.documents.batchUpdate({ documentId: docId, requestBody: { requests: hdrReqs } });
-                  }
-                }
-              }
-            }
-          }
-        }
+        await processTables(docs, docId, tables, newTabId);
+        if (hasAnchorLinks(requests, tables)) await resolveHeadingLinks(docs, docId, newTabId);
       }
 
-      out({ success: true, data: { docId, tabTitle, tabId: newTabId } });
+      const data = { docId, tabTitle, tabId: newTabId };
+      if (sharedImages.length) data.sharedImages = sharedImages;
+      out({ success: true, data });
     } catch (e) {
       if (e.code === 404) err(`Document not found: ${docId}`, EXIT.NOT_FOUND);
       err(`add-tab failed: ${e.message}`);
@@ -1943,6 +2172,8 @@ Usage: gdrive <command> [options]
 
   Read:
     read-doc <id>                Google Doc content (--tab <name|index> for multi-tab docs)
+                                 --format html|adoc|rst|json-ast|markdown (--output <path>, --section,
+                                 --fragment for an HTML body only, --suggestions, --include-headers)
     read-sheet <id>              Sheet content (--range "Sheet1!A1:Z100")
     read-slides <id>             Slides with element IDs (--slide <index>)
 
@@ -1975,14 +2206,46 @@ Usage: gdrive <command> [options]
     add-shape <presId>           Add shape (--slide <id> --type RECTANGLE --x --y --w --h)
 
   Docs (Rich Formatting):
-    create-doc <name>            Create formatted doc (--md, --from-md, --parent)
-    format-doc <id>              Apply markdown formatting (--md, --from-md, --replace)
+    create-doc <name>            Create formatted doc (--md, --from-md, --parent, --toc)
+    format-doc <id>              Apply markdown formatting (--md, --from-md, --replace, --toc)
+                                 --toc alone regenerates the doc's table of contents
     doc-append <id>              Append formatted markdown (--md, --from-md)
     doc-edit <id>                Advanced edit:
         Find-replace:              --old "text" --new "text" [--new-md "**bold**"] [--all]
         Section replace:           --section "Heading" --md "new content" [--from-md file.md]
-    read-md <id>                 Read doc as markdown (--tab <name|index>, --section "Heading")
-    parse-md <file>              Test markdown parsing (offline, no API call)
+    doc-section <action> <id>    Whole sections, subsections included (--tab for a tab):
+        insert                     --md/--from-md, placed with --before|--after <section> (default: end)
+        delete                     --section <address>
+        move                       --section <address> --before|--after <section> (default: end)
+        copy                       --section <address> [--to <docId>] [--to-tab <tab>] [--before|--after <section>]
+                                   Keeps styles, lists, tables, images, chips and footnotes; without a
+                                   place, the copy goes right after the original (or at the end of --to)
+    doc-outline <id>             Heading tree: levels, indices, word and table counts, heading links (--tab, --section, --flat)
+    read-md <id>                 Read doc as markdown (--tab <name|index>, --section "Heading", --front-matter)
+        --all-tabs                 Every tab, child tabs included, each under a heading nested like the tabs
+                                   (--output <dir> for one file per tab, child tabs in subfolders)
+        --include-headers          Header and footer text as <!-- header … --> comments
+        --theme <name|file.json>   Also read that theme's code font as inline code
+        --suggestions              Suggested edits as CriticMarkup: {++added++} {--removed--}
+        --comments [inline|footnotes]  Open comments next to the text they quote: {==text==}{>>Name: note<<}
+                                   or footnotes (--resolved to include resolved threads)
+        --json                     { markdown, suggestions, comments } instead of raw markdown
+    parse-md <file>              Test markdown parsing (offline, no API call); runs the requests
+                                 against a simulated doc and lists any the API would reject
+        --preview [ansi|html]      Show the doc create-doc would produce (--output <path> to save)
+        --check                    Only check the requests; exits non-zero on problems
+    Section addresses (--section in read-md, read-doc, doc-edit, doc-outline, doc-section):
+        "Heading"                  Heading text, any case; "Heading [2]" for its second occurrence
+        "Q3 Plan > Risks > Overview"  Path from the outside in (levels in between may be skipped)
+        h.abc123 | #heading=h.abc123  Heading ID (doc-outline lists them); #slug for a markdown anchor
+        "Risk*" | "/^risks?$/i"    Glob or regex on the heading text
+    Markdown options (create-doc, format-doc, doc-append, doc-edit, doc-section insert, add-tab, parse-md):
+        --no-highlight             Skip syntax colouring in fenced code blocks
+        --theme <name|file.json>   Fonts, colours and spacing: default, modern, classic, compact, or a JSON theme
+        --toc                      Add a linked table of contents (after a leading H1); or put [[TOC]] in the markdown.
+                                   create-doc, format-doc, add-tab and parse-md only
+        --share-images             Upload local images to Drive shared with anyone who has the link (Docs
+                                   can only insert public images); the files are listed in sharedImages
 
   Docs (Plain Text):
     doc-find-replace <id>        Find and replace text (--old "text" --new "replacement" [--match-case])
@@ -2021,6 +2284,7 @@ Examples:
   gdrive search "Budget" --type sheet
   gdrive create-doc "My Report" --from-md report.md
   gdrive doc-edit 1abc --old "draft" --new "final"
+  gdrive doc-section move 1abc --section "Risks" --before "Goals"
   gdrive create-sheet "Data" --data '[["Name","Score"],["Alice","95"]]'
   gdrive format-sheet 1abc --range "A1:B1" --bold --bg "0.9,0.9,0.9"
   gdrive read-slides 1abc --slide 0`);
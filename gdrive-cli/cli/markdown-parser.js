@@ -5,6 +5,254 @@
  */
 
 import { marked } from 'marked';
+import { highlightCode } from './syntax-highlight.js';
+import { DEFAULT_THEME } from './themes.js';
+import { splitFrontMatter } from './front-matter.js';
+import { renderMath } from './math.js';
+import { INLINE_TAGS, DROPPED_TAGS, parseTag, cssTextStyle, parseColor, htmlBlockToMarkdown } from './html.js';
+
+// Named ranges with this prefix carry image alt text (the Docs API can't set it directly)
+export const IMAGE_ALT_PREFIX = 'img-alt:';
+
+// Named ranges with this prefix mark a code block and carry its fence language
+export const CODE_LANG_PREFIX = 'code-lang:';
+
+// Named ranges with this prefix cover a rendered equation and carry its source ($x^2$ or $$x^2$$)
+export const MATH_PREFIX = 'math:';
+
+// Named range covering a generated table of contents, so it can be regenerated in place
+export const TOC_RANGE_NAME = 'toc';
+
+// Named ranges marking the author's own strikethrough in a done task, which
+// striking the whole item would otherwise hide
+export const TASK_STRIKE_RANGE_NAME = 'task-strike';
+
+// GitHub alert types for > [!NOTE] style callouts: label, accent and
+// background colours (GitHub light)
+export const ADMONITIONS = {
+  NOTE: { label: 'Note', color: { red: 0.04, green: 0.41, blue: 0.85 }, background: { red: 0.87, green: 0.96, blue: 1 } },
+  TIP: { label: 'Tip', color: { red: 0.1, green: 0.5, blue: 0.22 }, background: { red: 0.85, green: 0.98, blue: 0.88 } },
+  IMPORTANT: { label: 'Important', color: { red: 0.51, green: 0.31, blue: 0.87 }, background: { red: 0.98, green: 0.94, blue: 1 } },
+  WARNING: { label: 'Warning', color: { red: 0.6, green: 0.4, blue: 0 }, background: { red: 1, green: 0.97, blue: 0.77 } },
+  CAUTION: { label: 'Caution', color: { red: 0.82, green: 0.14, blue: 0.18 }, background: { red: 1, green: 0.92, blue: 0.91 } }
+};
+
+/**
+ * Code block box border: a thin line on every side.
+ * Adjacent paragraphs with identical borders render as one box
+ */
+function codeBoxBorder(theme) {
+  return {
+    color: { color: { rgbColor: theme.code.border } },
+    width: { magnitude: 0.75, unit: 'PT' },
+    padding: { magnitude: 6, unit: 'PT' },
+    dashStyle: 'SOLID'
+  };
+}
+
+/**
+ * Text style for a theme's font / size / colour, leaving out unset values
+ * @returns {{ textStyle: object, fields: string }|null} Null when nothing is set
+ */
+function themeTextStyle({ font, size, color, italic }) {
+  const textStyle = {};
+  if (font) textStyle.weightedFontFamily = { fontFamily: font };
+  if (size) textStyle.fontSize = { magnitude: size, unit: 'PT' };
+  if (color) textStyle.foregroundColor = { color: { rgbColor: color } };
+  if (italic) textStyle.italic = true;
+  const fields = Object.keys(textStyle).join(',');
+  return fields ? { textStyle, fields } : null;
+}
+
+// Syntax highlighting colours (GitHub light)
+const SYNTAX_COLORS = {
+  keyword: { red: 0.84, green: 0.23, blue: 0.29 },
+  string: { red: 0.01, green: 0.18, blue: 0.38 },
+  comment: { red: 0.42, green: 0.45, blue: 0.49 },
+  number: { red: 0, green: 0.36, blue: 0.77 },
+  key: { red: 0.44, green: 0.26, blue: 0.76 },
+  variable: { red: 0.89, green: 0.38, blue: 0.03 }
+};
+
+// Stands in for an inline image or footnote reference in the inserted text
+// until the real object replaces it
+export const OBJECT_PLACEHOLDER = '\uFFFC';
+
+// Usable page width/height in PT (Letter, 1in margins) for percentage image sizes
+const PAGE_CONTENT_SIZE = { width: 468, height: 648 };
+
+/**
+ * Image with a trailing size block: ![alt](url){width=300 height=200}
+ */
+const imageWithSize = {
+  name: 'imageWithSize',
+  level: 'inline',
+  start(src) {
+    const index = src.indexOf('![');
+    return index === -1 ? undefined : index;
+  },
+  tokenizer(src) {
+    const match = /^!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"[^"]*")?\s*\)\{([^}]*)\}/.exec(src);
+    if (match) {
+      return { type: 'image', raw: match[0], text: match[1], href: match[2], size: parseImageSize(match[3]) };
+    }
+  }
+};
+
+/**
+ * Footnote reference: text[^1]
+ */
+const footnoteRef = {
+  name: 'footnoteRef',
+  level: 'inline',
+  start(src) {
+    const index = src.indexOf('[^');
+    return index === -1 ? undefined : index;
+  },
+  tokenizer(src) {
+    const match = /^\[\^([^\]\s]+)\]/.exec(src);
+    if (match) {
+      return { type: 'footnoteRef', raw: match[0], label: match[1] };
+    }
+  }
+};
+
+/**
+ * Footnote definition: [^1]: Footnote text (indented lines continue it)
+ */
+const footnoteDef = {
+  name: 'footnoteDef',
+  level: 'block',
+  start(src) {
+    return src.match(/^\[\^[^\]\s]+\]:/m)?.index;
+  },
+  tokenizer(src) {
+    const match = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?: {2,}|\t)[^\n]*)*)(?:\n|$)/.exec(src);
+    if (match) {
+      const token = { type: 'footnoteDef', raw: match[0], label: match[1], text: match[2].replace(/\n\s+/g, ' '), tokens: [] };
+      this.lexer.inline(token.text, token.tokens);
+      return token;
+    }
+  }
+};
+
+// Inline math: $x^2$ or $$x^2$$. As in pandoc, the opening $ must be followed
+// and the closing $ preceded by a non-space, and no digit may follow the
+// closing $, so prices like "$5 and $10" stay text
+const INLINE_MATH = /^\$\$((?:\\.|[^$\\])+?)\$\$|^\$(?![\s$])((?:\\.|[^$\\])*?(?:\\.|[^\s$\\]))\$(?!\d)/;
+
+// Display math: $$ on its own lines (or $$...$$ alone in a paragraph)
+const BLOCK_MATH = /^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?=\n|$)/;
+
+// Inline math anywhere in a line (not after a backslash), and HTML tags, whose
+// attribute quotes must stay straight: smart typography skips both
+const VERBATIM_SPAN = /(?<!\\)\$\$(?:\\.|[^$\\])+?\$\$|(?<![\\$])\$(?![\s$])(?:\\.|[^$\\])*?(?:\\.|[^\s$\\])\$(?!\d)|<\/?[a-zA-Z][\w-]*(?:"[^"]*"|'[^']*'|[^'">])*>/g;
+const VERBATIM_MASK = '\uE000';
+
+/**
+ * Inline math: $E = mc^2$
+ */
+const mathInline = {
+  name: 'mathInline',
+  level: 'inline',
+  start(src) {
+    const index = src.indexOf('$');
+    return index === -1 ? undefined : index;
+  },
+  tokenizer(src) {
+    const match = INLINE_MATH.exec(src);
+    if (match) {
+      return { type: 'math', raw: match[0], text: match[1] ?? match[2], display: false };
+    }
+  }
+};
+
+/**
+ * Display math: $$ ... $$
+ */
+const mathBlock = {
+  name: 'mathBlock',
+  level: 'block',
+  start(src) {
+    return src.match(/^ {0,3}\$\$/m)?.index;
+  },
+  tokenizer(src) {
+    const match = BLOCK_MATH.exec(src);
+    if (match) {
+      return { type: 'math', raw: match[0], text: match[1], display: true };
+    }
+  }
+};
+
+/**
+ * Inline span between delimiters, with its content lexed as inline markdown:
+ * ^sup^ and ~sub~ (pandoc: no unescaped spaces), ==highlight==, <u>underline</u>
+ */
+function delimitedSpan(name, delimiter, pattern, unescape = (text) => text) {
+  return {
+    name,
+    level: 'inline',
+    start(src) {
+      const index = src.indexOf(delimiter);
+      return index === -1 ? undefined : index;
+    },
+    tokenizer(src) {
+      const match = pattern.exec(src);
+      if (match) {
+        return { type: name, raw: match[0], text: match[1], tokens: this.lexer.inlineTokens(unescape(match[1])) };
+      }
+    }
+  };
+}
+
+const unescapeSpaces = (text) => text.replace(/\\ /g, ' ');
+const superscript = delimitedSpan('superscript', '^', /^\^((?:\\.|[^^\s\\])+)\^/, unescapeSpaces);
+// A single ~ is subscript; ~~ stays strikethrough
+const subscript = delimitedSpan('subscript', '~', /^~(?!~)((?:\\.|[^~\s\\])+)~(?!~)/, unescapeSpaces);
+const highlight = delimitedSpan('highlight', '==', /^==(?=[^\s=])([\s\S]*?[^\s=])==(?!=)/);
+const underline = delimitedSpan('underline', '<u>', /^<u>([\s\S]*?)<\/u>/i);
+
+// Person chip: @Name <email> or @<email>; the name is only for the reader,
+// Docs shows the one it has for the address
+const PERSON_CHIP = /^@(?:([^@<>\n]*?)[ \t]*)?<([^\s<>@]+@[^\s<>@]+)>/;
+// Date chip: @2026-01-31, or @2026-01-31T14:30Z with the time (UTC)
+const DATE_CHIP = /^@(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2})Z?)?(?![\w:-])/;
+
+/**
+ * Smart chips: @Name <email>, @2026-01-31. The @ has to start a word, so
+ * addresses in running text stay text
+ */
+const chip = {
+  name: 'chip',
+  level: 'inline',
+  start(src) {
+    const match = /(?:^|[\s([])@(?=<|\d{4}-|[^\s@<>]+[^@<>\n]*<)/.exec(src);
+    return match ? match.index + match[0].length - 1 : undefined;
+  },
+  tokenizer(src) {
+    const person = PERSON_CHIP.exec(src);
+    if (person) {
+      return { type: 'chip', raw: person[0], text: person[0], person: { email: person[2], name: person[1] || undefined } };
+    }
+    const date = DATE_CHIP.exec(src);
+    if (date && !isNaN(new Date(`${date[1]}T${date[2] || '00:00'}:00Z`))) {
+      return { type: 'chip', raw: date[0], text: date[0], date: { day: date[1], time: date[2] } };
+    }
+  }
+};
+
+marked.use({ extensions: [imageWithSize, footnoteRef, footnoteDef, mathInline, mathBlock, superscript, subscript, highlight, underline, chip] });
+
+// Strikethrough takes ~~ only: marked's GFM also reads ~text~ as one, which
+// would take subscript that isn't valid as such (e.g. with a space in it)
+marked.use({
+  tokenizer: {
+    del(src) {
+      // false hands ~~ to marked's own tokenizer; nothing else is strikethrough
+      return src.startsWith('~~') ? false : undefined;
+    }
+  }
+});
 
 /**
  * Decode HTML entities
@@ -20,25 +268,94 @@ function decodeEntities(text) {
     .replace(/&nbsp;/g, ' ');
 }
 
+/**
+ * GitHub-style heading anchor: lowercase, punctuation dropped, whitespace → hyphens
+ */
+export function slugify(text) {
+  return text.trim().toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-');
+}
+
+/**
+ * Anchors for a run of headings, numbering repeats like GitHub (intro, intro-1, ...)
+ * @param {string[]} texts - Heading texts in document order
+ * @returns {string[]}
+ */
+export function headingSlugs(texts) {
+  const seen = {};
+  return texts.map(text => {
+    const base = slugify(text);
+    let slug = base;
+    while (seen[slug] !== undefined) slug = `${base}-${++seen[base]}`;
+    seen[slug] = 0;
+    return slug;
+  });
+}
+
+/**
+ * Build a nested markdown list of links to the given headings
+ * @param {Array<{ text: string, level: number }>} headings
+ * @returns {string}
+ */
+export function buildTocMarkdown(headings) {
+  const slugs = headingSlugs(headings.map(h => h.text));
+  const minLevel = Math.min(...headings.map(h => h.level));
+  let depth = -1;
+  return headings.map((h, i) => {
+    // A list can only nest one level at a time, so H1 → H3 indents once
+    depth = Math.min(h.level - minLevel, depth + 1);
+    const label = h.text.replace(/[\\`*_[\]<]/g, '\\$&');
+    return `${'  '.repeat(depth)}- [${label}](#${slugs[i]})`;
+  }).join('\n') + '\n';
+}
+
 /**
  * Apply smart typography (SmartyPants-style)
  * - Straight quotes → curly quotes
  * - -- → en-dash, --- → em-dash (but not HR or table syntax)
  * - ... → ellipsis
+ * Code blocks, math and HTML tags are left alone
  */
 function smartTypography(text) {
+  let fence = null; // Opening fence of the code block we're inside, if any
+  let mathBlock = false; // Inside a $$ display math block
+
   // Process line by line to preserve table delimiter rows
   return text.split('\n').map(line => {
+    // Leave fenced code blocks untouched
+    const fenceMatch = /^\s{0,3}(`{3,}|~{3,})/.exec(line);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+      return line;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      return line;
+    }
+    // Leave display math untouched: $$ opens a block unless it closes on the same line
+    if (mathBlock) {
+      if (line.includes('$$')) mathBlock = false;
+      return line;
+    }
+    if (/^\s{0,3}\$\$/.test(line)) {
+      mathBlock = !/^\s{0,3}\$\$.*\$\$\s*$/.test(line);
+      return line;
+    }
     // Skip table delimiter rows (|---|---|)
     if (/^\|[\s\-:|]+\|$/.test(line.trim())) {
       return line;
     }
+    // Skip HTML comments (<!-- pagebreak -->)
+    if (/^\s*<!--.*-->\s*$/.test(line)) {
+      return line;
+    }
     // Skip HR lines (---, ___, ***)
     if (/^(\-{3,}|_{3,}|\*{3,})$/.test(line.trim())) {
       return line;
     }
 
-    return line
+    // Inline math and HTML tags are swapped out for a marker while the rest of the line is converted
+    const verbatim = [];
+    return line.replace(VERBATIM_SPAN, span => { verbatim.push(span); return VERBATIM_MASK; })
       // Em-dash: only when surrounded by text
       .replace(/(\S)---(\S)/g, '$1\u2014$2')
       .replace(/(\S)---(\s)/g, '$1\u2014$2')
@@ -57,59 +374,185 @@ function smartTypography(text) {
       // Opening single quote (after space)
       .replace(/(^|[\s(])'(\S)/g, '$1\u2018$2')
       // Remaining single quotes → closing
-      .replace(/'/g, '\u2019');
+      .replace(/'/g, '\u2019')
+      .replace(/\uE000/g, () => verbatim.shift());
   }).join('\n');
 }
 
 /**
  * Parse markdown and generate Google Docs API requests
+ * Block and inline processors get the options for this call along with the
+ * theme to render with and `warn`, which reports something in the markdown
+ * that can't be represented (e.g. unsupported HTML)
  * @param {string} markdown - Input markdown text
- * @returns {{ text: string, requests: Array }} Plain text and formatting requests
+ * @returns {{ text: string, requests: Array, tables: Array, lists: Array, tabs: Array, footnotes: Array, warnings: string[] }} Plain text and formatting requests
  */
-export function parseMarkdown(markdown, startIndex = 1) {
-  const tokens = marked.lexer(markdown);
+export function parseMarkdown(markdown, startIndex = 1, parseOptions = {}) {
+  const warnings = [];
+  const warn = (message) => {
+    if (warnings.includes(message)) return;
+    warnings.push(message);
+    parseOptions.onWarning?.(message);
+  };
+  const options = { ...parseOptions, theme: parseOptions.theme || DEFAULT_THEME, warn };
+  const { theme } = options;
+  const tokens = insertToc(expandHtmlBlocks(marked.lexer(markdown), options), options);
+  const { title, subtitle } = options.titleBlock || {};
+  if (subtitle) tokens.unshift({ type: 'title', style: 'SUBTITLE', text: subtitle });
+  if (title) tokens.unshift({ type: 'title', style: 'TITLE', text: title });
+  const footnotes = collectFootnotes(tokens, options);
   let text = '';
   let requests = [];
   let tables = []; // Collect table info for special handling
+  let lists = []; // Bullet requests, one group per top-level list
+  let tabs = []; // Indices of list nesting tabs in the inserted text
   let currentIndex = startIndex;
 
   for (const token of tokens) {
-    const result = processToken(token, currentIndex);
+    const result = processToken(token, currentIndex, options);
     const resultText = decodeEntities(result.text);
     text += resultText;
     requests.push(...result.requests);
 
+    if ((token.type === 'paragraph' || token.type === 'list') && resultText) {
+      requests.push(...paragraphSpacing(currentIndex, currentIndex + resultText.length - 1, theme));
+    }
+
+    if (token.toc) {
+      requests.push({
+        createNamedRange: {
+          name: TOC_RANGE_NAME,
+          range: { startIndex: currentIndex, endIndex: currentIndex + resultText.length }
+        }
+      });
+    }
+
+    if (result.bullets) {
+      lists.push(result.bullets);
+      tabs.push(...result.tabs);
+    }
+
     // Collect table info for second-pass processing
     if (result.tableInfo) {
       result.tableInfo.textIndex = currentIndex;
       tables.push(result.tableInfo);
     }
+    if (result.tables) tables.push(...result.tables);
 
     currentIndex += resultText.length;
   }
 
-  return { text, requests, tables };
+  // Body font goes under everything else, so code and heading fonts win
+  const body = themeTextStyle(theme.body);
+  if (body && currentIndex > startIndex) {
+    requests.unshift({ updateTextStyle: { range: { startIndex, endIndex: currentIndex }, ...body } });
+  }
+
+  return { text, requests, tables, lists, tabs, footnotes, warnings };
+}
+
+/**
+ * Replace raw HTML blocks (<details>, <table>, <div> ...) with the markdown
+ * they stand for, so they get the normal block handling. Comments and break
+ * markers are left for processToken
+ */
+function expandHtmlBlocks(tokens, options) {
+  return tokens.flatMap(token => {
+    if (token.type === 'blockquote') token.tokens = expandHtmlBlocks(token.tokens || [], options);
+    if (token.type !== 'html' || BREAK_MARKER.test(token.raw.trim()) || /^\s*<!--[\s\S]*-->\s*$/.test(token.raw)) return [token];
+    const markdown = htmlBlockToMarkdown(token.raw, options.warn);
+    return markdown ? marked.lexer(markdown) : [];
+  });
+}
+
+/**
+ * Theme paragraph spacing for body paragraphs and list items
+ */
+function paragraphSpacing(startIndex, endIndex, theme) {
+  const { spaceAbove, spaceBelow, lineSpacing } = theme.paragraph;
+  const paragraphStyle = {};
+  if (spaceAbove != null) paragraphStyle.spaceAbove = { magnitude: spaceAbove, unit: 'PT' };
+  if (spaceBelow != null) paragraphStyle.spaceBelow = { magnitude: spaceBelow, unit: 'PT' };
+  if (lineSpacing != null) paragraphStyle.lineSpacing = lineSpacing;
+  const fields = Object.keys(paragraphStyle).join(',');
+  if (!fields) return [];
+  return [{ updateParagraphStyle: { range: { startIndex, endIndex }, paragraphStyle, fields } }];
+}
+
+/**
+ * Replace a [[TOC]] paragraph (or, with options.toc, add one after a leading H1)
+ * with a linked list of the headings — the markdown's own, or options.headings
+ * when regenerating an existing doc's table of contents
+ */
+function insertToc(tokens, options) {
+  let index = tokens.findIndex(t => t.type === 'paragraph' && t.text.trim() === '[[TOC]]');
+  const replace = index !== -1;
+  if (!replace) {
+    if (!options.toc) return tokens;
+    index = tokens[0]?.type === 'heading' && tokens[0].depth === 1 ? 1 : 0;
+  }
+
+  const headings = options.headings || tokens
+    .filter(t => t.type === 'heading')
+    .map(t => ({ text: decodeEntities(getPlainText(t.tokens || [])), level: t.depth }));
+  const tocTokens = headings.length > 0 ? marked.lexer(buildTocMarkdown(headings)) : [];
+  for (const t of tocTokens) if (t.type === 'list') t.toc = true;
+
+  const result = [...tokens];
+  result.splice(index, replace ? 1 : 0, ...tocTokens);
+  return result;
+}
+
+/**
+ * Attach footnote definitions to their references, in document order
+ * Footnote bodies are relative to the footnote segment, which starts as " \n"
+ * (text goes in at index 1). References inside tables or other footnotes, and
+ * ones without a definition, stay literal text
+ * @returns {Array<{ text: string, requests: Array }>} One body per reference
+ */
+function collectFootnotes(tokens, options) {
+  const definitions = {};
+  for (const token of tokens) {
+    if (token.type === 'footnoteDef') definitions[token.label] = token;
+  }
+
+  const footnotes = [];
+  const bodies = {};
+  const walkable = tokens.filter(t => t.type !== 'table' && t.type !== 'footnoteDef');
+  marked.walkTokens(walkable, token => {
+    if (token.type !== 'footnoteRef' || !definitions[token.label]) return;
+    token.footnote = true;
+    bodies[token.label] ??= processInlineTokens(definitions[token.label].tokens, 1, { ...options, footnote: true });
+    footnotes.push(bodies[token.label]);
+  });
+  return footnotes;
 }
 
 /**
  * Process a single markdown token
  */
-function processToken(token, startIndex) {
+function processToken(token, startIndex, options) {
   switch (token.type) {
     case 'heading':
-      return processHeading(token, startIndex);
+      return processHeading(token, startIndex, options);
     case 'paragraph':
-      return processParagraph(token, startIndex);
+      return processBreak(token, startIndex) || processParagraph(token, startIndex, options);
+    case 'html':
+      return processBreak(token, startIndex) || { text: '', requests: [] };
+    case 'title':
+      return processTitle(token, startIndex, options);
+    case 'math':
+      return processMathBlock(token, startIndex, options);
     case 'list':
-      return processList(token, startIndex);
+      return processList(token, startIndex, options);
     case 'table':
-      return processTable(token, startIndex);
+      return processTable(token, startIndex, options);
     case 'code':
-      return processCodeBlock(token, startIndex);
+      return processCodeBlock(token, startIndex, options);
     case 'blockquote':
-      return processBlockquote(token, startIndex);
+      return processBlockquote(token, startIndex, options);
     case 'hr':
-      return processHorizontalRule(startIndex);
+      return processHorizontalRule(startIndex, options);
     case 'space':
       return { text: '\n', requests: [] };
     default:
@@ -118,10 +561,11 @@ function processToken(token, startIndex) {
 }
 
 /**
- * Process heading (# Header)
+ * Process heading (# Header) with the same inline formatting as a paragraph
  */
-function processHeading(token, startIndex) {
-  const text = token.text + '\n';
+function processHeading(token, startIndex, options) {
+  const { text: rawText, requests: inlineRequests } = processInlineTokens(token.tokens || [], startIndex, options);
+  const text = rawText + '\n';
   const endIndex = startIndex + text.length;
 
   const headingStyles = {
@@ -143,36 +587,137 @@ function processHeading(token, startIndex) {
     }
   }];
 
-  // Process inline formatting (bold, italic)
-  requests.push(...processInlineFormatting(token.tokens || [], startIndex));
+  const { font, color, sizes } = options.theme.headings;
+  const headingStyle = themeTextStyle({ font, color, size: sizes[token.depth] });
+  if (headingStyle) {
+    requests.push({ updateTextStyle: { range: { startIndex, endIndex: endIndex - 1 }, ...headingStyle } });
+  }
+
+  // Inline styles go after the heading font so code spans and links win
+  requests.push(...inlineRequests);
+
+  return { text, requests };
+}
+
+// Break markers, alone in their paragraph: \pagebreak, \newpage, \sectionbreak [continuous],
+// or the same as an HTML comment (<!-- pagebreak -->, <!-- sectionbreak: continuous -->)
+const BREAK_MARKER = /^(?:\\(pagebreak|newpage|sectionbreak)(?:\s+(continuous))?|<!--\s*(page-?break|newpage|section-?break)(?:\s*:?\s*(continuous))?\s*-->)\s*$/i;
+
+/**
+ * Process a page or section break marker
+ * The marker becomes a placeholder paragraph that is swapped for the break.
+ * insertPageBreak adds a break plus newline, insertSectionBreak a newline plus
+ * break, so the two characters of the placeholder paragraph are replaced
+ * one-for-one and nothing after them moves.
+ * @returns {object|null} Null if the token isn't a break marker
+ */
+function processBreak(token, startIndex) {
+  const match = BREAK_MARKER.exec((token.type === 'html' ? token.raw : token.text).trim());
+  if (!match) return null;
+  const kind = (match[1] || match[3]).toLowerCase().replace('-', '');
+  const location = { index: startIndex };
+  const insert = kind === 'sectionbreak'
+    ? { insertSectionBreak: { location, sectionType: (match[2] || match[4]) ? 'CONTINUOUS' : 'NEXT_PAGE' } }
+    : { insertPageBreak: { location } };
+
+  const text = OBJECT_PLACEHOLDER + '\n';
+  return {
+    text,
+    requests: [
+      { deleteContentRange: { range: { startIndex, endIndex: startIndex + text.length } } },
+      insert
+    ]
+  };
+}
 
+/**
+ * Process a TITLE / SUBTITLE paragraph (from a % title block or front matter)
+ */
+function processTitle(token, startIndex, options) {
+  const { theme } = options;
+  const { text: rawText, requests: inlineRequests } = processInlineTokens(marked.Lexer.lexInline(token.text), startIndex, options);
+  const text = rawText + '\n';
+  const range = { startIndex, endIndex: startIndex + rawText.length };
+  const requests = [{
+    updateParagraphStyle: { range, paragraphStyle: { namedStyleType: token.style }, fields: 'namedStyleType' }
+  }];
+  const titleStyle = themeTextStyle({ font: theme.headings.font, color: theme.headings.color });
+  if (titleStyle) requests.push({ updateTextStyle: { range: { ...range }, ...titleStyle } });
+  requests.push(...inlineRequests);
   return { text, requests };
 }
 
+/**
+ * Process an equation: Unicode text in the theme's math font, with
+ * super/subscripts as baseline offsets and the source kept in a named range
+ * so read-md can give back the original LaTeX
+ */
+function processMath(token, startIndex, options) {
+  const { text, scripts } = renderMath(token.text, { display: token.display });
+  if (!text) return { text, requests: [] };
+  const range = { startIndex, endIndex: startIndex + text.length };
+  const requests = [];
+  const mathStyle = themeTextStyle(options.theme.math);
+  if (mathStyle) requests.push({ updateTextStyle: { range, ...mathStyle } });
+  for (const script of scripts) {
+    requests.push({
+      updateTextStyle: {
+        range: { startIndex: startIndex + script.start, endIndex: startIndex + script.end },
+        textStyle: { baselineOffset: script.offset },
+        fields: 'baselineOffset'
+      }
+    });
+  }
+  const tex = token.text.trim().replace(/\s+/g, ' ');
+  const source = token.display ? `$$${tex}$$` : `$${tex}$`;
+  // Named range names are limited to 256 characters; longer equations don't round-trip
+  if (MATH_PREFIX.length + source.length <= 256) {
+    requests.push({ createNamedRange: { name: MATH_PREFIX + source, range: { ...range } } });
+  }
+  return { text, requests };
+}
+
+/**
+ * Process display math ($$ ... $$): a centred paragraph of its own
+ */
+function processMathBlock(token, startIndex, options) {
+  const { text: rawText, requests } = processMath(token, startIndex, options);
+  if (!rawText) return { text: '', requests: [] };
+  requests.unshift({
+    updateParagraphStyle: {
+      range: { startIndex, endIndex: startIndex + rawText.length },
+      paragraphStyle: { alignment: 'CENTER' },
+      fields: 'alignment'
+    }
+  });
+  return { text: rawText + '\n', requests };
+}
+
 /**
  * Process paragraph with inline formatting
  */
-function processParagraph(token, startIndex) {
-  const { text: rawText, requests: inlineRequests } = processInlineTokens(token.tokens || [], startIndex);
+function processParagraph(token, startIndex, options) {
+  const { text: rawText, requests: inlineRequests } = processInlineTokens(token.tokens || [], startIndex, options);
   const text = rawText + '\n';
 
   return { text, requests: inlineRequests };
 }
 
 /**
- * Process inline tokens (bold, italic, links, text)
+ * Process inline tokens (bold, italic, strikethrough, links, text)
  * Handles nested formatting (e.g., ***bold italic***)
  */
-function processInlineTokens(tokens, startIndex) {
+function processInlineTokens(tokens, startIndex, options) {
+  const { theme } = options;
   let text = '';
   let requests = [];
   let currentIndex = startIndex;
 
-  for (const token of tokens) {
+  for (const token of groupInlineHtml(tokens, options)) {
     switch (token.type) {
       case 'strong':
         // Check for nested italic inside bold
-        const strongResult = processInlineTokens(token.tokens || [], currentIndex);
+        const strongResult = processInlineTokens(token.tokens || [], currentIndex, options);
         text += strongResult.text;
         requests.push(...strongResult.requests);
         // Apply bold to entire range
@@ -188,7 +733,7 @@ function processInlineTokens(tokens, startIndex) {
 
       case 'em':
         // Check for nested bold inside italic
-        const emResult = processInlineTokens(token.tokens || [], currentIndex);
+        const emResult = processInlineTokens(token.tokens || [], currentIndex, options);
         text += emResult.text;
         requests.push(...emResult.requests);
         // Apply italic to entire range
@@ -202,6 +747,52 @@ function processInlineTokens(tokens, startIndex) {
         currentIndex += emResult.text.length;
         break;
 
+      case 'del': {
+        const delResult = processInlineTokens(token.tokens || [], currentIndex, options);
+        text += delResult.text;
+        requests.push(...delResult.requests);
+        requests.push({
+          updateTextStyle: {
+            range: { startIndex: currentIndex, endIndex: currentIndex + delResult.text.length },
+            textStyle: { strikethrough: true },
+            fields: 'strikethrough'
+          }
+        });
+        currentIndex += delResult.text.length;
+        break;
+      }
+
+      case 'superscript':
+      case 'subscript':
+      case 'highlight':
+      case 'underline': {
+        const spanResult = processInlineTokens(token.tokens || [], currentIndex, options);
+        text += spanResult.text;
+        requests.push(...spanResult.requests);
+        requests.push({
+          updateTextStyle: {
+            range: { startIndex: currentIndex, endIndex: currentIndex + spanResult.text.length },
+            ...spanStyle(token.type, theme)
+          }
+        });
+        currentIndex += spanResult.text.length;
+        break;
+      }
+
+      case 'htmlSpan': {
+        const htmlResult = processHtmlSpan(token, currentIndex, options);
+        text += htmlResult.text;
+        requests.push(...htmlResult.requests);
+        currentIndex += htmlResult.text.length;
+        break;
+      }
+
+      case 'br':
+        // Line break within the paragraph (Docs' vertical tab)
+        text += '\u000b';
+        currentIndex += 1;
+        break;
+
       case 'link':
         const linkText = getPlainText(token.tokens || [{ text: token.text }]);
         text += linkText;
@@ -210,7 +801,7 @@ function processInlineTokens(tokens, startIndex) {
             range: { startIndex: currentIndex, endIndex: currentIndex + linkText.length },
             textStyle: {
               link: { url: token.href },
-              foregroundColor: { color: { rgbColor: { red: 0.06, green: 0.46, blue: 0.88 } } },
+              foregroundColor: { color: { rgbColor: theme.link.color } },
               underline: true
             },
             fields: 'link,foregroundColor,underline'
@@ -219,6 +810,58 @@ function processInlineTokens(tokens, startIndex) {
         currentIndex += linkText.length;
         break;
 
+      case 'image':
+        if (options.footnote) {
+          // Footnotes can't hold inline images: keep the alt text, linked to web images
+          const alt = decodeEntities(token.text) || token.href;
+          options.warn(`Image "${alt}" in a footnote kept as text (footnotes can't hold images)`);
+          const altResult = /^https?:\/\//i.test(token.href)
+            ? processInlineTokens([{ type: 'link', href: token.href, text: alt }], currentIndex, options)
+            : { text: alt, requests: [] };
+          text += altResult.text;
+          requests.push(...altResult.requests);
+          currentIndex += altResult.text.length;
+          break;
+        }
+        text += OBJECT_PLACEHOLDER;
+        requests.push(...processImage(token, currentIndex));
+        currentIndex += OBJECT_PLACEHOLDER.length;
+        break;
+
+      case 'chip':
+        // Placeholder is swapped for the chip, which takes one index like an image
+        text += OBJECT_PLACEHOLDER;
+        requests.push(
+          { deleteContentRange: { range: { startIndex: currentIndex, endIndex: currentIndex + OBJECT_PLACEHOLDER.length } } },
+          chipRequest(token, currentIndex)
+        );
+        currentIndex += OBJECT_PLACEHOLDER.length;
+        break;
+
+      case 'footnoteRef':
+        if (token.footnote) {
+          // Placeholder is swapped for the footnote reference; the caller fills
+          // in the body once createFootnote has returned the footnote's ID
+          text += OBJECT_PLACEHOLDER;
+          requests.push(
+            { deleteContentRange: { range: { startIndex: currentIndex, endIndex: currentIndex + OBJECT_PLACEHOLDER.length } } },
+            { createFootnote: { location: { index: currentIndex } } }
+          );
+          currentIndex += OBJECT_PLACEHOLDER.length;
+        } else {
+          text += token.raw;
+          currentIndex += token.raw.length;
+        }
+        break;
+
+      case 'math': {
+        const math = processMath(token, currentIndex, options);
+        text += math.text;
+        requests.push(...math.requests);
+        currentIndex += math.text.length;
+        break;
+      }
+
       case 'codespan':
         const codeText = decodeEntities(token.text);
         text += codeText;
@@ -226,8 +869,8 @@ function processInlineTokens(tokens, startIndex) {
           updateTextStyle: {
             range: { startIndex: currentIndex, endIndex: currentIndex + codeText.length },
             textStyle: {
-              weightedFontFamily: { fontFamily: 'Consolas' },
-              backgroundColor: { color: { rgbColor: { red: 0.95, green: 0.95, blue: 0.95 } } }
+              weightedFontFamily: { fontFamily: theme.code.font },
+              backgroundColor: { color: { rgbColor: theme.code.inlineBackground } }
             },
             fields: 'weightedFontFamily,backgroundColor'
           }
@@ -238,7 +881,7 @@ function processInlineTokens(tokens, startIndex) {
       case 'text': {
         // If token has inline children, recurse into them
         if (token.tokens && token.tokens.length > 0) {
-          const textResult = processInlineTokens(token.tokens, currentIndex);
+          const textResult = processInlineTokens(token.tokens, currentIndex, options);
           text += textResult.text;
           requests.push(...textResult.requests);
           currentIndex += textResult.text.length;
@@ -252,7 +895,7 @@ function processInlineTokens(tokens, startIndex) {
 
       default: {
         if (token.tokens && token.tokens.length > 0) {
-          const defResult = processInlineTokens(token.tokens, currentIndex);
+          const defResult = processInlineTokens(token.tokens, currentIndex, options);
           text += defResult.text;
           requests.push(...defResult.requests);
           currentIndex += defResult.text.length;
@@ -269,39 +912,169 @@ function processInlineTokens(tokens, startIndex) {
 }
 
 /**
- * Process inline formatting within other elements
+ * Pair up inline HTML tags (marked gives one html token per tag) into
+ * htmlSpan tokens holding what's between them. <br> and <img> become the
+ * matching markdown tokens; other tags are dropped with a warning, keeping
+ * their content unless it's something like <script> or <video>
  */
-function processInlineFormatting(tokens, startIndex) {
-  const requests = [];
-  let currentIndex = startIndex;
+function groupInlineHtml(tokens, { warn }) {
+  if (!tokens.some(t => t.type === 'html')) return tokens;
+  const result = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'html') {
+      result.push(token);
+      continue;
+    }
+    const tag = parseTag(token.raw);
+    // Comments and closing tags without an opening one
+    if (!tag || tag.closing) continue;
+    if (tag.name === 'br') {
+      result.push({ type: 'br', raw: token.raw });
+      continue;
+    }
+    if (tag.name === 'img') {
+      const size = parseImageSize(['width', 'height'].filter(k => tag.attrs[k]).map(k => `${k}=${tag.attrs[k]}`).join(' '));
+      if (tag.attrs.src) result.push({ type: 'image', raw: token.raw, href: tag.attrs.src, text: tag.attrs.alt || '', size });
+      continue;
+    }
+    if (tag.selfClosing) {
+      warn(`Unsupported HTML <${tag.name}> dropped`);
+      continue;
+    }
+    // Find the matching closing tag (or run to the end of the paragraph)
+    let depth = 1;
+    let end = i + 1;
+    for (; end < tokens.length; end++) {
+      const inner = tokens[end].type === 'html' ? parseTag(tokens[end].raw) : null;
+      if (inner?.name !== tag.name || inner.selfClosing) continue;
+      depth += inner.closing ? -1 : 1;
+      if (depth === 0) break;
+    }
+    const children = groupInlineHtml(tokens.slice(i + 1, end), { warn });
+    if (INLINE_TAGS[tag.name]) {
+      result.push({ type: 'htmlSpan', tag: tag.name, attrs: tag.attrs, tokens: children });
+    } else if (DROPPED_TAGS.has(tag.name)) {
+      warn(`Unsupported HTML <${tag.name}> dropped`);
+    } else {
+      warn(`Unsupported HTML <${tag.name}> dropped (content kept)`);
+      result.push(...children);
+    }
+    i = end;
+  }
+  return result;
+}
 
-  for (const token of tokens) {
-    const tokenText = getPlainText([token]);
+/**
+ * Process an inline HTML element by mapping it onto the markdown equivalent
+ * (<b> → strong, <kbd> → code, <a> → link ...) or, for <span style> and
+ * <font color>, the CSS text style
+ */
+function processHtmlSpan(token, startIndex, options) {
+  const kind = INLINE_TAGS[token.tag];
+  const children = token.tokens || [];
+  if (kind === 'code') {
+    return processInlineTokens([{ type: 'codespan', text: getPlainText(children) }], startIndex, options);
+  }
+  if (kind === 'link') {
+    if (!token.attrs.href) return processInlineTokens(children, startIndex, options);
+    return processInlineTokens([{ type: 'link', href: token.attrs.href, text: getPlainText(children), tokens: children }], startIndex, options);
+  }
+  if (kind !== 'span') return processInlineTokens([{ type: kind, tokens: children }], startIndex, options);
 
-    if (token.type === 'strong') {
-      requests.push({
-        updateTextStyle: {
-          range: { startIndex: currentIndex, endIndex: currentIndex + tokenText.length },
-          textStyle: { bold: true },
-          fields: 'bold'
-        }
-      });
-    } else if (token.type === 'em') {
-      requests.push({
-        updateTextStyle: {
-          range: { startIndex: currentIndex, endIndex: currentIndex + tokenText.length },
-          textStyle: { italic: true },
-          fields: 'italic'
-        }
-      });
-    }
+  const result = processInlineTokens(children, startIndex, options);
+  const textStyle = { ...cssTextStyle(token.attrs.style, options.warn)?.textStyle };
+  const fontColor = token.tag === 'font' && parseColor(token.attrs.color);
+  if (fontColor) textStyle.foregroundColor = { color: { rgbColor: fontColor } };
+  const fields = Object.keys(textStyle).join(',');
+  if (fields && result.text) {
+    // Span styles go under the inner formatting so nested tags win
+    result.requests.unshift({
+      updateTextStyle: { range: { startIndex, endIndex: startIndex + result.text.length }, textStyle, fields }
+    });
+  }
+  return result;
+}
+
+/**
+ * Text style for ^sup^, ~sub~, ==highlight== and <u>underline</u>
+ */
+function spanStyle(type, theme) {
+  switch (type) {
+    case 'superscript':
+      return { textStyle: { baselineOffset: 'SUPERSCRIPT' }, fields: 'baselineOffset' };
+    case 'subscript':
+      return { textStyle: { baselineOffset: 'SUBSCRIPT' }, fields: 'baselineOffset' };
+    case 'highlight':
+      return { textStyle: { backgroundColor: { color: { rgbColor: theme.highlight.color } } }, fields: 'backgroundColor' };
+    default:
+      return { textStyle: { underline: true }, fields: 'underline' };
+  }
+}
 
-    currentIndex += tokenText.length;
+/**
+ * Parse image size hints (width=300, height=2in, width=50%) into a Docs objectSize
+ * Bare numbers are pixels, as in pandoc
+ */
+function parseImageSize(attrs) {
+  const size = {};
+  const pattern = /(width|height)\s*=\s*["'\u201C\u201D\u2018\u2019]?([\d.]+)(px|pt|in|%)?/g;
+  for (const [, key, value, unit] of attrs.matchAll(pattern)) {
+    const n = parseFloat(value);
+    let magnitude;
+    if (unit === 'pt') magnitude = n;
+    else if (unit === 'in') magnitude = n * 72;
+    else if (unit === '%') magnitude = n / 100 * PAGE_CONTENT_SIZE[key];
+    else magnitude = n * 0.75;
+    size[key] = { magnitude: Math.round(magnitude * 100) / 100, unit: 'PT' };
   }
+  return size;
+}
+
+/**
+ * Process inline image
+ * Swaps the placeholder character for the image (both are one index long, so
+ * nothing after it moves) and stores the alt text in a named range.
+ * Local file paths are left as-is — the caller uploads them before sending.
+ */
+function processImage(token, startIndex) {
+  const range = { startIndex, endIndex: startIndex + OBJECT_PLACEHOLDER.length };
+  const insertInlineImage = { location: { index: startIndex }, uri: token.href };
+  if (token.size && Object.keys(token.size).length > 0) insertInlineImage.objectSize = token.size;
 
+  const requests = [
+    { deleteContentRange: { range } },
+    { insertInlineImage }
+  ];
+  if (token.text) {
+    requests.push({
+      createNamedRange: {
+        name: (IMAGE_ALT_PREFIX + decodeEntities(token.text)).slice(0, 256),
+        range: { ...range }
+      }
+    });
+  }
   return requests;
 }
 
+// insertPerson / insertDate for a chip token
+function chipRequest(token, index) {
+  const location = { index };
+  if (token.person) return { insertPerson: { location, personProperties: { email: token.person.email } } };
+  const { day, time } = token.date;
+  return {
+    insertDate: {
+      location,
+      dateElementProperties: {
+        timestamp: `${day}T${time || '00:00'}:00Z`,
+        timeZoneId: 'UTC',
+        dateFormat: 'DATE_FORMAT_ISO8601',
+        timeFormat: time ? 'TIME_FORMAT_HOUR_MINUTE' : 'TIME_FORMAT_DISABLED'
+      }
+    }
+  };
+}
+
 /**
  * Get plain text from tokens (recursive, prefers parsed children over raw text)
  */
@@ -318,28 +1091,111 @@ function getPlainText(tokens) {
 }
 
 /**
- * Process bullet/numbered list with inline formatting support
+ * Process bullet/numbered list with inline formatting and real nesting
+ *
+ * Nested items are prefixed with one tab per level — createParagraphBullets
+ * turns leading tabs into nesting levels and strips them. A sub-list whose
+ * type differs from its parent gets its own bullet request, so ordered and
+ * unordered lists can be mixed at any depth. Task lists (- [ ] / - [x]) get
+ * checkbox bullets, with checked items struck through (and any strikethrough
+ * of their own kept in TASK_STRIKE_RANGE_NAME ranges).
+ */
+function processList(token, startIndex, options) {
+  const paragraphs = [];
+  const groups = [];
+  const { text, requests } = processListItems(token, startIndex, 0, paragraphs, groups, null, options);
+
+  // Positions of nesting tabs in the inserted text, and where each paragraph
+  // starts once the first bullet request has stripped them
+  const tabs = [];
+  let stripped = 0;
+  for (const p of paragraphs) {
+    for (let i = 0; i < p.depth; i++) tabs.push(p.start + i);
+    p.finalStart = p.start - stripped;
+    stripped += p.depth;
+  }
+
+  const bullets = [];
+  for (const group of groups) {
+    const first = paragraphs[group.first];
+    const last = paragraphs[group.last];
+    let range;
+    if (group.depth === 0) {
+      range = { startIndex, endIndex: startIndex + text.length - 1 };
+    } else {
+      // Tabs are gone by now — put them back so the sub-list keeps its level
+      let inserted = 0;
+      for (let k = group.last; k >= group.first; k--) {
+        const p = paragraphs[k];
+        bullets.push({ insertText: { location: { index: p.finalStart }, text: '\t'.repeat(p.depth) } });
+        inserted += p.depth;
+      }
+      range = { startIndex: first.finalStart, endIndex: last.finalStart + last.length - last.depth - 1 + inserted };
+    }
+    bullets.push({
+      createParagraphBullets: {
+        range,
+        bulletPreset: getBulletPreset(group.kind, group.depth)
+      }
+    });
+  }
+
+  return { text, requests, bullets, tabs };
+}
+
+/**
+ * Emit list items (and their sub-lists) as tab-indented paragraphs
+ * Records each paragraph, and each run of same-type items as a bullet group
  */
-function processList(token, startIndex) {
+function processListItems(token, startIndex, depth, paragraphs, groups, parentKind, options) {
   let text = '';
   let requests = [];
   let currentIndex = startIndex;
 
+  const kind = getListKind(token);
+  const group = kind !== parentKind
+    ? { kind, depth, first: paragraphs.length, last: null }
+    : null;
+  if (group) groups.push(group);
+
   for (const item of token.items) {
     const itemStart = currentIndex;
-    const itemTokens = item.tokens || [];
-    let itemText = '';
-    for (const t of itemTokens) {
-      if (t.type === 'text' || t.type === 'paragraph') {
-        const inlineResult = processInlineTokens(t.tokens || [], currentIndex);
+    const inlineStart = requests.length;
+    let itemText = '\t'.repeat(depth);
+    currentIndex += depth;
+    const subLists = [];
+    for (const t of item.tokens || []) {
+      if (t.type === 'list') {
+        subLists.push(t);
+      } else if (t.type === 'text' || t.type === 'paragraph') {
+        const inlineResult = processInlineTokens(t.tokens || [], currentIndex, options);
         itemText += inlineResult.text;
         requests.push(...inlineResult.requests);
+        currentIndex += inlineResult.text.length;
       } else {
-        itemText += decodeEntities(getPlainText([t]));
+        const plainText = decodeEntities(getPlainText([t]));
+        itemText += plainText;
+        currentIndex += plainText.length;
       }
     }
+    // Done tasks are struck through (the API can't tick the checkbox itself)
+    if (item.task && item.checked && itemText.length > depth) {
+      for (const { updateTextStyle } of requests.slice(inlineStart)) {
+        if (!updateTextStyle?.textStyle.strikethrough) continue;
+        requests.push({ createNamedRange: { name: TASK_STRIKE_RANGE_NAME, range: { ...updateTextStyle.range } } });
+      }
+      requests.push({
+        updateTextStyle: {
+          range: { startIndex: itemStart + depth, endIndex: currentIndex },
+          textStyle: { strikethrough: true },
+          fields: 'strikethrough'
+        }
+      });
+    }
     itemText += '\n';
+    currentIndex += 1;
     text += itemText;
+    paragraphs.push({ start: itemStart, length: itemText.length, depth });
     // Reset to NORMAL_TEXT so list items don't inherit surrounding heading styles
     requests.push({
       updateParagraphStyle: {
@@ -348,40 +1204,81 @@ function processList(token, startIndex) {
         fields: 'namedStyleType'
       }
     });
-    currentIndex += itemText.length;
-  }
 
-  // Single bullet request for entire list range
-  requests.push({
-    createParagraphBullets: {
-      range: { startIndex, endIndex: startIndex + text.length - 1 },
-      bulletPreset: token.ordered ? 'NUMBERED_DECIMAL_NESTED' : 'BULLET_DISC_CIRCLE_SQUARE'
+    for (const subList of subLists) {
+      const subResult = processListItems(subList, currentIndex, depth + 1, paragraphs, groups, kind, options);
+      text += subResult.text;
+      requests.push(...subResult.requests);
+      currentIndex += subResult.text.length;
     }
-  });
+  }
 
+  if (group) group.last = paragraphs.length - 1;
   return { text, requests };
 }
 
+/**
+ * List kind: 'ordered', 'task' (any item has a checkbox) or 'bullet'
+ */
+function getListKind(token) {
+  if (token.ordered) return 'ordered';
+  return token.items.some(item => item.task) ? 'task' : 'bullet';
+}
+
+/**
+ * Pick a bullet preset for a list starting at the given nesting level
+ * Nested numbered lists use DECIMAL_ALPHA_ROMAN, since a NESTED preset would
+ * prefix them with the (missing) parent number
+ */
+function getBulletPreset(kind, depth) {
+  if (kind === 'task') return 'BULLET_CHECKBOX';
+  if (kind !== 'ordered') return 'BULLET_DISC_CIRCLE_SQUARE';
+  return depth > 0 ? 'NUMBERED_DECIMAL_ALPHA_ROMAN' : 'NUMBERED_DECIMAL_NESTED';
+}
+
 /**
  * Process table - creates native Google Docs table
  * Tables require special handling: insert table first, then populate cells
+ * Cell formatting requests are relative to the cell start (index 0)
  */
-function processTable(token, startIndex) {
+function processTable(token, startIndex, options) {
+  const { theme } = options;
   const numRows = token.rows.length + 1; // +1 for header
   const numCols = token.header.length;
 
-  // Build cell content
+  // Build cell content and per-cell formatting
   const cells = [];
-
-  // Header row
-  const headerCells = token.header.map(h => decodeEntities(getPlainText(h.tokens)));
-  cells.push(headerCells);
-
-  // Data rows
-  for (const row of token.rows) {
-    const rowCells = row.map(cell => decodeEntities(getPlainText(cell.tokens)));
+  const cellRequests = [];
+  const rows = [token.header, ...token.rows];
+  rows.forEach((row, r) => {
+    const rowCells = [];
+    const rowRequests = [];
+    for (const cell of row) {
+      const { text, requests } = processInlineTokens(cell.tokens || [], 0, options);
+      const body = themeTextStyle(theme.body);
+      if (body && text) {
+        requests.unshift({ updateTextStyle: { range: { startIndex: 0, endIndex: text.length }, ...body } });
+      }
+      // Header row is bold
+      if (r === 0 && text && theme.table.headerBold) {
+        requests.push({
+          updateTextStyle: {
+            range: { startIndex: 0, endIndex: text.length },
+            textStyle: { bold: true },
+            fields: 'bold'
+          }
+        });
+      }
+      rowCells.push(text);
+      rowRequests.push(requests);
+    }
     cells.push(rowCells);
-  }
+    cellRequests.push(rowRequests);
+  });
+
+  // Column alignment from the delimiter row (:---, :---:, ---:)
+  const alignmentMap = { left: 'START', center: 'CENTER', right: 'END' };
+  const alignments = (token.align || []).map(a => alignmentMap[a] || null);
 
   // Store table data for second pass processing
   // The actual table will be inserted, then cells populated
@@ -390,7 +1287,10 @@ function processTable(token, startIndex) {
     numRows,
     numCols,
     cells,
-    headerCells
+    cellRequests,
+    alignments,
+    headerCells: cells[0],
+    headerBackground: theme.table.headerBackground
   };
 
   // Return empty text (table insertion handles its own space)
@@ -403,88 +1303,183 @@ function processTable(token, startIndex) {
 }
 
 /**
- * Process code block
+ * Process code block as a shaded, bordered box
+ * Known fence languages get token colouring unless options.highlight is false.
+ * The fence language is kept in a named range so read-md can restore it
  */
-function processCodeBlock(token, startIndex) {
+function processCodeBlock(token, startIndex, options) {
+  const { theme } = options;
   const text = token.text + '\n';
   const endIndex = startIndex + text.length;
+  const range = { startIndex, endIndex: endIndex - 1 };
 
   const requests = [{
     updateTextStyle: {
-      range: { startIndex, endIndex: endIndex - 1 },
+      range,
       textStyle: {
-        weightedFontFamily: { fontFamily: 'Consolas' },
-        fontSize: { magnitude: 10, unit: 'PT' }
+        weightedFontFamily: { fontFamily: theme.code.font },
+        fontSize: { magnitude: theme.code.size, unit: 'PT' }
       },
       fields: 'weightedFontFamily,fontSize'
     }
+  }, {
+    updateParagraphStyle: {
+      range,
+      paragraphStyle: {
+        shading: { backgroundColor: { color: { rgbColor: theme.code.background } } },
+        borderTop: codeBoxBorder(theme),
+        borderBottom: codeBoxBorder(theme),
+        borderLeft: codeBoxBorder(theme),
+        borderRight: codeBoxBorder(theme)
+      },
+      fields: 'shading,borderTop,borderBottom,borderLeft,borderRight'
+    }
   }];
 
+  if (options.highlight !== false) {
+    for (const span of highlightCode(token.text, token.lang)) {
+      const textStyle = { foregroundColor: { color: { rgbColor: SYNTAX_COLORS[span.kind] } } };
+      if (span.kind === 'comment') textStyle.italic = true;
+      requests.push({
+        updateTextStyle: {
+          range: { startIndex: startIndex + span.start, endIndex: startIndex + span.end },
+          textStyle,
+          fields: Object.keys(textStyle).join(',')
+        }
+      });
+    }
+  }
+
+  if (token.lang && token.text) {
+    requests.push({
+      createNamedRange: {
+        name: (CODE_LANG_PREFIX + token.lang.trim().split(/\s+/)[0]).slice(0, 256),
+        range: { ...range }
+      }
+    });
+  }
+
   return { text, requests };
 }
 
 /**
- * Process blockquote
+ * Process blockquote, keeping inline formatting, lists and other blocks inside it
+ *
+ * Plain quotes get a grey left border and grey text. GitHub alerts
+ * (> [!NOTE], [!TIP], [!IMPORTANT], [!WARNING], [!CAUTION]) become shaded
+ * callout boxes in the alert's colour, headed by a bold label paragraph.
+ * Code blocks and nested quotes keep their own styling.
  */
-function processBlockquote(token, startIndex) {
-  // Extract text from blockquote tokens
+function processBlockquote(token, startIndex, options) {
+  const kind = takeAdmonition(token);
+  const admonition = ADMONITIONS[kind];
   let text = '';
+  const childRequests = [];
+  const bullets = [];
+  const tabs = [];
+  const tables = [];
+  const styled = []; // Ranges that take the quote style, and whether they're lists
+
+  if (admonition) {
+    text = admonition.label + '\n';
+    styled.push({ start: startIndex, end: startIndex + text.length, list: false });
+    childRequests.push({
+      updateTextStyle: {
+        range: { startIndex, endIndex: startIndex + admonition.label.length },
+        textStyle: { bold: true, foregroundColor: { color: { rgbColor: admonition.color } } },
+        fields: 'bold,foregroundColor'
+      }
+    });
+  }
+
   for (const child of token.tokens || []) {
-    if (child.type === 'paragraph') {
-      text += decodeEntities(getPlainText(child.tokens)) + '\n';
-    } else if (child.text) {
-      text += decodeEntities(child.text) + '\n';
+    if (child.type === 'space') continue;
+    const index = startIndex + text.length;
+    const result = processToken(child, index, options);
+    const childText = decodeEntities(result.text);
+    text += childText;
+    childRequests.push(...result.requests);
+    // Later lists are bulleted first, as in generateDocRequests
+    if (result.bullets) {
+      bullets.unshift(...result.bullets);
+      tabs.push(...result.tabs);
+    }
+    if (result.tables) tables.push(...result.tables);
+    if (result.tableInfo) {
+      result.tableInfo.textIndex = index;
+      tables.push(result.tableInfo);
+    }
+    if (childText && child.type !== 'code' && child.type !== 'blockquote' && child.type !== 'table') {
+      styled.push({ start: index, end: index + childText.length, list: child.type === 'list' });
     }
   }
 
-  const endIndex = startIndex + text.length;
-
-  // Style blockquote with indent and gray color
-  const requests = [
-    {
-      updateParagraphStyle: {
-        range: { startIndex, endIndex: endIndex - 1 },
-        paragraphStyle: {
-          indentStart: { magnitude: 36, unit: 'PT' },
-          borderLeft: {
-            color: { color: { rgbColor: { red: 0.8, green: 0.8, blue: 0.8 } } },
-            width: { magnitude: 3, unit: 'PT' },
-            padding: { magnitude: 12, unit: 'PT' },
-            dashStyle: 'SOLID'
-          }
-        },
-        fields: 'indentStart,borderLeft'
-      }
-    },
-    {
-      updateTextStyle: {
-        range: { startIndex, endIndex: endIndex - 1 },
-        textStyle: {
-          foregroundColor: { color: { rgbColor: { red: 0.4, green: 0.4, blue: 0.4 } } }
-        },
-        fields: 'foregroundColor'
-      }
+  const quoteTheme = options.theme.blockquote;
+  const borderColor = admonition ? admonition.color : quoteTheme.borderColor;
+  const paragraphStyle = {
+    borderLeft: {
+      color: { color: { rgbColor: borderColor } },
+      width: { magnitude: quoteTheme.borderWidth, unit: 'PT' },
+      padding: { magnitude: 12, unit: 'PT' },
+      dashStyle: 'SOLID'
     }
-  ];
+  };
+  if (admonition) paragraphStyle.shading = { backgroundColor: { color: { rgbColor: admonition.background } } };
+  const fields = admonition ? 'borderLeft,shading' : 'borderLeft';
 
-  return { text, requests };
+  const quoteText = admonition ? null : themeTextStyle({ color: quoteTheme.textColor, italic: quoteTheme.italic });
+  const greyText = [];
+  const quoteStyles = [];
+  for (const { start, end, list } of styled) {
+    const range = { startIndex: start, endIndex: end - 1 };
+    if (quoteText) greyText.push({ updateTextStyle: { range: { ...range }, ...quoteText } });
+    // List items keep their own indentation per nesting level
+    quoteStyles.push({
+      updateParagraphStyle: list
+        ? { range, paragraphStyle, fields }
+        : { range, paragraphStyle: { ...paragraphStyle, indentStart: { magnitude: quoteTheme.indent, unit: 'PT' } }, fields: `indentStart,${fields}` }
+    });
+  }
+  // Quote text style goes first so inline styles (links, code) inside the quote win
+  const requests = [...greyText, ...childRequests, ...quoteStyles];
+
+  const result = { text, requests, tables };
+  if (bullets.length > 0) Object.assign(result, { bullets, tabs });
+  return result;
+}
+
+/**
+ * Strip a GitHub alert marker ([!NOTE] etc.) from the start of a blockquote
+ * @returns {string|null} Alert type, e.g. 'NOTE'
+ */
+function takeAdmonition(token) {
+  const para = token.tokens?.[0];
+  const first = para?.type === 'paragraph' ? para.tokens?.[0] : null;
+  const match = first?.type === 'text' ? /^\[!(\w+)\][ \t]*(?:\n|$)/.exec(first.text) : null;
+  const kind = match?.[1].toUpperCase();
+  if (!ADMONITIONS[kind]) return null;
+
+  first.text = first.text.slice(match[0].length);
+  if (!first.text) para.tokens.shift();
+  if (para.tokens.length === 0) token.tokens.shift();
+  return kind;
 }
 
 /**
  * Process horizontal rule
  * REST API has no insertHorizontalRule - use visible line characters as workaround
  */
-function processHorizontalRule(startIndex) {
-  // Use heavy horizontal line character, styled light gray
-  const line = '\u2501'.repeat(40); // ━ (BOX DRAWINGS HEAVY HORIZONTAL)
+function processHorizontalRule(startIndex, { theme }) {
+  // A run of box-drawing characters (━ by default), styled light grey
+  const line = theme.rule.character.repeat(theme.rule.length);
   const text = line + '\n';
 
   const requests = [{
     updateTextStyle: {
       range: { startIndex, endIndex: startIndex + line.length },
       textStyle: {
-        foregroundColor: { color: { rgbColor: { red: 0.8, green: 0.8, blue: 0.8 } } },
-        fontSize: { magnitude: 8, unit: 'PT' }
+        foregroundColor: { color: { rgbColor: theme.rule.color } },
+        fontSize: { magnitude: theme.rule.size, unit: 'PT' }
       },
       fields: 'foregroundColor,fontSize'
     }
@@ -503,24 +1498,89 @@ function processHorizontalRule(startIndex) {
   return { text, requests };
 }
 
+/**
+ * Map an index in the inserted text to where it lands once
+ * createParagraphBullets has stripped the list nesting tabs before it
+ */
+function stripTabsIndex(index, tabs) {
+  let shift = 0;
+  while (shift < tabs.length && tabs[shift] < index) shift++;
+  return index - shift;
+}
+
+/**
+ * Shift a request's range/location past stripped list nesting tabs
+ * Works on a copy: requests can share one range object, which must not be
+ * shifted twice
+ */
+function stripTabsRequest(req, tabs) {
+  const request = JSON.parse(JSON.stringify(req));
+  for (const action of Object.values(request)) {
+    if (action && typeof action === 'object') {
+      if (action.range) {
+        action.range.startIndex = stripTabsIndex(action.range.startIndex, tabs);
+        action.range.endIndex = stripTabsIndex(action.range.endIndex, tabs);
+      }
+      if (action.location) action.location.index = stripTabsIndex(action.location.index, tabs);
+    }
+  }
+  return request;
+}
+
+/**
+ * Pull the document title and subtitle off the top of the markdown
+ * A pandoc-style title block (% Title, then % Subtitle) wins; otherwise
+ * front matter title/subtitle are used, unless the markdown opens with an H1
+ * that already serves as the visible title
+ * @returns {{ titleBlock: { title?: string, subtitle?: string }, body: string }}
+ */
+function takeTitleBlock(markdown, frontMatter) {
+  const match = /^%[ \t]+(.+)\r?\n?(?:%[ \t]+(.+)\r?\n?)?/.exec(markdown);
+  if (match) {
+    const titleBlock = { title: match[1].trim() };
+    if (match[2]) titleBlock.subtitle = match[2].trim();
+    return { titleBlock, body: markdown.slice(match[0].length) };
+  }
+  const titleBlock = {};
+  if (frontMatter && !/^\s*#\s/.test(markdown)) {
+    if (frontMatter.title) titleBlock.title = String(frontMatter.title);
+    if (frontMatter.subtitle) titleBlock.subtitle = String(frontMatter.subtitle);
+  }
+  return { titleBlock, body: markdown };
+}
+
 /**
  * Generate complete batchUpdate request body
  * @param {string} markdown - Input markdown
  * @param {number} insertAt - Index to insert at (1 for start of doc)
- * @returns {{ text: string, requests: Array }}
+ * @param {object} options - { smartTypography: boolean, highlight: boolean, toc: boolean, headings: Array, theme: object, onWarning: function }
+ * @returns {{ text: string, requests: Array, tables: Array, footnotes: Array, frontMatter: object|null, warnings: string[] }}
  */
 export function generateDocRequests(markdown, insertAt = 1, options = {}) {
+  // Front matter is metadata for the caller, never document text
+  const { data: frontMatter, body: afterFrontMatter } = splitFrontMatter(markdown);
+  const { titleBlock, body } = takeTitleBlock(afterFrontMatter, frontMatter);
+
   // Apply smart typography to source BEFORE parsing (so indices match)
-  const processedMarkdown = options.smartTypography !== false ? smartTypography(markdown) : markdown;
-  const { text, requests, tables } = parseMarkdown(processedMarkdown, insertAt);
+  const typography = (md) => options.smartTypography !== false ? smartTypography(md) : md;
+  const processedMarkdown = typography(body);
+  for (const key of Object.keys(titleBlock)) titleBlock[key] = typography(titleBlock[key]);
+  const { text, requests, tables, lists, tabs, footnotes, warnings } = parseMarkdown(processedMarkdown, insertAt, { ...options, titleBlock });
 
-  // Separate bullet requests from other formatting
-  // Bullets FIRST, then headings override bullet styling on heading paragraphs
-  const bulletRequests = requests.filter(r => r.createParagraphBullets);
-  const otherRequests = requests.filter(r => !r.createParagraphBullets);
+  // Bullets FIRST, then headings override bullet styling on heading paragraphs.
+  // Lists are bulleted last-to-first so stripping one list's nesting tabs never
+  // shifts the range of a list before it
+  const bulletRequests = [...lists].reverse().flat();
 
-  // Order: insert text → bullets → heading/text styles (headings override bullets)
-  const allRequests = [
+  // Everything after the bullets sees the text without nesting tabs
+  const otherRequests = requests.map(r => stripTabsRequest(r, tabs));
+  for (const tableInfo of tables) {
+    tableInfo.textIndex = stripTabsIndex(tableInfo.textIndex, tabs);
+  }
+
+  // Order: insert text → bullets → heading/text styles (headings override bullets).
+  // Nothing to send when the markdown was only front matter
+  const allRequests = !text ? [] : [
     {
       insertText: {
         location: { index: insertAt },
@@ -531,7 +1591,6 @@ export function generateDocRequests(markdown, insertAt = 1, options = {}) {
     ...otherRequests
   ];
 
-  // Add table info for two-pass processing
-  return { text, requests: allRequests, tables };
+  // Add table and footnote info for two-pass processing
+  return { text, requests: allRequests, tables, footnotes, frontMatter, warnings };
 }
-
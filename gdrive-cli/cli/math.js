@@ -0,0 +1,240 @@
+/**
+ * LaTeX math to Unicode text
+ *
+ * Renders the common subset of LaTeX math (Greek letters, operators, relations,
+ * arrows, \frac, \sqrt, \text, accents, ^ and _) as plain Unicode text.
+ * Superscripts and subscripts come back as ranges so the caller can style them
+ * with a baseline offset, which works for any character. Not a TeX engine:
+ * unknown commands are kept as written.
+ */
+
+const SYMBOLS = {
+  // Greek
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+  varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+  varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+  Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+  // Operators
+  times: '×', cdot: '·', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+  oplus: '⊕', otimes: '⊗', cup: '∪', cap: '∩', setminus: '∖', wedge: '∧', land: '∧', vee: '∨', lor: '∨',
+  neg: '¬', lnot: '¬', sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+  bigcup: '⋃', bigcap: '⋂', partial: '∂', nabla: '∇',
+  // Relations
+  le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', approx: '≈', equiv: '≡', sim: '∼',
+  simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫', in: '∈', notin: '∉', ni: '∋', subset: '⊂',
+  subseteq: '⊆', supset: '⊃', supseteq: '⊇', perp: '⊥', parallel: '∥', mid: '∣', models: '⊨',
+  vdash: '⊢',
+  // Arrows
+  to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒',
+  Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⇒', iff: '⇔', mapsto: '↦', uparrow: '↑',
+  downarrow: '↓', longrightarrow: '⟶', longleftarrow: '⟵', Longrightarrow: '⟹',
+  // Misc
+  infty: '∞', emptyset: '∅', varnothing: '∅', forall: '∀', exists: '∃', nexists: '∄', therefore: '∴',
+  because: '∵', angle: '∠', triangle: '△', prime: '′', degree: '°', hbar: 'ℏ', ell: 'ℓ', Re: 'ℜ',
+  Im: 'ℑ', aleph: 'ℵ', wp: '℘', dagger: '†', ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮',
+  ddots: '⋱', langle: '⟨', rangle: '⟩', lceil: '⌈', rceil: '⌉', lfloor: '⌊', rfloor: '⌋',
+  lvert: '|', rvert: '|', vert: '|', Vert: '‖', lVert: '‖', rVert: '‖', backslash: '\\',
+  // Spacing
+  quad: '\u2003', qquad: '\u2003\u2003', ',': '\u2009', ':': ' ', ';': ' ', ' ': ' ', '!': '',
+  // Escaped characters
+  '{': '{', '}': '}', '$': '$', '%': '%', '&': '&', '#': '#', '_': '_', '|': '‖'
+};
+
+// Upright function names: \sin x → sin x
+const FUNCTIONS = new Set([
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+  'log', 'ln', 'lg', 'exp', 'lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'det', 'dim',
+  'ker', 'deg', 'gcd', 'arg', 'Pr', 'mod', 'bmod'
+]);
+
+// Commands whose argument is shown as-is
+const TEXT_COMMANDS = new Set([
+  'text', 'textrm', 'textit', 'textbf', 'mathrm', 'mathit', 'mathbf', 'mathsf', 'mathtt',
+  'operatorname', 'boldsymbol', 'bm', 'mbox'
+]);
+
+// Combining marks for accents; overline-style accents go on every character
+const ACCENTS = {
+  hat: '\u0302', widehat: '\u0302', tilde: '\u0303', widetilde: '\u0303', dot: '\u0307',
+  ddot: '\u0308', vec: '\u20D7', acute: '\u0301', grave: '\u0300', check: '\u030C', breve: '\u0306',
+  bar: '\u0305', overline: '\u0305', underline: '\u0332'
+};
+const SPANNING_ACCENTS = new Set(['bar', 'overline', 'underline']);
+
+const BLACKBOARD = { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' };
+
+// Sizing and delimiter commands that only change how the next character looks
+const IGNORED = new Set([
+  'left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr', 'biggl', 'biggr',
+  'displaystyle', 'textstyle', 'scriptstyle', 'limits', 'nolimits', 'nonumber', 'notag'
+]);
+
+/**
+ * Render LaTeX math as Unicode text
+ * @param {string} tex - Math source without the $ delimiters
+ * @param {object} [options] - { display: boolean } — in display math \\ starts a new line
+ * @returns {{ text: string, scripts: Array<{ start: number, end: number, offset: 'SUPERSCRIPT'|'SUBSCRIPT' }> }}
+ */
+export function renderMath(tex, { display = false } = {}) {
+  const src = tex.trim().replace(/\s+/g, ' ');
+  let pos = 0;
+
+  const fragment = () => ({ text: '', scripts: [] });
+  const append = (target, part, offset) => {
+    const start = target.text.length;
+    target.text += part.text;
+    if (offset) {
+      // Nested scripts flatten into the outer one
+      if (part.text) target.scripts.push({ start, end: target.text.length, offset });
+    } else {
+      for (const s of part.scripts) target.scripts.push({ start: s.start + start, end: s.end + start, offset: s.offset });
+    }
+  };
+  const plain = (text) => ({ text, scripts: [] });
+
+  // One argument: a {group}, a command, or a single character
+  function argument() {
+    while (src[pos] === ' ') pos++;
+    if (pos >= src.length) return fragment();
+    if (src[pos] === '{') {
+      pos++;
+      const group = sequence('}');
+      pos++;
+      return group;
+    }
+    return atom();
+  }
+
+  // Optional [argument]
+  function optional() {
+    if (src[pos] !== '[') return null;
+    const end = src.indexOf(']', pos);
+    if (end === -1) return null;
+    const inner = renderMath(src.slice(pos + 1, end));
+    pos = end + 1;
+    return inner;
+  }
+
+  // Raw text of a {group}, for \text and \begin{env}
+  function rawGroup() {
+    while (src[pos] === ' ') pos++;
+    if (src[pos] !== '{') return atom().text;
+    let depth = 0;
+    const start = pos;
+    for (; pos < src.length; pos++) {
+      if (src[pos] === '\\') { pos++; continue; }
+      if (src[pos] === '{') depth++;
+      if (src[pos] === '}' && --depth === 0) break;
+    }
+    pos++;
+    return src.slice(start + 1, pos - 1).replace(/\\([{}$%&#_])/g, '$1');
+  }
+
+  function command() {
+    pos++; // backslash
+    const name = /^[a-zA-Z]+/.exec(src.slice(pos))?.[0] || src[pos] || '';
+    pos += name.length;
+
+    if (name === '\\') return plain(display ? '\u000b' : ' ');
+    if (SYMBOLS[name] !== undefined) return plain(SYMBOLS[name]);
+    if (FUNCTIONS.has(name)) return plain(name);
+    if (IGNORED.has(name)) {
+      if (src[pos] === '.') pos++; // \left. is an invisible delimiter
+      return fragment();
+    }
+    if (TEXT_COMMANDS.has(name)) {
+      return name.startsWith('text') || name === 'mbox' ? plain(rawGroup()) : argument();
+    }
+    if (name === 'begin' || name === 'end') {
+      rawGroup();
+      return fragment();
+    }
+    if (name === 'mathbb') {
+      return plain([...argument().text].map(ch => BLACKBOARD[ch] || ch).join(''));
+    }
+    if (name === 'mathcal' || name === 'mathfrak' || name === 'mathscr') return argument();
+    if (ACCENTS[name]) {
+      const base = argument().text;
+      const mark = ACCENTS[name];
+      return plain(SPANNING_ACCENTS.has(name) ? [...base].map(ch => ch + mark).join('') : base + mark);
+    }
+    if (name === 'frac' || name === 'dfrac' || name === 'tfrac') return fraction(argument(), argument());
+    if (name === 'sqrt') {
+      const index = optional();
+      const radicand = argument();
+      const result = fragment();
+      if (index) append(result, index, 'SUPERSCRIPT');
+      result.text += '√';
+      append(result, wrap(radicand));
+      return result;
+    }
+    // Unknown: keep it as written
+    return plain('\\' + name);
+  }
+
+  function atom() {
+    const ch = src[pos];
+    if (ch === '\\') return command();
+    if (ch === '{') return argument();
+    pos++;
+    if (ch === '-') return plain('−');
+    if (ch === '~') return plain(' ');
+    if (ch === '&') return plain(' ');
+    if (ch === "'") {
+      let primes = 1;
+      while (src[pos] === "'") { primes++; pos++; }
+      return plain(['′', '″', '‴'][primes - 1] || '′'.repeat(primes));
+    }
+    return plain(ch);
+  }
+
+  // Everything up to the closing character (or the end)
+  function sequence(close) {
+    const result = fragment();
+    while (pos < src.length && src[pos] !== close) {
+      const ch = src[pos];
+      if (ch === '^' || ch === '_') {
+        pos++;
+        append(result, argument(), ch === '^' ? 'SUPERSCRIPT' : 'SUBSCRIPT');
+      } else if (ch === '}') {
+        pos++; // Stray closing brace
+      } else {
+        append(result, atom());
+      }
+    }
+    return result;
+  }
+
+  return sequence(null);
+}
+
+// Simple operands (x, 2, ab, 10) need no parentheses
+const isSimple = (part) => /^[\p{L}\p{N}.′]+$/u.test(part.text);
+
+function wrap(part) {
+  if (isSimple(part) || part.text.length <= 1 || /^\([^()]*\)$/.test(part.text)) return part;
+  return { text: `(${part.text})`, scripts: part.scripts.map(s => ({ ...s, start: s.start + 1, end: s.end + 1 })) };
+}
+
+// Short fractions as ¹⁄₂-style super/subscripts, others as (a)/(b)
+function fraction(numerator, denominator) {
+  const result = { text: '', scripts: [] };
+  const short = [numerator, denominator].every(p => isSimple(p) && p.text.length <= 3 && p.scripts.length === 0);
+  if (short) {
+    result.text = numerator.text + '⁄' + denominator.text;
+    result.scripts.push(
+      { start: 0, end: numerator.text.length, offset: 'SUPERSCRIPT' },
+      { start: numerator.text.length + 1, end: result.text.length, offset: 'SUBSCRIPT' }
+    );
+    return result;
+  }
+  for (const [i, part] of [wrap(numerator), wrap(denominator)].entries()) {
+    if (i === 1) result.text += '/';
+    const start = result.text.length;
+    result.text += part.text;
+    for (const s of part.scripts) result.scripts.push({ ...s, start: s.start + start, end: s.end + start });
+  }
+  return result;
+}
@@ -0,0 +1,104 @@
+/**
+ * Minimal regex-based syntax highlighter for fenced code blocks
+ *
+ * Splits code into token spans (keyword, string, comment, number, key, variable)
+ * so the markdown parser can colour them. Not a real lexer — just enough for
+ * the common cases in docs (js, py, sh, json, sql, yaml).
+ */
+
+// Fence language aliases → highlighter language
+const ALIASES = {
+  js: 'js', javascript: 'js', jsx: 'js', mjs: 'js', cjs: 'js', ts: 'js', typescript: 'js', tsx: 'js',
+  py: 'py', python: 'py',
+  sh: 'sh', bash: 'sh', shell: 'sh', zsh: 'sh', console: 'sh',
+  json: 'json', jsonc: 'json',
+  sql: 'sql', postgres: 'sql', mysql: 'sql',
+  yaml: 'yaml', yml: 'yaml'
+};
+
+const words = (list) => `\\b(?:${list.split(' ').join('|')})\\b`;
+
+const NUMBER = String.raw`\b\d+(?:\.\d+)?\b`;
+const DQ_STRING = String.raw`"(?:\\.|[^"\\\n])*"`;
+const SQ_STRING = String.raw`'(?:\\.|[^'\\\n])*'`;
+
+// Rules per language, in priority order: [kind, pattern]
+const RULES = {
+  js: [
+    ['comment', String.raw`\/\/[^\n]*|\/\*[\s\S]*?\*\/`],
+    ['string', `${DQ_STRING}|${SQ_STRING}|` + String.raw`\`(?:\\.|[^\`\\])*\``],
+    ['keyword', words('async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield interface type enum implements')],
+    ['number', NUMBER]
+  ],
+  py: [
+    ['comment', String.raw`#[^\n]*`],
+    ['string', String.raw`"""[\s\S]*?"""|'''[\s\S]*?'''|` + `${DQ_STRING}|${SQ_STRING}`],
+    ['keyword', words('and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield self')],
+    ['number', NUMBER]
+  ],
+  sh: [
+    ['comment', String.raw`(?<![\w$])#[^\n]*`],
+    ['string', `${DQ_STRING}|${SQ_STRING}`],
+    ['variable', String.raw`\$\{[^}\n]*\}|\$[A-Za-z_][\w]*|\$[0-9@#?*$!-]`],
+    ['keyword', words('if then else elif fi for while until do done case esac in function return export local readonly unset shift exit source alias echo cd sudo')],
+    ['number', NUMBER]
+  ],
+  json: [
+    ['key', `${DQ_STRING}(?=\\s*:)`],
+    ['string', DQ_STRING],
+    ['keyword', words('true false null')],
+    ['number', String.raw`-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b`]
+  ],
+  sql: [
+    ['comment', String.raw`--[^\n]*|\/\*[\s\S]*?\*\/`],
+    ['string', SQ_STRING],
+    ['keyword', words('select from where and or not insert into values update set delete create table drop alter add index view join inner left right outer full on as group by order having limit offset union all distinct case when then else end null is in like between exists primary key foreign references default with returning asc desc count sum avg min max')],
+    ['number', NUMBER]
+  ],
+  yaml: [
+    ['comment', String.raw`(?<!\S)#[^\n]*`],
+    ['key', String.raw`^[ \t-]*[\w.$-]+(?=[ \t]*:(?:\s|$))`],
+    ['string', `${DQ_STRING}|${SQ_STRING}`],
+    ['keyword', words('true false null yes no on off')],
+    ['number', NUMBER]
+  ]
+};
+
+// SQL keywords are case-insensitive; YAML keys are anchored per line
+const FLAGS = { sql: 'gi', yaml: 'gm' };
+
+const PATTERNS = Object.fromEntries(Object.entries(RULES).map(([lang, rules]) => [
+  lang,
+  new RegExp(rules.map(([kind, pattern]) => `(?<${kind}>${pattern})`).join('|'), FLAGS[lang] || 'g')
+]));
+
+/**
+ * Resolve a fence info string ("js", "Python", "bash title=x") to a highlighter language
+ * @returns {string|null}
+ */
+export function resolveLanguage(info) {
+  if (!info) return null;
+  const name = info.trim().split(/\s+/)[0].toLowerCase();
+  return ALIASES[name] || null;
+}
+
+/**
+ * Find highlightable spans in code
+ * @param {string} code - Code block text
+ * @param {string} info - Fence language / info string
+ * @returns {Array<{ start: number, end: number, kind: string }>} Spans, offsets relative to the code
+ */
+export function highlightCode(code, info) {
+  const language = resolveLanguage(info);
+  if (!language) return [];
+
+  const spans = [];
+  for (const match of code.matchAll(PATTERNS[language])) {
+    if (!match[0]) continue;
+    // YAML keys may start with indentation or "- "; colour just the key
+    const lead = match.groups.key ? match[0].match(/^[ \t-]*/)[0].length : 0;
+    const kind = Object.keys(match.groups).find(k => match.groups[k] !== undefined);
+    spans.push({ start: match.index + lead, end: match.index + match[0].length, kind });
+  }
+  return spans;
+}
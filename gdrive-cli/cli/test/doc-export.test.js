@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { docToTree } from '../doc-tree.js';
+import { exportDoc, treeToHtml, treeToAsciiDoc, treeToRst } from '../doc-export.js';
+import { simulateCreateDoc } from '../doc-preview.js';
+
+// Markdown written into an in-memory doc, read back as a document tree
+async function treeOf(markdown) {
+  const { doc } = await simulateCreateDoc(markdown);
+  return docToTree(doc);
+}
+
+const sample = `## Setup
+
+Some **bold** and [a link](https://example.com), see [usage](#usage).
+
+- One
+  1. Nested
+- Two
+
+> [!NOTE]
+> Mind the gap.
+
+| Name | Count |
+| :--- | ---: |
+| Apples | 3 |
+
+## Usage
+
+Water is wet.[^1]
+
+[^1]: Citation needed.
+`;
+
+test('the document tree nests lists and keeps callouts, tables and footnotes', async () => {
+  const tree = await treeOf(sample);
+  // The blank paragraphs create-doc leaves between blocks are in the tree too
+  const blocks = tree.children.filter(b => b.type !== 'paragraph' || b.children.length);
+  assert.deepEqual(blocks.map(b => b.type), ['heading', 'paragraph', 'list', 'quote', 'table', 'heading', 'paragraph']);
+  const list = blocks[2];
+  assert.deepEqual(list.items.map(i => i.number), [1, 2]);
+  assert.equal(list.items[0].lists[0].ordered, true);
+  assert.equal(blocks[3].kind, 'NOTE');
+  assert.deepEqual(blocks[4].align, ['left', 'right']);
+  assert.deepEqual(tree.footnotes.map(f => f.number), ['1']);
+  const link = blocks[1].children.find(n => n.marks?.link?.anchor);
+  assert.equal(link.marks.link.anchor, 'usage');
+});
+
+test('HTML keeps tables, links, anchors, colours and footnotes', async () => {
+  const html = treeToHtml(await treeOf(sample + '\nA <span style="color: #ff0000">red</span> word.\n'), { fragment: true });
+  assert.match(html, /^<h2 id="setup">Setup<\/h2>/);
+  assert.match(html, /<a href="https:\/\/example.com">/);
+  assert.match(html, /<a href="#usage">/);
+  assert.match(html, /<ul>\n<li>One\n<ol>\n<li>Nested<\/li>\n<\/ol><\/li>/);
+  assert.match(html, /<th style="text-align:right">Count<\/th>/);
+  assert.match(html, /<blockquote class="callout callout-note"[^>]*>\n<p class="callout-title">Note<\/p>/);
+  assert.match(html, /<span style="color:#ff0000">red<\/span>/);
+  assert.match(html, /<li id="fn-1">Citation needed\./);
+  assert.doesNotMatch(html, /<html>/);
+});
+
+test('AsciiDoc uses admonitions, xrefs, inline footnotes and a header-row table', async () => {
+  const adoc = treeToAsciiDoc(await treeOf(sample));
+  assert.match(adoc, /^\[\[setup\]\]\n=== Setup/);
+  assert.match(adoc, /Some \*\*bold\*\* and link:https:\/\/example.com\[a link\], see <<usage,usage>>\./);
+  assert.match(adoc, /\* One\n\.\. Nested\n\* Two/);
+  assert.match(adoc, /\[NOTE\]\n====\nMind the gap\.\n====/);
+  assert.match(adoc, /\[%header,cols="<,>"\]\n\|===\n\| Name \| Count\n\n\| Apples \| 3\n\|===/);
+  assert.match(adoc, /Water is wet\.footnote:\[Citation needed\.\]/);
+});
+
+test('reStructuredText escapes markup next to words and defines footnotes at the end', async () => {
+  const rst = treeToRst(await treeOf(sample + '\nH~2~O and snake_case.\n'));
+  assert.match(rst, /^\.\. _setup:\n\nSetup\n-----/);
+  assert.match(rst, /`a link <https:\/\/example.com>`__, see `usage <usage_>`__\./);
+  assert.match(rst, /- One\n\n  1\. Nested\n\n- Two/);
+  assert.match(rst, /\.\. note::\n\n   Mind the gap\./);
+  assert.match(rst, /\.\. list-table::\n   :header-rows: 1\n\n   \* - Name\n     - Count/);
+  assert.match(rst, /H\\ :sub:`2`\\ O and snake\\_case\./);
+  assert.match(rst, /Water is wet\.\\ \[1\]_/);
+  assert.match(rst, /\.\. \[1\] Citation needed\.\n/);
+});
+
+test('exportDoc renders any format from the same tree, and rejects unknown ones', async () => {
+  const { doc } = await simulateCreateDoc('# Title\n\nText.\n');
+  assert.equal(exportDoc(doc, 'markdown'), '# Title\n\nText.\n');
+  assert.equal(JSON.parse(exportDoc(doc, 'json-ast')).children[0].type, 'heading');
+  assert.throws(() => exportDoc(doc, 'docx'), /Unknown format "docx"/);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDocModel, applyRequests, renderDocument } from '../doc-model.js';
+
+const body = (model) => renderDocument(model).body.content;
+const text = (model) => body(model)
+  .flatMap(e => e.paragraph?.elements || [])
+  .map(el => el.textRun?.content ?? '')
+  .join('');
+
+test('a new doc is a section break and one empty paragraph', () => {
+  const content = body(createDocModel());
+  assert.deepEqual(content.map(e => Object.keys(e).pop()), ['sectionBreak', 'paragraph']);
+  assert.equal(content[1].startIndex, 1);
+  assert.equal(content[1].endIndex, 2);
+});
+
+test('inserted newlines split paragraphs and styles split runs', () => {
+  const model = createDocModel();
+  applyRequests(model, [
+    { insertText: { location: { index: 1 }, text: 'Hello world\nSecond' } },
+    { updateTextStyle: { range: { startIndex: 7, endIndex: 12 }, textStyle: { bold: true }, fields: 'bold' } }
+  ]);
+  const [, first, second] = body(model);
+  assert.deepEqual(first.paragraph.elements.map(el => el.textRun.content), ['Hello ', 'world', '\n']);
+  assert.equal(first.paragraph.elements[1].textRun.textStyle.bold, true);
+  assert.equal(second.startIndex, 13);
+});
+
+test('tables follow the Docs index layout', () => {
+  const model = createDocModel();
+  applyRequests(model, [{ insertTable: { rows: 2, columns: 2, location: { index: 1 } } }]);
+  const table = body(model).find(e => e.table);
+  assert.equal(table.startIndex, 2);
+  assert.equal(table.endIndex, 13);
+  const cell = table.table.tableRows[0].tableCells[0];
+  assert.equal(cell.startIndex, 4);
+  assert.equal(cell.content[0].startIndex, 5);
+});
+
+test('bullets take their nesting level from leading tabs and remove them', () => {
+  const model = createDocModel();
+  applyRequests(model, [
+    { insertText: { location: { index: 1 }, text: 'a\n\tb\n' } },
+    { createNamedRange: { name: 'after', range: { startIndex: 6, endIndex: 7 } } },
+    { createParagraphBullets: { range: { startIndex: 1, endIndex: 5 }, bulletPreset: 'BULLET_DISC_CIRCLE_SQUARE' } }
+  ]);
+  assert.equal(text(model), 'a\nb\n\n');
+  const [, a, b] = body(model);
+  assert.equal(a.paragraph.bullet.nestingLevel, 0);
+  assert.equal(b.paragraph.bullet.nestingLevel, 1);
+  assert.deepEqual(renderDocument(model).namedRanges.after.namedRanges[0].ranges[0], { startIndex: 5, endIndex: 6 });
+});
+
+test('a failing batch changes nothing', () => {
+  const model = createDocModel();
+  assert.throws(() => applyRequests(model, [
+    { insertText: { location: { index: 1 }, text: 'kept?' } },
+    { updateTextStyle: { range: { startIndex: 1, endIndex: 99 }, textStyle: { bold: true }, fields: 'bold' } }
+  ]), /requests\[1\]\.updateTextStyle/);
+  assert.equal(text(model), '\n');
+});
+
+test('invalid requests fail like the API', () => {
+  const model = createDocModel();
+  assert.throws(() => applyRequests(model, [{ insertText: { location: { index: 0 }, text: 'x' } }]), { code: 400 });
+  assert.throws(() => applyRequests(model, [{ deleteContentRange: { range: { startIndex: 1, endIndex: 2 } } }]), /end of the segment/);
+  assert.throws(() => applyRequests(model, [{ replaceImage: {} }]), /unsupported request/);
+
+  const [{ createFootnote: { footnoteId } }] = applyRequests(model, [{ createFootnote: { location: { index: 1 } } }]);
+  const image = { insertInlineImage: { location: { segmentId: footnoteId, index: 1 }, uri: 'https://example.com/a.png' } };
+  assert.throws(() => applyRequests(model, [image]), /cannot be inserted into footnotes/);
+});
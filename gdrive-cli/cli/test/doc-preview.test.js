@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateCreateDoc, findOverlaps, renderHtml, renderAnsi } from '../doc-preview.js';
+
+const bold = (startIndex, endIndex, value = true) =>
+  ({ updateTextStyle: { range: { startIndex, endIndex }, textStyle: { bold: value }, fields: 'bold' } });
+
+test('nested style ranges are fine, partly overlapping conflicting ones are not', () => {
+  assert.deepEqual(findOverlaps([bold(1, 20), bold(5, 10, false)]), []);
+  assert.deepEqual(findOverlaps([bold(1, 10), bold(5, 15)]), []);
+  const [problem] = findOverlaps([bold(1, 10), bold(5, 15, false)]);
+  assert.match(problem.message, /requests\[0\] \(1-10\) and requests\[1\] \(5-15\) partly overlap: updateTextStyle bold/);
+});
+
+test('ranges are compared after earlier inserts move them', () => {
+  const requests = [
+    bold(10, 14),
+    { insertText: { location: { index: 1 }, text: 'abcd' } },
+    bold(14, 18, false)
+  ];
+  assert.deepEqual(findOverlaps(requests), []);
+});
+
+test('simulating create-doc gives a clean doc for valid markdown', async () => {
+  const { doc, problems } = await simulateCreateDoc('# Title\n\n| A | B |\n| --- | --- |\n| 1 | 2 |\n');
+  assert.deepEqual(problems, []);
+  assert.ok(doc.body.content.some(e => e.table));
+});
+
+test('previews show headings, lists and tables', async () => {
+  const { doc } = await simulateCreateDoc('# Title\n\n1. one\n2. two\n\n| A | B |\n| --- | --- |\n| 1 | 2 |\n');
+  const html = renderHtml(doc);
+  assert.match(html, /<h1 id="h\.[^"]+">Title<\/h1>/);
+  assert.match(html, /<span class="bullet">2\.<\/span> two/);
+  assert.match(html, /<td><p>1<\/p><\/td>/);
+  const ansi = renderAnsi(doc).replace(/\x1b\[[\d;]*m/g, '');
+  assert.match(ansi, /^Title$/m);
+  assert.match(ansi, /^ {2}2\. two$/m);
+  assert.match(ansi, /│ 1 │ 2 │/);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { moveSection, copySection, deleteSection, insertionPoint } from '../doc-section.js';
+import { docsClient, renderDocument } from '../doc-model.js';
+import { docToMarkdown } from '../doc-to-markdown.js';
+import { findHeadings } from '../doc-tree.js';
+import { simulateCreateDoc } from '../doc-preview.js';
+
+const sample = `# Plan
+
+See [the risks](#risks).
+
+## Goals
+
+- **Ship** it
+  1. Nested *one*
+- Two
+
+| Name | Count |
+| :--- | ---: |
+| Apples | 3 |
+
+After the table.[^1]
+
+## Risks
+
+\`\`\`js
+const x = 1;
+\`\`\`
+
+### Sub risk
+
+Text.
+
+[^1]: A **note**.
+`;
+
+// A doc written from markdown, with a client that fails on any request the API would reject
+async function docOf(markdown) {
+  const { model } = await simulateCreateDoc(markdown);
+  return { model, docs: docsClient(model) };
+}
+
+// Markdown of a doc without the blank paragraphs create-doc leaves between blocks
+const markdownOf = (model) => docToMarkdown(renderDocument(model)).replace(/\n{3,}/g, '\n\n');
+
+test('moving a section keeps its lists, table, footnote and code, and links follow its headings', async () => {
+  const { model, docs } = await docOf(sample);
+  const { moved } = await moveSection(docs, 'doc', { section: 'Risks', before: 'Goals' });
+  assert.equal(moved, true);
+  const md = markdownOf(model);
+  assert.deepEqual([...md.matchAll(/^#+ (.+)$/gm)].map(m => m[1]), ['Plan', 'Risks', 'Sub risk', 'Goals']);
+  assert.match(md, /See \[the risks\]\(#risks\)\./);
+  assert.match(md, /```js\nconst x = 1;\n```/);
+  assert.match(md, /- \*\*Ship\*\* it\n {2}1\. Nested \*one\*\n- Two/);
+  assert.match(md, /\| Name \| Count \|\n\| :--- \| ---: \|\n\| Apples \| 3 \|/);
+  assert.match(md, /After the table\.\[\^1\]/);
+
+  // Goals now runs to the end of the doc; moving it back after Risks' tree changes nothing
+  assert.equal((await moveSection(docs, 'doc', { section: 'Goals', after: 'Risks' })).moved, false);
+  await assert.rejects(moveSection(docs, 'doc', { section: 'Risks', before: 'Sub risk' }), /into itself/);
+});
+
+test('moving a section to the end puts it before the doc\'s final newline', async () => {
+  const { model, docs } = await docOf(sample);
+  await moveSection(docs, 'doc', { section: 'Goals' });
+  const md = markdownOf(model);
+  assert.deepEqual([...md.matchAll(/^#+ (.+)$/gm)].map(m => m[1]), ['Plan', 'Risks', 'Sub risk', 'Goals']);
+  assert.match(md, /After the table\.\[\^1\]\n\n\[\^1\]: A \*\*note\*\*\.\n$/);
+});
+
+test('deleting a section removes its subsections too', async () => {
+  const { model, docs } = await docOf(sample);
+  const section = await deleteSection(docs, 'doc', { section: 'Risks' });
+  assert.deepEqual(section.path, ['Plan', 'Risks']);
+  const md = markdownOf(model);
+  assert.doesNotMatch(md, /Risk|const x/);
+  assert.match(md, /After the table\.\[\^1\]\n/);
+});
+
+test('copies duplicate in place, or go to another doc with heading links resolved there', async () => {
+  const { model, docs } = await docOf(sample);
+  await copySection(docs, 'doc', { section: 'Goals' });
+  const md = markdownOf(model);
+  assert.equal(md.match(/^## Goals$/gm).length, 2);
+  assert.match(md, /After the table\.\[\^1\]\n\n## Goals\n/);
+  assert.match(md, /After the table\.\[\^2\]\n\n## Risks\n/);
+
+  const target = await docOf('# Notes\n\nSome text.\n');
+  const clients = { doc: docs, other: target.docs };
+  const router = {
+    documents: {
+      get: (params) => clients[params.documentId].documents.get(params),
+      batchUpdate: (params) => clients[params.documentId].documents.batchUpdate(params)
+    }
+  };
+  await copySection(router, 'doc', { section: 'Plan', to: 'other', before: 'Notes' });
+  const copied = renderDocument(target.model);
+  const headings = findHeadings(copied);
+  assert.deepEqual(headings.map(h => h.text), ['Plan', 'Goals', 'Goals', 'Risks', 'Sub risk', 'Notes']);
+  const link = copied.body.content.flatMap(e => e.paragraph?.elements || []).find(el => el.textRun?.textStyle?.link);
+  assert.equal(link.textRun.textStyle.link.headingId, headings.find(h => h.text === 'Risks').id);
+});
+
+test('insertion points: before a section, after its subsections, or at the end', async () => {
+  const { model } = await docOf(sample);
+  const doc = renderDocument(model);
+  const [, goals, risks] = findHeadings(doc);
+  assert.deepEqual(insertionPoint(doc, { before: 'Goals' }), { index: goals.startIndex, atEnd: false, newParagraph: false });
+  assert.deepEqual(insertionPoint(doc, { after: 'Goals' }), { index: risks.startIndex, atEnd: false, newParagraph: false });
+  const end = doc.body.content.slice(-1)[0];
+  assert.deepEqual(insertionPoint(doc, { after: 'Risks' }), { index: end.startIndex, atEnd: true, newParagraph: false });
+  assert.throws(() => insertionPoint(doc, { after: 'Nope' }), /Section "Nope" not found/);
+});
@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { docToMarkdown, collectSuggestions, anchorComments } from '../doc-to-markdown.js';
+import { listTabs, docOutline, findSection } from '../doc-tree.js';
+import { simulateCreateDoc } from '../doc-preview.js';
+
+// A one-paragraph doc from [content, extra textRun fields] pairs
+function paragraphDoc(runs) {
+  let index = 1;
+  const elements = runs.map(([content, extra = {}]) => {
+    const el = { startIndex: index, endIndex: index + content.length, textRun: { content, textStyle: {}, ...extra } };
+    index += content.length;
+    return el;
+  });
+  return { body: { content: [{ startIndex: 1, endIndex: index, paragraph: { elements, paragraphStyle: { namedStyleType: 'NORMAL_TEXT' } } }] } };
+}
+
+const suggested = paragraphDoc([
+  ['The ', {}],
+  ['quick ', { suggestedDeletionIds: ['suggest.1'] }],
+  ['slow ', { suggestedInsertionIds: ['suggest.2'] }],
+  ['fox', { suggestedInsertionIds: ['suggest.2'], textStyle: { bold: true } }],
+  ['.\n', {}]
+]);
+
+test('suggestions come out as CriticMarkup only when asked for', () => {
+  assert.equal(docToMarkdown(suggested, null, { suggestions: true }), 'The {--quick --}{++slow **fox**++}.\n');
+  assert.equal(docToMarkdown(suggested), 'The quick slow **fox**.\n');
+});
+
+test('suggestions are listed with their text joined up', () => {
+  assert.deepEqual(collectSuggestions(suggested), [
+    { id: 'suggest.1', type: 'deletion', text: 'quick ' },
+    { id: 'suggest.2', type: 'insertion', text: 'slow fox' }
+  ]);
+});
+
+const comments = [
+  { author: 'Ana', content: 'Which fox?', quotedText: 'brown fox', replies: [{ author: 'Ben', content: 'The red one.' }] },
+  { author: 'Cy', content: 'General note', quotedText: '', replies: [] }
+];
+
+test('comments anchor inline next to the text they quote', () => {
+  const { markdown, anchored } = anchorComments('The **brown fox** jumps.\n', comments);
+  assert.equal(markdown, 'The **{==brown fox==}{>>Ana: Which fox?<<}{>>Ben: The red one.<<}** jumps.\n\n{>>Cy: General note<<}\n');
+  assert.deepEqual(anchored, [true, false]);
+});
+
+test('comments can be footnotes instead', () => {
+  const { markdown } = anchorComments('The brown fox jumps.\n', comments, { style: 'footnotes', keepUnanchored: false });
+  assert.equal(markdown, 'The brown fox[^c1] jumps.\n\n[^c1]: **Ana:** Which fox?\n    **Ben:** The red one.\n');
+});
+
+// A doc with tabs, each written from markdown the way create-doc would
+async function tabbedDoc(tabs) {
+  const toTab = async ({ id, title, markdown, children = [] }) => {
+    const { doc } = await simulateCreateDoc(markdown);
+    const { title: _, documentId, ...documentTab } = doc;
+    return { tabProperties: { tabId: id, title }, documentTab, childTabs: await Promise.all(children.map(toTab)) };
+  };
+  return { documentId: 'doc', title: 'Tabbed', tabs: await Promise.all(tabs.map(toTab)) };
+}
+
+test('tabs are listed depth-first with their nesting', async () => {
+  const doc = await tabbedDoc([
+    { id: 't.a', title: 'Guide', markdown: '# Start\n\nNote[^1].\n\n[^1]: First.\n', children: [
+      { id: 't.b', title: 'Setup', markdown: 'Also[^1].\n\n[^1]: Second.\n' }
+    ] },
+    { id: 't.c', title: 'FAQ', markdown: 'Ask.\n' }
+  ]);
+  const tabs = listTabs(doc);
+  assert.deepEqual(tabs.map(t => [t.index, t.id, t.level, t.parentId]), [[0, 't.a', 0, null], [1, 't.b', 1, 't.a'], [2, 't.c', 0, null]]);
+  assert.equal(docToMarkdown(tabs[0].doc, null, { headingOffset: 1 }), '## Start\n\nNote[^1].\n\n[^1]: First.\n');
+  assert.equal(docToMarkdown(tabs[1].doc, null, { footnoteOffset: 1 }), 'Also[^2].\n\n[^2]: Second.\n');
+});
+
+test('headers and footers come out as comments when asked for', () => {
+  const doc = paragraphDoc([['Body\n']]);
+  const segment = (runs) => ({ content: [{ paragraph: { elements: runs } }] });
+  doc.documentStyle = { defaultHeaderId: 'kix.h', defaultFooterId: 'kix.f' };
+  doc.headers = { 'kix.h': segment([{ textRun: { content: 'ACME -- internal\n', textStyle: { bold: true } } }]) };
+  doc.footers = { 'kix.f': segment([{ textRun: { content: 'Page ' } }, { autoText: { type: 'PAGE_NUMBER' } }, { textRun: { content: '\n' } }]) };
+  assert.equal(docToMarkdown(doc, null, { headers: true }), '<!-- header\n**ACME - - internal**\n-->\n\nBody\n\n<!-- footer\nPage {page}\n-->\n');
+  assert.equal(docToMarkdown(doc), 'Body\n');
+});
+
+test('smart chips come out as @mentions, ISO dates and links', () => {
+  const doc = paragraphDoc([['See '], ['\n']]);
+  const elements = doc.body.content[0].paragraph.elements;
+  const end = elements.pop();
+  elements.push(
+    { person: { personProperties: { name: 'Ana Lopez', email: 'ana@example.com' } } },
+    { textRun: { content: ' on ' } },
+    { dateElement: { dateElementProperties: { timestamp: '2026-10-19T04:00:00Z', timeZoneId: 'America/New_York', timeFormat: 'TIME_FORMAT_DISABLED' } } },
+    { textRun: { content: ' in ' } },
+    { richLink: { richLinkProperties: { title: 'Plan', uri: 'https://docs.google.com/document/d/abc' } } },
+    { textRun: { content: ' ' } },
+    { equation: {} },
+    end
+  );
+  assert.equal(docToMarkdown(doc), 'See @Ana Lopez <ana@example.com> on @2026-10-19 in [Plan](https://docs.google.com/document/d/abc) [equation]\n');
+});
+
+test('runs that look the same in markdown are merged, with whitespace outside the markers', () => {
+  const bold = { textStyle: { bold: true } };
+  const doc = paragraphDoc([
+    ['foo', bold],
+    ['bar ', { textStyle: { bold: true, fontSize: { magnitude: 12, unit: 'PT' } } }],
+    ['and ', {}],
+    ['x = 1', { textStyle: { weightedFontFamily: { fontFamily: 'Roboto Mono' } } }],
+    [' ', { textStyle: { italic: true } }],
+    ['y', { textStyle: { weightedFontFamily: { fontFamily: 'Mono Lisa' } } }],
+    ['\n', {}]
+  ]);
+  assert.equal(docToMarkdown(doc), '**foobar** and `x = 1` y\n');
+  assert.equal(docToMarkdown(doc, null, { codeFonts: ['Mono Lisa'] }), '**foobar** and `x = 1` `y`\n');
+});
+
+test('list numbers follow startNumber and nesting; custom glyphs stay bullets', () => {
+  let index = 1;
+  const item = (text, listId, nestingLevel = 0) => {
+    const el = { startIndex: index, endIndex: index + text.length + 1, paragraph: {
+      elements: [{ startIndex: index, endIndex: index + text.length + 1, textRun: { content: text + '\n', textStyle: {} } }],
+      paragraphStyle: { namedStyleType: 'NORMAL_TEXT' }, bullet: { listId, nestingLevel } } };
+    index = el.endIndex;
+    return el;
+  };
+  const doc = {
+    body: { content: [item('a', 'n'), item('a.i', 'n', 1), item('a.ii', 'n', 1), item('b', 'n'), item('b.i', 'n', 1), item('x', 'n2'), item('star', 's')] },
+    lists: {
+      n: { listProperties: { nestingLevels: [{ glyphType: 'DECIMAL', startNumber: 5 }, { glyphType: 'ROMAN' }] } },
+      n2: { listProperties: { nestingLevels: [{ glyphType: 'DECIMAL' }] } },
+      s: { listProperties: { nestingLevels: [{ glyphType: 'GLYPH_TYPE_UNSPECIFIED', glyphSymbol: '★' }] } }
+    }
+  };
+  assert.equal(docToMarkdown(doc), '5. a\n   1. a.i\n   2. a.ii\n6. b\n   1. b.i\n1) x\n- star\n');
+});
+
+test('the outline nests headings with their indices, word and table counts', async () => {
+  const { doc } = await simulateCreateDoc('Intro words here.\n\n# Plan\n\nTwo words.\n\n## Risks\n\n| A | B |\n| --- | --- |\n| one | two |\n\n# Notes\n\nDone.\n');
+  const { preamble, sections } = docOutline(doc);
+  assert.equal(preamble.words, 3);
+  assert.deepEqual(sections.map(s => [s.heading, s.level, s.words, s.tables, s.slug]), [['Plan', 1, 2, 0, 'plan'], ['Notes', 1, 1, 0, 'notes']]);
+  const [risks] = sections[0].children;
+  assert.deepEqual([risks.heading, risks.level, risks.words, risks.tables], ['Risks', 2, 4, 1]);
+  assert.equal(sections[0].endIndex, risks.startIndex);
+  assert.equal(risks.endIndex, sections[1].startIndex);
+  assert.match(risks.link, /^#heading=h\./);
+});
+
+test('sections are addressed by path, occurrence, heading ID, anchor or pattern', async () => {
+  const { doc } = await simulateCreateDoc('# Q3 Plan\n\n## Risks\n\n### Overview\n\nr\n\n## Budget\n\n### Overview\n\nb\n\n# Q4 Plan\n\n## Overview\n\nq\n');
+  const path = (address) => findSection(doc, address).path.join(' > ');
+  assert.equal(path('Q3 Plan > Budget > Overview'), 'Q3 Plan > Budget > Overview');
+  assert.equal(path('q4 plan > overview'), 'Q4 Plan > Overview');
+  assert.equal(path('Q3 Plan > Overview [2]'), 'Q3 Plan > Budget > Overview');
+  assert.equal(path('Overview[3]'), 'Q4 Plan > Overview');
+  assert.equal(path('#budget'), 'Q3 Plan > Budget');
+  assert.equal(path('B*'), 'Q3 Plan > Budget');
+  assert.equal(path('/^q4/i'), 'Q4 Plan');
+  const { headingId } = findSection(doc, 'Q4 Plan');
+  assert.equal(path(`#heading=${headingId}`), 'Q4 Plan');
+  assert.throws(() => findSection(doc, 'Overview'), /matches 3 headings[\s\S]*"Overview \[2\]" = "Q3 Plan > Budget > Overview"/);
+  assert.throws(() => findSection(doc, 'Risks > Budget'), /not found/);
+  assert.equal(docToMarkdown(doc, 'Q3 Plan > Budget > Overview'), '### Overview\n\nb\n');
+});
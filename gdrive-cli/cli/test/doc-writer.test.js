@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateDocRequests } from '../markdown-parser.js';
+import { imageRequests } from '../doc-writer.js';
+
+test('image requests are found in the main batch and table cells; footnote images stay text', () => {
+  const warnings = [];
+  const markdown = '![a](a.png)\n\n| ![x](img.png) |\n| --- |\n| text |\n\nNote.[^1] Web.[^2]\n\n[^1]: ![y](y.png)\n[^2]: See ![logo](https://example.com/logo.png)\n';
+  const generated = generateDocRequests(markdown, 1, { onWarning: (message) => warnings.push(message) });
+  assert.deepEqual(imageRequests(generated).map(image => image.uri), ['a.png', 'img.png']);
+
+  // The requests themselves, so pointing them at uploads changes what gets sent
+  for (const image of imageRequests(generated)) image.uri = `https://example.com/${image.uri}`;
+  assert.equal(generated.tables[0].cellRequests[0][0].find(req => req.insertInlineImage).insertInlineImage.uri, 'https://example.com/img.png');
+
+  const [local, web] = generated.footnotes;
+  assert.equal(local.text, 'y');
+  assert.deepEqual(local.requests, []);
+  assert.equal(web.text, 'See logo');
+  assert.equal(web.requests.find(req => req.updateTextStyle?.textStyle.link).updateTextStyle.textStyle.link.url, 'https://example.com/logo.png');
+  assert.ok(!JSON.stringify(generated.footnotes).includes('insertInlineImage'));
+  assert.deepEqual(warnings, [
+    'Image "y" in a footnote kept as text (footnotes can\'t hold images)',
+    'Image "logo" in a footnote kept as text (footnotes can\'t hold images)'
+  ]);
+});
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitFrontMatter } from '../front-matter.js';
+
+test('front matter is split off, and text between horizontal rules is left alone', () => {
+  assert.deepEqual(splitFrontMatter('---\ntitle: Plan\ntags: [a, b]\n---\n# Body\n'), { data: { title: 'Plan', tags: ['a', 'b'] }, body: '# Body\n' });
+  const rules = '---\nJust a paragraph.\n---\nMore.\n';
+  assert.deepEqual(splitFrontMatter(rules), { data: null, body: rules });
+});
+
+test('front matter in YAML the parser does not read is an error, not body text', () => {
+  assert.throws(() => splitFrontMatter('---\ntitle: Plan\ndescription: >\n  folded\n  text\n---\nBody\n'), /Unsupported front matter: Unexpected indentation: folded/);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateDocRequests } from '../markdown-parser.js';
+import { loadTheme } from '../themes.js';
+
+// Font of the first updateTextStyle that sets one, from the given index
+const fontAt = (requests, startIndex) => requests
+  .map(req => req.updateTextStyle)
+  .find(style => style?.range.startIndex === startIndex && style.textStyle.weightedFontFamily)
+  ?.textStyle.weightedFontFamily.fontFamily;
+
+test('a parse started while another is running keeps its own theme and warnings', () => {
+  let inner;
+  const outer = generateDocRequests('<blink>a</blink>\n\n`code`\n', 1, {
+    theme: loadTheme('modern'),
+    onWarning: () => { inner ??= generateDocRequests('<marquee>b</marquee> `x`\n', 1, { theme: loadTheme('classic') }); }
+  });
+  assert.equal(fontAt(outer.requests, outer.text.indexOf('code') + 1), 'Roboto Mono');
+  assert.deepEqual(outer.warnings, ['Unsupported HTML <blink> dropped (content kept)']);
+  assert.equal(fontAt(inner.requests, inner.text.indexOf('x') + 1), 'Courier New');
+  assert.deepEqual(inner.warnings, ['Unsupported HTML <marquee> dropped (content kept)']);
+});
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Markdown ⇄ Docs round trips, offline
+ *
+ * Writes markdown into the in-memory doc the way create-doc does (see
+ * simulateCreateDoc), reads it back with docToMarkdown, and compares. Run
+ * directly for a fidelity report over the fixture corpus:
+ *
+ *   node test/roundtrip.js [fixture-name ...]
+ *
+ * Each fixtures/<name>.md is one construct. Conversions that are lossy on
+ * purpose (list numbering, blank paragraphs) keep what read-md gives back in
+ * <name>.expected.md.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { docToMarkdown } from '../doc-to-markdown.js';
+import { simulateCreateDoc } from '../doc-preview.js';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Best first; anything but 'drift' is a pass
+export const STATUSES = ['exact', 'normalised', 'expected', 'stable', 'drift'];
+
+/**
+ * Write markdown into a fresh in-memory doc and export it again
+ * @param {string} markdown
+ * @param {object} [options] - generateDocRequests options
+ * @returns {Promise<{ markdown: string, doc: object, requests: Array, warnings: string[], problems: Array }>}
+ */
+export async function roundTrip(markdown, options = {}) {
+  // Parser warnings and ones from the follow-up passes (e.g. unknown anchors)
+  const warnings = [];
+  const onWarning = (message) => {
+    warnings.push(message);
+    options.onWarning?.(message);
+  };
+  const { doc, requests, problems } = await simulateCreateDoc(markdown, { ...options, onWarning });
+  return { markdown: docToMarkdown(doc), doc, requests, warnings, problems };
+}
+
+/**
+ * Markdown with differences that don't change the rendering removed:
+ * line endings, trailing spaces, runs of blank lines
+ */
+export function normalise(markdown) {
+  return markdown
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim() + '\n';
+}
+
+// Line-by-line differences, for the report
+export function diffLines(expected, actual, limit = 10) {
+  const a = expected.split('\n');
+  const b = actual.split('\n');
+  const lines = [];
+  for (let i = 0; i < Math.max(a.length, b.length) && lines.length < limit * 2; i++) {
+    if (a[i] === b[i]) continue;
+    if (a[i] !== undefined) lines.push(`  ${i + 1}- ${a[i]}`);
+    if (b[i] !== undefined) lines.push(`  ${i + 1}+ ${b[i]}`);
+  }
+  return lines;
+}
+
+/**
+ * Round-trip one fixture and grade it
+ *   exact       read-md gives back the source unchanged
+ *   normalised  the same apart from whitespace
+ *   expected    matches <name>.expected.md (a known, intended loss)
+ *   stable      lossy, but a second round trip changes nothing more
+ *   drift       anything else
+ * Requests the Docs API would reject, or that overlap, come back in `problems`.
+ * @returns {Promise<{ name: string, status: string, output: string, diff: string[], warnings: string[], problems: Array }>}
+ */
+export async function checkFixture(name, dir = FIXTURES_DIR) {
+  const source = fs.readFileSync(path.join(dir, `${name}.md`), 'utf8');
+  const expectedFile = path.join(dir, `${name}.expected.md`);
+  const expected = fs.existsSync(expectedFile) ? fs.readFileSync(expectedFile, 'utf8') : null;
+  const { markdown: output, warnings, problems } = await roundTrip(source);
+  const result = (status, diff = []) => ({ name, status, output, diff, warnings, problems });
+
+  if (output === source) return result('exact');
+  if (normalise(output) === normalise(source)) return result('normalised');
+  if (expected !== null) {
+    if (normalise(output) === normalise(expected)) return result('expected');
+    return result('drift', diffLines(normalise(expected), normalise(output)));
+  }
+  const diff = diffLines(normalise(source), normalise(output));
+  const { markdown: again } = await roundTrip(output);
+  return result(normalise(again) === normalise(output) ? 'stable' : 'drift', diff);
+}
+
+// Fixture names (without .md) in the corpus
+export function listFixtures(dir = FIXTURES_DIR) {
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.md') && !f.endsWith('.expected.md'))
+    .map(f => f.slice(0, -3))
+    .sort();
+}
+
+async function main() {
+  const names = process.argv.slice(2);
+  const results = [];
+  for (const name of names.length ? names : listFixtures()) results.push(await checkFixture(name));
+
+  const width = Math.max(...results.map(r => r.name.length));
+  for (const r of results) {
+    console.log(`${r.name.padEnd(width)}  ${r.status}`);
+    for (const line of r.diff) console.log(line);
+    for (const w of r.warnings) console.log(`  warning: ${w}`);
+    for (const p of r.problems) console.log(`  ${p.type}: ${p.message}`);
+  }
+  const counts = STATUSES.map(s => [s, results.filter(r => r.status === s).length]).filter(([, n]) => n);
+  console.log(`\n${results.length} fixtures: ${counts.map(([s, n]) => `${n} ${s}`).join(', ')}`);
+  if (results.some(r => r.status === 'drift' || r.problems.length > 0)) process.exitCode = 1;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(e => { console.error(e.message); process.exit(1); });
+}
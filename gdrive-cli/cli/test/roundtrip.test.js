@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { roundTrip, checkFixture, listFixtures } from './roundtrip.js';
+
+for (const name of listFixtures()) {
+  test(`fixture ${name} survives a round trip`, async () => {
+    const { status, diff, problems } = await checkFixture(name);
+    assert.ok(['exact', 'normalised', 'expected'].includes(status), `${name}: ${status}\n${diff.join('\n')}`);
+    assert.deepEqual(problems, []);
+  });
+}
+
+test('styles after a nested list land on the right paragraphs', async () => {
+  const { markdown } = await roundTrip('Note[^1]\n\n- a\n  - b\n\n> quote\n\n```\ncode\n```\n\n[^1]: Text.\n');
+  assert.match(markdown, /^> quote$/m);
+  assert.match(markdown, /^```\ncode\n```$/m);
+});
+
+test('unknown heading links are reported, not dropped', async () => {
+  const { markdown, warnings } = await roundTrip('See [nowhere](#missing) and [x](#100%).\n');
+  assert.match(markdown, /\[nowhere\]\(#missing\)/);
+  assert.match(markdown, /\[x\]\(#100%\)/);
+  assert.ok(warnings.some(w => w.includes('#missing')));
+  assert.ok(warnings.some(w => w.includes('#100%')));
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { loadTheme } from '../themes.js';
+
+test('theme files can extend presets and each other, but not in a cycle', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'themes-'));
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  const write = (name, theme) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(theme));
+    return file;
+  };
+
+  const base = write('base.json', { extends: 'modern', code: { size: 12 } });
+  const theme = loadTheme(write('child.json', { extends: base, link: { color: '#ff0000' } }));
+  assert.deepEqual([theme.code.font, theme.code.size, theme.link.color], ['Roboto Mono', 12, { red: 1, green: 0, blue: 0 }]);
+
+  const self = path.join(dir, 'self.json');
+  write('self.json', { extends: self });
+  assert.throws(() => loadTheme(self), /Theme ".*self\.json" extends itself/);
+
+  const a = path.join(dir, 'a.json');
+  const b = write('b.json', { extends: a });
+  write('a.json', { extends: b });
+  assert.throws(() => loadTheme(a), /Theme ".*a\.json" extends itself/);
+});
+
+test('a relative "extends" is found next to the theme file, wherever the command runs', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'themes-'));
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  fs.mkdirSync(path.join(dir, 'themes'));
+  fs.writeFileSync(path.join(dir, 'themes', 'base.json'), JSON.stringify({ extends: 'classic', code: { size: 12 } }));
+  fs.writeFileSync(path.join(dir, 'themes', 'brand.json'), JSON.stringify({ extends: 'base.json', link: { color: '#00ff00' } }));
+
+  const theme = loadTheme(path.join(dir, 'themes', 'brand.json'));
+  assert.deepEqual([theme.code.font, theme.code.size, theme.link.color], ['Courier New', 12, { red: 0, green: 1, blue: 0 }]);
+});
@@ -0,0 +1,121 @@
+/**
+ * Style themes for markdown rendering
+ *
+ * A theme holds the fonts, sizes, colours and spacing the markdown parser
+ * uses. Pick a named preset or point --theme at a JSON file. Theme files only
+ * need the keys they change, and can build on a preset with "extends".
+ * Colours are "#rrggbb" or { red, green, blue } in 0–1; sizes are in PT.
+ * Null means "leave the document's own style alone".
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+const grey = (v) => ({ red: v, green: v, blue: v });
+
+// The look the parser has always produced
+export const DEFAULT_THEME = {
+  body: { font: null, size: null },
+  paragraph: { spaceAbove: null, spaceBelow: null, lineSpacing: null },
+  headings: { font: null, color: null, sizes: {} },
+  code: { font: 'Consolas', size: 10, background: grey(0.97), border: grey(0.85), inlineBackground: grey(0.95) },
+  link: { color: { red: 0.06, green: 0.46, blue: 0.88 } },
+  math: { font: 'Cambria', size: null },
+  highlight: { color: { red: 1, green: 0.95, blue: 0.4 } },
+  blockquote: { borderColor: grey(0.8), borderWidth: 3, textColor: grey(0.4), indent: 36, italic: false },
+  table: { headerBackground: null, headerBold: true },
+  rule: { character: '━', length: 40, color: grey(0.8), size: 8 }
+};
+
+export const THEMES = {
+  default: {},
+  modern: {
+    body: { font: 'Roboto', size: 11 },
+    paragraph: { spaceBelow: 6, lineSpacing: 115 },
+    headings: { font: 'Montserrat', color: '#1f2937', sizes: { 1: 24, 2: 18, 3: 14 } },
+    code: { font: 'Roboto Mono', background: '#f6f8fa', border: '#d0d7de', inlineBackground: '#eff1f3' },
+    link: { color: '#1a73e8' },
+    blockquote: { borderColor: '#1a73e8', textColor: '#4b5563' },
+    table: { headerBackground: '#e8f0fe' },
+    rule: { character: '─', color: '#d0d7de' }
+  },
+  classic: {
+    body: { font: 'Georgia', size: 11 },
+    paragraph: { spaceBelow: 8, lineSpacing: 125 },
+    headings: { font: 'Times New Roman', color: '#000000' },
+    code: { font: 'Courier New' },
+    link: { color: '#1155cc' },
+    blockquote: { borderColor: '#999999', textColor: '#444444', italic: true },
+    table: { headerBackground: '#eeeeee' },
+    rule: { character: '─', length: 30 }
+  },
+  compact: {
+    body: { font: 'Arial', size: 10 },
+    paragraph: { spaceAbove: 0, spaceBelow: 2, lineSpacing: 100 },
+    headings: { sizes: { 1: 16, 2: 13, 3: 11, 4: 10, 5: 10, 6: 10 } },
+    code: { size: 9 },
+    blockquote: { indent: 18 },
+    rule: { length: 30, size: 6 }
+  }
+};
+
+const HEX_COLOR = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i;
+
+// Convert "#rrggbb" strings to Docs rgbColor objects, anywhere in the theme
+function normalizeColors(value) {
+  if (typeof value === 'string') {
+    const m = HEX_COLOR.exec(value);
+    if (!m) return value;
+    const [red, green, blue] = m.slice(1).map(h => Math.round(parseInt(h, 16) / 255 * 1000) / 1000);
+    return { red, green, blue };
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, normalizeColors(v)]));
+  }
+  return value;
+}
+
+function merge(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    const isSection = value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object';
+    result[key] = isSection ? merge(base[key], value) : value;
+  }
+  return result;
+}
+
+/**
+ * Resolve a --theme value (preset name or JSON file path) to a full theme
+ * @param {string|object} [value] - Preset name, path, or theme object; default theme if omitted
+ * @returns {object}
+ */
+export function loadTheme(value) {
+  return resolveTheme(value, []);
+}
+
+// `seen` holds the presets and files already on the "extends" chain; a file's
+// relative "extends" is resolved against `dir`, the directory it sits in
+function resolveTheme(value, seen, dir = process.cwd()) {
+  if (!value || value === true) return DEFAULT_THEME;
+  let override = value;
+  if (typeof value === 'string') {
+    const preset = THEMES[value.toLowerCase()];
+    const key = preset ? value.toLowerCase() : path.resolve(dir, value);
+    if (seen.includes(key)) throw new Error(`Theme "${value}" extends itself`);
+    seen = [...seen, key];
+    if (preset) {
+      override = preset;
+    } else if (fs.existsSync(key)) {
+      try {
+        override = JSON.parse(fs.readFileSync(key, 'utf8'));
+      } catch (e) {
+        throw new Error(`Invalid theme file ${value}: ${e.message}`);
+      }
+      dir = path.dirname(key);
+    } else {
+      throw new Error(`Unknown theme "${value}". Use a preset (${Object.keys(THEMES).join(', ')}) or a JSON file`);
+    }
+  }
+  const { extends: parent, ...rest } = override;
+  return merge(resolveTheme(parent, seen, dir), normalizeColors(rest));
+}